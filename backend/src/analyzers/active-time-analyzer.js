@@ -0,0 +1,180 @@
+/**
+ * Split conversations into work segments and measure active time
+ */
+
+import { getDefaultTimeZone, getTimestampDateKey, isUserPrompt, memoizeByConversation } from './helpers.js';
+
+const DEFAULT_IDLE_GAP_MINUTES = 30;
+const TOP_CONVERSATIONS_LIMIT = 20;
+
+/**
+ * Gap between two records after which a conversation counts as idle.
+ * Defaults to 30 minutes; override with ANALYTICS_IDLE_GAP_MINUTES.
+ */
+export function getIdleGapMs(minutes = process.env.ANALYTICS_IDLE_GAP_MINUTES) {
+  const parsed = Number(minutes);
+  return (Number.isFinite(parsed) && parsed > 0 ? parsed : DEFAULT_IDLE_GAP_MINUTES) * 60 * 1000;
+}
+
+function createActiveTime() {
+  return {
+    wallClockMs: 0,
+    activeMs: 0,
+    waitOnUserMs: 0,
+    waitOnModelMs: 0,
+    idleMs: 0,
+    segments: 0
+  };
+}
+
+function addActiveTime(target, source) {
+  Object.keys(target).forEach(key => {
+    target[key] += source[key] || 0;
+  });
+}
+
+/**
+ * Conversations whose active time adds up to a total. A subagent run works
+ * inside its session's Task call, so its time is already part of the
+ * session's active time; runs only count when their session is not among
+ * the conversations, e.g. when only subagent runs are selected.
+ */
+export function getActiveTimeConversations(conversations) {
+  const sessionIds = new Set(conversations
+    .filter(conv => !conv.parentConversationId)
+    .map(conv => conv.conversationId));
+  return conversations.filter(conv => !conv.parentConversationId || !sessionIds.has(conv.parentConversationId));
+}
+
+const computeConversationActiveTime = memoizeByConversation((conv, { idleGapMs, timeZone }) => {
+  const events = conv.messages
+    .map(msg => ({ msg, time: msg.timestamp ? new Date(msg.timestamp).getTime() : NaN }))
+    .filter(event => !Number.isNaN(event.time))
+    .sort((a, b) => a.time - b.time);
+
+  const totals = createActiveTime();
+  const byDay = new Map();
+  const segments = [];
+  if (events.length === 0) {
+    return { ...totals, segmentList: segments, byDay };
+  }
+
+  let segment = { start: events[0].msg.timestamp, end: events[0].msg.timestamp, activeMs: 0, messageCount: 1 };
+  segments.push(segment);
+
+  for (let i = 1; i < events.length; i++) {
+    const { msg, time } = events[i];
+    const gap = time - events[i - 1].time;
+
+    if (gap > idleGapMs) {
+      totals.idleMs += gap;
+      segment = { start: msg.timestamp, end: msg.timestamp, activeMs: 0, messageCount: 1 };
+      segments.push(segment);
+      continue;
+    }
+
+    const waitKey = isUserPrompt(msg) ? 'waitOnUserMs' : 'waitOnModelMs';
+    totals[waitKey] += gap;
+    totals.activeMs += gap;
+    segment.end = msg.timestamp;
+    segment.activeMs += gap;
+    segment.messageCount++;
+
+    const dateKey = getTimestampDateKey(msg.timestamp, timeZone);
+    if (dateKey) {
+      if (!byDay.has(dateKey)) {
+        byDay.set(dateKey, { activeMs: 0, waitOnUserMs: 0, waitOnModelMs: 0 });
+      }
+      const day = byDay.get(dateKey);
+      day.activeMs += gap;
+      day[waitKey] += gap;
+    }
+  }
+
+  totals.wallClockMs = events[events.length - 1].time - events[0].time;
+  totals.segments = segments.length;
+  return { ...totals, segmentList: segments, byDay };
+}, ({ idleGapMs, timeZone }) => `${idleGapMs}|${timeZone}`);
+
+/**
+ * Split a conversation into work segments wherever consecutive records are
+ * further apart than `idleGapMs`. Gaps inside a segment count as active:
+ * gaps that end in a user prompt are time spent waiting on the user, all
+ * others are time spent waiting on the model and its tools. The result is
+ * computed once per conversation and options and must not be modified.
+ */
+export function computeActiveTime(conv, { idleGapMs = getIdleGapMs(), timeZone = getDefaultTimeZone() } = {}) {
+  return computeConversationActiveTime(conv, { idleGapMs, timeZone });
+}
+
+/**
+ * Active time, wait-on-user and wait-on-model time per conversation,
+ * project and day. All durations are in milliseconds. Subagent runs are
+ * listed per conversation but left out of the totals when their session is
+ * included, see `getActiveTimeConversations`.
+ */
+export function analyzeActiveTime(conversations, { idleGapMs = getIdleGapMs(), timeZone } = {}) {
+  const totals = createActiveTime();
+  const byProject = {};
+  const byDay = new Map();
+  const byConversation = [];
+  const counted = new Set(getActiveTimeConversations(conversations));
+
+  conversations.forEach(conv => {
+    const activeTime = computeActiveTime(conv, { idleGapMs, timeZone });
+    if (activeTime.segmentList.length === 0) {
+      return;
+    }
+
+    const conversationTotals = createActiveTime();
+    addActiveTime(conversationTotals, activeTime);
+    byConversation.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      ...conversationTotals,
+      segmentList: activeTime.segmentList
+    });
+
+    if (!counted.has(conv)) {
+      return;
+    }
+
+    const projectName = conv.project || 'unknown';
+    if (!byProject[projectName]) {
+      byProject[projectName] = createActiveTime();
+    }
+    addActiveTime(totals, activeTime);
+    addActiveTime(byProject[projectName], activeTime);
+
+    activeTime.byDay.forEach((day, dateKey) => {
+      if (!byDay.has(dateKey)) {
+        byDay.set(dateKey, { date: dateKey, activeMs: 0, waitOnUserMs: 0, waitOnModelMs: 0 });
+      }
+      const target = byDay.get(dateKey);
+      target.activeMs += day.activeMs;
+      target.waitOnUserMs += day.waitOnUserMs;
+      target.waitOnModelMs += day.waitOnModelMs;
+    });
+  });
+
+  return {
+    idleGapMs,
+    totals,
+    byProject: Object.fromEntries(
+      Object.entries(byProject).sort((a, b) => b[1].activeMs - a[1].activeMs)
+    ),
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    byConversation: byConversation
+      .sort((a, b) => b.activeMs - a.activeMs)
+      .slice(0, TOP_CONVERSATIONS_LIMIT)
+  };
+}
+
+export default {
+  getIdleGapMs,
+  getActiveTimeConversations,
+  computeActiveTime,
+  analyzeActiveTime
+};
@@ -0,0 +1,77 @@
+/**
+ * Bucket activity by hour of day and day of week
+ */
+
+import { collectToolCalls, getDefaultTimeZone, getZonedDateParts, isUserPrompt } from './helpers.js';
+import { collectUsageRecords, getTotalTokens } from './usage-analyzer.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const HEATMAP_METRICS = ['sessions', 'prompts', 'toolUses', 'tokens'];
+
+function createCell(weekday, hour) {
+  return { weekday, hour, sessions: 0, prompts: 0, toolUses: 0, tokens: 0 };
+}
+
+/**
+ * Sessions started, user prompts, tool uses and tokens per weekday and hour
+ * in `timeZone`. Cells are ordered Sunday 00:00 through Saturday 23:00.
+ */
+export function analyzeActivityHeatmap(conversations, { timeZone = getDefaultTimeZone() } = {}) {
+  const cells = [];
+  for (let weekday = 0; weekday < WEEKDAYS.length; weekday++) {
+    for (let hour = 0; hour < 24; hour++) {
+      cells.push(createCell(weekday, hour));
+    }
+  }
+
+  const getCell = timestamp => {
+    const parts = timestamp ? getZonedDateParts(timestamp, timeZone) : null;
+    return parts ? cells[parts.weekday * 24 + parts.hour] : null;
+  };
+  const addToCell = (timestamp, metric, amount = 1) => {
+    const cell = getCell(timestamp);
+    if (cell) {
+      cell[metric] += amount;
+    }
+  };
+
+  conversations.forEach(conv => {
+    const timestamps = conv.messages
+      .map(msg => msg.timestamp)
+      .filter(timestamp => timestamp && !Number.isNaN(new Date(timestamp).getTime()))
+      .sort();
+    // Subagent runs are part of their parent session
+    if (conv.source !== 'subagent' && timestamps.length > 0) {
+      addToCell(timestamps[0], 'sessions');
+    }
+
+    conv.messages.forEach(msg => {
+      if (isUserPrompt(msg)) {
+        addToCell(msg.timestamp, 'prompts');
+      }
+    });
+    collectToolCalls(conv).forEach(call => addToCell(call.timestamp, 'toolUses'));
+    collectUsageRecords(conv).forEach(record => addToCell(record.timestamp, 'tokens', getTotalTokens(record.usage)));
+  });
+
+  const totals = Object.fromEntries(HEATMAP_METRICS.map(metric => [
+    metric,
+    cells.reduce((sum, cell) => sum + cell[metric], 0)
+  ]));
+  const max = Object.fromEntries(HEATMAP_METRICS.map(metric => [
+    metric,
+    cells.reduce((highest, cell) => Math.max(highest, cell[metric]), 0)
+  ]));
+
+  return {
+    timeZone,
+    weekdays: WEEKDAYS,
+    cells,
+    totals,
+    max
+  };
+}
+
+export default {
+  analyzeActivityHeatmap
+};
@@ -0,0 +1,393 @@
+/**
+ * Analyze the shell commands agents run through Bash and shell tools
+ */
+
+import { collectToolCalls, roundTo } from './helpers.js';
+
+const SHELL_TOOL_NAMES = new Set(['Bash', 'shell', 'shell_command', 'exec_command', 'local_shell', 'run_terminal_cmd']);
+const SHELL_WRAPPERS = new Set(['bash', 'sh', 'zsh']);
+const PREFIX_COMMANDS = new Set(['sudo', 'time', 'env', 'nohup', 'timeout', 'exec']);
+const SKIPPED_PROGRAMS = new Set(['cd', 'pushd', 'popd', 'export', 'source', '.', 'set', 'true']);
+
+const SUBCOMMAND_PROGRAMS = new Set([
+  'npm', 'pnpm', 'yarn', 'bun', 'npx', 'git', 'gh', 'cargo', 'go', 'docker', 'kubectl',
+  'make', 'pip', 'pip3', 'poetry', 'uv', 'dotnet', 'mvn', 'gradle', './gradlew', 'brew',
+  'apt', 'apt-get', 'bundle', 'rails', 'terraform', 'helm', 'composer'
+]);
+const SCRIPT_RUNNERS = new Set(['npm', 'pnpm', 'yarn', 'bun']);
+
+const CATEGORY_PROGRAMS = {
+  test: ['pytest', 'jest', 'vitest', 'mocha', 'rspec', 'phpunit', 'playwright', 'cypress', 'tox', 'ava'],
+  build: ['tsc', 'make', 'cmake', 'webpack', 'vite', 'esbuild', 'rollup', 'gcc', 'clang', 'javac', 'mvn', 'gradle', './gradlew', 'bazel'],
+  lint: ['eslint', 'prettier', 'ruff', 'flake8', 'black', 'mypy', 'pylint', 'rubocop', 'golangci-lint', 'shellcheck', 'biome'],
+  vcs: ['git', 'gh', 'hg', 'svn'],
+  package: ['pip', 'pip3', 'poetry', 'brew', 'apt', 'apt-get', 'bundle', 'composer'],
+  file: ['ls', 'cat', 'cp', 'mv', 'rm', 'mkdir', 'rmdir', 'touch', 'chmod', 'chown', 'ln', 'head', 'tail', 'wc', 'sed', 'awk', 'tree', 'du', 'df', 'stat', 'tar', 'unzip', 'zip', 'diff', 'sort', 'cut', 'echo', 'tee', 'xargs'],
+  search: ['grep', 'rg', 'find', 'fd', 'ag', 'ack', 'which', 'locate'],
+  container: ['docker', 'docker-compose', 'kubectl', 'helm', 'podman'],
+  network: ['curl', 'wget', 'ssh', 'scp', 'rsync', 'ping', 'nc'],
+  runtime: ['node', 'python', 'python3', 'deno', 'ruby', 'php', 'java', 'ts-node', 'tsx']
+};
+
+const SUBCOMMAND_CATEGORIES = {
+  test: ['test', 'tests', 'spec'],
+  build: ['build', 'compile', 'bundle', 'dist', 'tsc', 'typecheck', 'check'],
+  lint: ['lint', 'format', 'fmt', 'clippy', 'vet', 'prettier', 'eslint'],
+  package: ['install', 'i', 'ci', 'add', 'remove', 'uninstall', 'update', 'upgrade', 'get', 'mod', 'sync', 'lock', 'outdated', 'audit'],
+  runtime: ['run', 'dev', 'start', 'serve', 'exec']
+};
+
+const PROGRAM_CATEGORY = new Map(
+  Object.entries(CATEGORY_PROGRAMS).flatMap(([category, programs]) => programs.map(program => [program, category]))
+);
+
+const TOP_COMMANDS_LIMIT = 25;
+const TOP_PROGRAMS_LIMIT = 30;
+const PROJECT_TOP_COMMANDS_LIMIT = 5;
+const RECENT_FAILURES_LIMIT = 15;
+
+/**
+ * Split a shell command line into simple commands, honouring quotes.
+ * Each simple command is a list of words; `&&`, `||`, `;`, `|` and
+ * newlines separate commands.
+ */
+export function tokenizeShellCommand(command) {
+  const commands = [];
+  let words = [];
+  let word = '';
+  let quote = null;
+
+  const endWord = () => {
+    if (word) {
+      words.push(word);
+      word = '';
+    }
+  };
+  const endCommand = () => {
+    endWord();
+    if (words.length > 0) {
+      commands.push(words);
+      words = [];
+    }
+  };
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      } else if (char === '\\' && quote === '"' && i + 1 < command.length) {
+        word += command[++i];
+      } else {
+        word += char;
+      }
+    } else if (char === '"' || char === '\'') {
+      quote = char;
+    } else if (char === '\\' && i + 1 < command.length) {
+      const next = command[++i];
+      if (next !== '\n') {
+        word += next;
+      }
+    } else if (char === '&' && (word.endsWith('>') || command[i + 1] === '>')) {
+      // Redirections such as `2>&1` and `&>file`
+      word += char;
+    } else if (char === ';' || char === '\n' || char === '|' || char === '&') {
+      endCommand();
+      if ((char === '|' || char === '&') && command[i + 1] === char) {
+        i++;
+      }
+    } else if (/\s/.test(char)) {
+      endWord();
+    } else {
+      word += char;
+    }
+  }
+  endCommand();
+
+  return commands;
+}
+
+function getProgramName(word) {
+  return word.startsWith('./') ? word : word.split('/').pop();
+}
+
+function isCommandPrefixWord(words, index) {
+  const word = words[index];
+  if (/^[A-Za-z_][A-Za-z0-9_]*=/.test(word) || PREFIX_COMMANDS.has(word)) {
+    return true;
+  }
+  // Options and durations of a preceding prefix command, e.g. `timeout 60s`
+  const previous = words[index - 1];
+  return PREFIX_COMMANDS.has(previous) && (word.startsWith('-') || /^\d+[smhd]?$/.test(word));
+}
+
+function getCategoryFromName(name) {
+  const baseName = name.toLowerCase().split(/[:_-]/)[0];
+  return Object.entries(SUBCOMMAND_CATEGORIES)
+    .find(([, names]) => names.includes(baseName))?.[0] || null;
+}
+
+function getCategory(program, subcommand) {
+  const programCategory = PROGRAM_CATEGORY.get(program);
+  if (programCategory === 'vcs' || programCategory === 'container') {
+    return programCategory;
+  }
+  const subcommandCategory = subcommand ? getCategoryFromName(subcommand) : null;
+  if (subcommandCategory) {
+    return subcommandCategory;
+  }
+  if (programCategory) {
+    return programCategory;
+  }
+  return SCRIPT_RUNNERS.has(program) ? 'package' : 'other';
+}
+
+/**
+ * Program, subcommand and category of one simple command, or null when the
+ * command only changes shell state (cd, export, variable assignments)
+ */
+function describeSimpleCommand(words) {
+  let index = 0;
+  while (index < words.length && isCommandPrefixWord(words, index)) {
+    index++;
+  }
+  if (index >= words.length) {
+    return null;
+  }
+
+  const program = getProgramName(words[index]);
+  const args = words.slice(index + 1);
+  if (SKIPPED_PROGRAMS.has(program) || program.startsWith('#')) {
+    return null;
+  }
+
+  // Tools launched through a runner are reported as the tool itself
+  const runTarget = program === 'npx'
+    ? args.find(word => !word.startsWith('-'))
+    : (program === 'python' || program === 'python3') && args[0] === '-m' ? args[1] : null;
+  if (runTarget) {
+    return describeSimpleCommand([runTarget, ...args.slice(args.indexOf(runTarget) + 1)]);
+  }
+
+  const subcommand = SUBCOMMAND_PROGRAMS.has(program)
+    ? args.find(word => !word.startsWith('-')) || null
+    : null;
+  if (SCRIPT_RUNNERS.has(program) && subcommand === 'run') {
+    const script = args.slice(args.indexOf('run') + 1).find(word => !word.startsWith('-'));
+    if (script) {
+      return { program, subcommand: `run ${script}`, category: getCategoryFromName(script) || 'runtime' };
+    }
+  }
+
+  return { program, subcommand, category: getCategory(program, subcommand) };
+}
+
+/**
+ * Describe every simple command in a command line. Shell wrappers such as
+ * `bash -lc "..."` are unwrapped.
+ */
+export function parseShellCommand(command) {
+  if (typeof command !== 'string' || !command.trim()) {
+    return [];
+  }
+
+  return tokenizeShellCommand(command).flatMap(words => {
+    if (SHELL_WRAPPERS.has(words[0]) && /^-\w*c$/.test(words[1] || '') && words[2]) {
+      return parseShellCommand(words[2]);
+    }
+    const description = describeSimpleCommand(words);
+    return description ? [description] : [];
+  });
+}
+
+/**
+ * Short prefix that groups similar shell commands, e.g. `npm test` or `pytest`
+ */
+export function getCommandPrefix(command) {
+  const [primary] = parseShellCommand(command);
+  if (!primary) {
+    return null;
+  }
+  return primary.subcommand ? `${primary.program} ${primary.subcommand}` : primary.program;
+}
+
+/**
+ * The command line of a shell tool call, or null for other tools.
+ * Codex passes the command as an argv array, usually `["bash", "-lc", cmd]`.
+ */
+export function getShellCommand(call) {
+  if (!SHELL_TOOL_NAMES.has(call.name)) {
+    return null;
+  }
+  const command = call.input?.command ?? call.input?.cmd;
+  if (Array.isArray(command)) {
+    if (SHELL_WRAPPERS.has(command[0]) && /^-\w*c$/.test(command[1] || '') && typeof command[2] === 'string') {
+      return command[2];
+    }
+    return command.join(' ');
+  }
+  return typeof command === 'string' ? command : null;
+}
+
+/**
+ * Exit status of a finished shell call: the recorded exit code, the code in
+ * Claude Code's "Exit code N" error text, 0 for other successful results,
+ * or null when the call has no result
+ */
+export function getExitCode(call) {
+  if (!call.result) {
+    return null;
+  }
+  const recorded = call.result.payload?.exitCode;
+  if (Number.isInteger(recorded)) {
+    return recorded;
+  }
+  const match = call.result.text.match(/^Exit code (\d+)/);
+  if (match) {
+    return Number(match[1]);
+  }
+  return call.result.isError ? null : 0;
+}
+
+function createCounts() {
+  return { count: 0, completed: 0, failed: 0 };
+}
+
+function addCommand(counts, failed, completed) {
+  counts.count++;
+  if (completed) {
+    counts.completed++;
+    if (failed) {
+      counts.failed++;
+    }
+  }
+}
+
+function finalizeCounts(counts) {
+  return {
+    ...counts,
+    failureRate: counts.completed > 0 ? roundTo((counts.failed / counts.completed) * 100, 1) : 0
+  };
+}
+
+function finalizeMap(map, limit) {
+  return Object.fromEntries(
+    Object.entries(map)
+      .sort((a, b) => b[1].count - a[1].count)
+      .slice(0, limit)
+      .map(([key, value]) => [key, finalizeCounts(value)])
+  );
+}
+
+/**
+ * Programs, subcommands and categories of executed shell commands, their
+ * failure rates and exit codes, and the top commands per project
+ */
+export function analyzeBashCommands(conversations) {
+  const totals = createCounts();
+  const byCategory = {};
+  const byProgram = {};
+  const byCommand = {};
+  const byProject = {};
+  const exitCodes = {};
+  const failures = [];
+
+  conversations.forEach(conv => {
+    const projectName = conv.project || 'unknown';
+
+    collectToolCalls(conv).forEach(call => {
+      const command = getShellCommand(call);
+      const [primary] = parseShellCommand(command);
+      if (!primary) {
+        return;
+      }
+
+      const exitCode = getExitCode(call);
+      const completed = Boolean(call.result);
+      const failed = completed && (call.result.isError || (exitCode !== null && exitCode !== 0));
+      const prefix = primary.subcommand ? `${primary.program} ${primary.subcommand}` : primary.program;
+
+      if (!byCategory[primary.category]) {
+        byCategory[primary.category] = createCounts();
+      }
+      if (!byProgram[primary.program]) {
+        byProgram[primary.program] = { ...createCounts(), subcommands: {} };
+      }
+      if (!byCommand[prefix]) {
+        byCommand[prefix] = { ...createCounts(), category: primary.category };
+      }
+      if (!byProject[projectName]) {
+        byProject[projectName] = { ...createCounts(), commands: {}, categories: {} };
+      }
+
+      addCommand(totals, failed, completed);
+      addCommand(byCategory[primary.category], failed, completed);
+      addCommand(byProgram[primary.program], failed, completed);
+      addCommand(byCommand[prefix], failed, completed);
+      addCommand(byProject[projectName], failed, completed);
+
+      if (primary.subcommand) {
+        const subcommands = byProgram[primary.program].subcommands;
+        subcommands[primary.subcommand] = (subcommands[primary.subcommand] || 0) + 1;
+      }
+      const project = byProject[projectName];
+      project.commands[prefix] = (project.commands[prefix] || 0) + 1;
+      project.categories[primary.category] = (project.categories[primary.category] || 0) + 1;
+
+      if (exitCode !== null) {
+        exitCodes[exitCode] = (exitCodes[exitCode] || 0) + 1;
+      }
+
+      if (failed) {
+        failures.push({
+          conversationId: conv.conversationId,
+          platform: conv.platform || 'claude',
+          project: conv.project,
+          command: command.substring(0, 200),
+          category: primary.category,
+          exitCode,
+          timestamp: call.timestamp,
+          messageIndex: call.messageIndex
+        });
+      }
+    });
+  });
+
+  const projects = Object.fromEntries(
+    Object.entries(byProject)
+      .sort((a, b) => b[1].count - a[1].count)
+      .map(([project, { commands, categories, ...counts }]) => [project, {
+        ...finalizeCounts(counts),
+        categories,
+        topCommands: Object.entries(commands)
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, PROJECT_TOP_COMMANDS_LIMIT)
+          .map(([command, count]) => ({ command, count }))
+      }])
+  );
+
+  return {
+    totals: {
+      ...finalizeCounts(totals),
+      uniquePrograms: Object.keys(byProgram).length
+    },
+    byCategory: finalizeMap(byCategory),
+    byProgram: finalizeMap(byProgram, TOP_PROGRAMS_LIMIT),
+    topCommands: Object.entries(finalizeMap(byCommand, TOP_COMMANDS_LIMIT))
+      .map(([command, counts]) => ({ command, ...counts })),
+    byProject: projects,
+    exitCodes,
+    recentFailures: failures
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+      .slice(0, RECENT_FAILURES_LIMIT)
+  };
+}
+
+export default {
+  tokenizeShellCommand,
+  parseShellCommand,
+  getCommandPrefix,
+  getShellCommand,
+  getExitCode,
+  analyzeBashCommands
+};
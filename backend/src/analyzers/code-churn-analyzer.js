@@ -0,0 +1,318 @@
+/**
+ * Count lines of code added and removed by file-editing tool calls
+ */
+
+import path from 'path';
+import { collectToolCalls, getTimestampDateKey } from './helpers.js';
+
+const TOP_CONVERSATIONS_LIMIT = 20;
+
+const LANGUAGES_BY_EXTENSION = {
+  '.js': 'JavaScript',
+  '.jsx': 'JavaScript',
+  '.mjs': 'JavaScript',
+  '.cjs': 'JavaScript',
+  '.ts': 'TypeScript',
+  '.tsx': 'TypeScript',
+  '.py': 'Python',
+  '.rb': 'Ruby',
+  '.go': 'Go',
+  '.rs': 'Rust',
+  '.java': 'Java',
+  '.kt': 'Kotlin',
+  '.swift': 'Swift',
+  '.c': 'C',
+  '.h': 'C',
+  '.cc': 'C++',
+  '.cpp': 'C++',
+  '.hpp': 'C++',
+  '.cs': 'C#',
+  '.php': 'PHP',
+  '.scala': 'Scala',
+  '.sh': 'Shell',
+  '.bash': 'Shell',
+  '.zsh': 'Shell',
+  '.sql': 'SQL',
+  '.html': 'HTML',
+  '.css': 'CSS',
+  '.scss': 'CSS',
+  '.vue': 'Vue',
+  '.svelte': 'Svelte',
+  '.json': 'JSON',
+  '.yml': 'YAML',
+  '.yaml': 'YAML',
+  '.toml': 'TOML',
+  '.md': 'Markdown',
+  '.mdx': 'Markdown',
+  '.ipynb': 'Notebook'
+};
+
+export function getLanguage(filePath) {
+  const extension = path.extname(filePath || '').toLowerCase();
+  if (LANGUAGES_BY_EXTENSION[extension]) {
+    return LANGUAGES_BY_EXTENSION[extension];
+  }
+  if (path.basename(filePath || '') === 'Dockerfile') {
+    return 'Dockerfile';
+  }
+  return extension ? extension.slice(1) : 'Other';
+}
+
+function splitLines(text) {
+  if (typeof text !== 'string' || text === '') {
+    return [];
+  }
+  return text.replace(/\n$/, '').split('\n');
+}
+
+/**
+ * Lines added and removed when `oldText` is replaced by `newText`. Lines
+ * shared at the start and end of both are unchanged; the rest counts as
+ * removed from the old text and added from the new one.
+ */
+export function countReplacedLines(oldText, newText) {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (
+    suffix < oldLines.length - prefix &&
+    suffix < newLines.length - prefix &&
+    oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+  return {
+    added: newLines.length - prefix - suffix,
+    removed: oldLines.length - prefix - suffix
+  };
+}
+
+/**
+ * Per-file line counts of a Codex `apply_patch` envelope
+ * (`*** Update File: path` sections with +/- lines)
+ */
+export function countPatchLines(patch) {
+  const changes = [];
+  let current = null;
+
+  splitLines(patch).forEach(line => {
+    const header = line.match(/^\*\*\* (Add|Update|Delete) File: (.+)$/);
+    if (header) {
+      current = { filePath: header[2].trim(), added: 0, removed: 0 };
+      changes.push(current);
+      return;
+    }
+    if (!current || line.startsWith('***') || line.startsWith('@@')) {
+      return;
+    }
+    if (line.startsWith('+')) {
+      current.added++;
+    } else if (line.startsWith('-')) {
+      current.removed++;
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Lines added and removed in the `structuredPatch` hunks Claude Code
+ * records with Edit, MultiEdit and Write results, or null without them
+ */
+export function countStructuredPatchLines(hunks) {
+  if (!Array.isArray(hunks)) {
+    return null;
+  }
+  const counts = { added: 0, removed: 0 };
+  hunks.forEach(hunk => {
+    (Array.isArray(hunk?.lines) ? hunk.lines : []).forEach(line => {
+      if (typeof line !== 'string') {
+        return;
+      }
+      if (line.startsWith('+')) {
+        counts.added++;
+      } else if (line.startsWith('-')) {
+        counts.removed++;
+      }
+    });
+  });
+  return counts;
+}
+
+function countOccurrences(text, search) {
+  if (typeof text !== 'string' || typeof search !== 'string' || search === '') {
+    return 1;
+  }
+  return Math.max(1, text.split(search).length - 1);
+}
+
+/**
+ * Counts of one Edit, multiplied by the occurrences a `replace_all` edit
+ * changed when the original file content is known
+ */
+function countEditLines(edit, originalFile) {
+  const counts = countReplacedLines(edit.old_string, edit.new_string);
+  const times = edit.replace_all ? countOccurrences(originalFile, edit.old_string) : 1;
+  return { added: counts.added * times, removed: counts.removed * times };
+}
+
+function getPatchText(call) {
+  const input = call.input || {};
+  if (typeof input.input === 'string') {
+    return input.input;
+  }
+  if (typeof input.patch === 'string') {
+    return input.patch;
+  }
+  // Codex shell calls can invoke apply_patch directly: ["apply_patch", "<patch>"]
+  if (Array.isArray(input.command) && input.command[0] === 'apply_patch') {
+    return input.command[1];
+  }
+  return null;
+}
+
+/**
+ * Line changes made by one tool call, one entry per touched file
+ */
+export function getToolCallLineChanges(call) {
+  const input = call.input || {};
+  const recorded = call.result?.payload && typeof call.result.payload === 'object' ? call.result.payload : {};
+  // New files are recorded with an empty patch, so only a patch with lines in it counts
+  const counted = countStructuredPatchLines(recorded.structuredPatch);
+  const patched = counted && counted.added + counted.removed > 0 ? counted : null;
+  switch (call.name) {
+    case 'Edit':
+      return [{ filePath: input.file_path, ...(patched || countEditLines(input, recorded.originalFile)) }];
+    case 'MultiEdit':
+      return [{
+        filePath: input.file_path,
+        ...(patched || (input.edits || []).reduce((change, edit) => {
+          const counts = countEditLines(edit, recorded.originalFile);
+          change.added += counts.added;
+          change.removed += counts.removed;
+          return change;
+        }, { added: 0, removed: 0 }))
+      }];
+    case 'Write':
+      if (patched) {
+        return [{ filePath: input.file_path, ...patched }];
+      }
+      if (typeof recorded.originalFile === 'string') {
+        return [{ filePath: input.file_path, ...countReplacedLines(recorded.originalFile, input.content) }];
+      }
+      return [{ filePath: input.file_path, added: splitLines(input.content).length, removed: 0 }];
+    case 'apply_patch':
+    case 'shell': {
+      const patch = getPatchText(call);
+      return patch && /^\*\*\* Begin Patch/m.test(patch) ? countPatchLines(patch) : [];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Line changes of every successful file edit in a conversation
+ */
+export function collectLineChanges(conv) {
+  return collectToolCalls(conv)
+    .filter(call => !call.result?.isError)
+    .flatMap(call => getToolCallLineChanges(call)
+      .filter(change => change.filePath && (change.added > 0 || change.removed > 0))
+      .map(change => ({ ...change, timestamp: call.timestamp })));
+}
+
+function createChurn() {
+  return { linesAdded: 0, linesRemoved: 0, netLines: 0, fileEdits: 0 };
+}
+
+function addChange(churn, change) {
+  churn.linesAdded += change.added;
+  churn.linesRemoved += change.removed;
+  churn.netLines += change.added - change.removed;
+  churn.fileEdits++;
+}
+
+/**
+ * Lines added and removed per conversation, project, language and day
+ */
+export function analyzeCodeChurn(conversations, { timeZone } = {}) {
+  const totals = createChurn();
+  const byProject = {};
+  const byLanguage = {};
+  const byDay = new Map();
+  const byConversation = [];
+  const changedFiles = new Set();
+
+  conversations.forEach(conv => {
+    const changes = collectLineChanges(conv);
+    if (changes.length === 0) {
+      return;
+    }
+
+    const projectName = conv.project || 'unknown';
+    const conversationChurn = createChurn();
+
+    changes.forEach(change => {
+      const language = getLanguage(change.filePath);
+      if (!byProject[projectName]) {
+        byProject[projectName] = createChurn();
+      }
+      if (!byLanguage[language]) {
+        byLanguage[language] = createChurn();
+      }
+
+      addChange(totals, change);
+      addChange(byProject[projectName], change);
+      addChange(byLanguage[language], change);
+      addChange(conversationChurn, change);
+      changedFiles.add(`${projectName}\u0000${change.filePath}`);
+
+      const dateKey = change.timestamp ? getTimestampDateKey(change.timestamp, timeZone) : null;
+      if (dateKey) {
+        if (!byDay.has(dateKey)) {
+          byDay.set(dateKey, { date: dateKey, ...createChurn() });
+        }
+        addChange(byDay.get(dateKey), change);
+      }
+    });
+
+    byConversation.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      ...conversationChurn
+    });
+  });
+
+  const sortByChurn = map => Object.fromEntries(
+    Object.entries(map).sort((a, b) =>
+      (b[1].linesAdded + b[1].linesRemoved) - (a[1].linesAdded + a[1].linesRemoved))
+  );
+
+  return {
+    totals: {
+      ...totals,
+      filesChanged: changedFiles.size
+    },
+    byProject: sortByChurn(byProject),
+    byLanguage: sortByChurn(byLanguage),
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    byConversation: byConversation
+      .sort((a, b) => (b.linesAdded + b.linesRemoved) - (a.linesAdded + a.linesRemoved))
+      .slice(0, TOP_CONVERSATIONS_LIMIT)
+  };
+}
+
+export default {
+  getLanguage,
+  countReplacedLines,
+  countPatchLines,
+  collectLineChanges,
+  analyzeCodeChurn
+};
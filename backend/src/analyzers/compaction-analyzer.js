@@ -0,0 +1,260 @@
+/**
+ * Find context compactions in Claude Code sessions, the token and turn depth
+ * they happened at, and how the session behaved before and after them
+ */
+
+import { collectToolCalls, getPercentile, isUserPrompt, roundTo } from './helpers.js';
+import { collectAssistantTurns } from './model-analyzer.js';
+import { normalizeUsage } from './usage-analyzer.js';
+
+const TOP_SESSIONS_LIMIT = 20;
+const DEPTH_BUCKETS = [
+  { label: '<50k', max: 50_000 },
+  { label: '50k-100k', max: 100_000 },
+  { label: '100k-150k', max: 150_000 },
+  { label: '150k-200k', max: 200_000 },
+  { label: '200k+', max: Infinity }
+];
+
+export function isCompactBoundary(msg) {
+  return msg.type === 'system' && msg.subtype === 'compact_boundary';
+}
+
+/**
+ * Tokens in the context window for one API response: everything sent as
+ * input, cached or not
+ */
+function getContextTokens(usage) {
+  return usage.inputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+}
+
+/**
+ * One entry per compact boundary in a conversation. `preTokens` comes from
+ * the boundary's `compactMetadata`, falling back to the context size of the
+ * last response before it. `turn` counts assistant turns since the start of
+ * the session and `segmentTurns` those since the previous compaction.
+ */
+export function detectCompactions(conv) {
+  const turns = collectAssistantTurns(conv);
+  const compactions = [];
+  let contextTokens = null;
+  let turnIndex = 0;
+  let segmentStart = 0;
+
+  conv.messages.forEach((msg, messageIndex) => {
+    while (turnIndex < turns.length && turns[turnIndex].messageIndex < messageIndex) {
+      turnIndex++;
+    }
+
+    if (msg.type === 'assistant') {
+      const usage = normalizeUsage(msg.message?.usage);
+      if (usage) {
+        contextTokens = getContextTokens(usage);
+      }
+      return;
+    }
+
+    if (!isCompactBoundary(msg)) {
+      return;
+    }
+    const metadata = msg.compactMetadata || {};
+    const preTokens = Number(metadata.preTokens) || contextTokens;
+    compactions.push({
+      messageIndex,
+      timestamp: msg.timestamp || null,
+      trigger: metadata.trigger || 'unknown',
+      preTokens: preTokens || null,
+      turn: turnIndex,
+      segmentTurns: turnIndex - segmentStart
+    });
+    segmentStart = turnIndex;
+    contextTokens = null;
+  });
+
+  return compactions;
+}
+
+function createPhaseStats() {
+  return {
+    sessions: 0,
+    turns: 0,
+    prompts: 0,
+    toolCalls: 0,
+    completedToolCalls: 0,
+    toolErrors: 0
+  };
+}
+
+function finalizePhaseStats(stats) {
+  return {
+    ...stats,
+    turnsPerPrompt: stats.prompts > 0 ? roundTo(stats.turns / stats.prompts, 1) : 0,
+    toolCallsPerTurn: stats.turns > 0 ? roundTo(stats.toolCalls / stats.turns, 2) : 0,
+    toolErrorRate: stats.completedToolCalls > 0
+      ? roundTo((stats.toolErrors / stats.completedToolCalls) * 100, 1)
+      : 0
+  };
+}
+
+/**
+ * Add a conversation's turns, prompts and tool calls to phase stats, picking
+ * the phase of each record by its message index
+ */
+function addPhaseActivity(conv, getPhase) {
+  const touched = new Set();
+  const visit = (messageIndex, apply) => {
+    const stats = getPhase(messageIndex);
+    touched.add(stats);
+    apply(stats);
+  };
+
+  collectAssistantTurns(conv).forEach(turn => visit(turn.messageIndex, stats => stats.turns++));
+  conv.messages.forEach((msg, messageIndex) => {
+    if (isUserPrompt(msg)) {
+      visit(messageIndex, stats => stats.prompts++);
+    }
+  });
+  collectToolCalls(conv).forEach(call => {
+    visit(call.messageIndex, stats => {
+      stats.toolCalls++;
+      if (call.result) {
+        stats.completedToolCalls++;
+        if (call.result.isError) {
+          stats.toolErrors++;
+        }
+      }
+    });
+  });
+
+  touched.forEach(stats => stats.sessions++);
+}
+
+function getMedian(values) {
+  return getPercentile([...values].sort((a, b) => a - b), 50);
+}
+
+/**
+ * Compaction counts and depth per project and session, and turn and tool
+ * error stats before the first compaction, after any compaction, and in
+ * sessions that never compacted. Summary records are counted separately;
+ * Claude Code writes them when a session resumes from summarized history.
+ */
+export function analyzeCompactions(conversations) {
+  const byProject = {};
+  const sessions = [];
+  const depthBuckets = DEPTH_BUCKETS.map(bucket => ({ label: bucket.label, compactions: 0 }));
+  const phases = {
+    beforeCompaction: createPhaseStats(),
+    afterCompaction: createPhaseStats(),
+    uncompacted: createPhaseStats()
+  };
+  const preTokenValues = [];
+  const turnValues = [];
+  const totals = {
+    sessions: 0,
+    compactedSessions: 0,
+    compactions: 0,
+    autoCompactions: 0,
+    manualCompactions: 0,
+    summaryRecords: 0,
+    sessionsWithSummaries: 0
+  };
+
+  conversations.forEach(conv => {
+    if ((conv.platform || 'claude') !== 'claude') {
+      return;
+    }
+
+    const projectName = conv.project || 'unknown';
+    if (!byProject[projectName]) {
+      byProject[projectName] = { sessions: 0, compactedSessions: 0, compactions: 0 };
+    }
+    const project = byProject[projectName];
+    const compactions = detectCompactions(conv);
+    const summaryRecords = conv.messages.filter(msg => msg.type === 'summary').length;
+
+    totals.sessions++;
+    project.sessions++;
+    totals.summaryRecords += summaryRecords;
+    totals.sessionsWithSummaries += summaryRecords > 0 ? 1 : 0;
+
+    if (compactions.length === 0) {
+      addPhaseActivity(conv, () => phases.uncompacted);
+      return;
+    }
+
+    const firstBoundary = compactions[0].messageIndex;
+    addPhaseActivity(conv, messageIndex =>
+      messageIndex < firstBoundary ? phases.beforeCompaction : phases.afterCompaction
+    );
+
+    totals.compactedSessions++;
+    totals.compactions += compactions.length;
+    project.compactedSessions++;
+    project.compactions += compactions.length;
+
+    compactions.forEach(compaction => {
+      if (compaction.trigger === 'auto') {
+        totals.autoCompactions++;
+      } else if (compaction.trigger === 'manual') {
+        totals.manualCompactions++;
+      }
+      if (compaction.preTokens) {
+        preTokenValues.push(compaction.preTokens);
+        const bucketIndex = DEPTH_BUCKETS.findIndex(bucket => compaction.preTokens < bucket.max);
+        depthBuckets[bucketIndex].compactions++;
+      }
+      turnValues.push(compaction.segmentTurns);
+    });
+
+    const knownPreTokens = compactions.map(compaction => compaction.preTokens).filter(Boolean);
+    sessions.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      compactions: compactions.length,
+      autoCompactions: compactions.filter(compaction => compaction.trigger === 'auto').length,
+      turns: collectAssistantTurns(conv).length,
+      firstCompactionTurn: compactions[0].turn,
+      avgPreTokens: knownPreTokens.length > 0
+        ? Math.round(knownPreTokens.reduce((sum, value) => sum + value, 0) / knownPreTokens.length)
+        : 0,
+      events: compactions
+    });
+  });
+
+  return {
+    totals: {
+      ...totals,
+      compactionRate: totals.sessions > 0 ? roundTo((totals.compactedSessions / totals.sessions) * 100, 1) : 0,
+      avgCompactionsPerCompactedSession: totals.compactedSessions > 0
+        ? roundTo(totals.compactions / totals.compactedSessions, 1)
+        : 0,
+      medianPreTokens: getMedian(preTokenValues),
+      medianTurnsBeforeCompaction: getMedian(turnValues)
+    },
+    depthBuckets,
+    phases: Object.fromEntries(
+      Object.entries(phases).map(([phase, stats]) => [phase, finalizePhaseStats(stats)])
+    ),
+    byProject: Object.fromEntries(
+      Object.entries(byProject)
+        .filter(([, stats]) => stats.compactions > 0)
+        .sort((a, b) => b[1].compactions - a[1].compactions)
+        .map(([projectName, stats]) => [projectName, {
+          ...stats,
+          compactionRate: roundTo((stats.compactedSessions / stats.sessions) * 100, 1)
+        }])
+    ),
+    sessions: sessions
+      .sort((a, b) => b.compactions - a.compactions || b.turns - a.turns)
+      .slice(0, TOP_SESSIONS_LIMIT)
+  };
+}
+
+export default {
+  isCompactBoundary,
+  detectCompactions,
+  analyzeCompactions
+};
@@ -2,6 +2,22 @@
  * Analyze conversation patterns and extract insights
  */
 
+import { getDefaultTimeZone, getTimestampDateKey, memoizeByConversation } from './helpers.js';
+import { analyzeTokenUsage } from './usage-analyzer.js';
+import { analyzeToolErrors } from './tool-error-analyzer.js';
+import { analyzeToolLatency } from './tool-latency-analyzer.js';
+import { analyzeBashCommands } from './bash-analyzer.js';
+import { analyzeFileActivity } from './file-activity-analyzer.js';
+import { analyzeCodeChurn, collectLineChanges } from './code-churn-analyzer.js';
+import { analyzeActiveTime, computeActiveTime, getActiveTimeConversations } from './active-time-analyzer.js';
+import { analyzeActivityHeatmap } from './activity-heatmap-analyzer.js';
+import { analyzeModels } from './model-analyzer.js';
+import { analyzeSubagents } from './subagent-analyzer.js';
+import { analyzeThreads } from './thread-analyzer.js';
+import { analyzeCompactions } from './compaction-analyzer.js';
+import { analyzeFriction } from './friction-analyzer.js';
+import { analyzeTasks, getTaskPatternCounts } from './task-analyzer.js';
+
 /**
  * Extract tool usage from conversation messages
  */
@@ -38,118 +54,69 @@ export function analyzeToolUsage(conversations) {
   };
 }
 
+const getConversationMetrics = memoizeByConversation(conv => {
+  const messageCount = conv.messages.length;
+  const userMessages = conv.messages.filter(m => m.type === 'user').length;
+  const assistantMessages = conv.messages.filter(m => m.type === 'assistant').length;
+
+  // Count tool uses
+  let toolUseCount = 0;
+  conv.messages.forEach(msg => {
+    if (msg.type === 'assistant' && msg.message?.content) {
+      const content = msg.message.content;
+      if (Array.isArray(content)) {
+        toolUseCount += content.filter(item => item.type === 'tool_use').length;
+      }
+    }
+  });
+
+  // Get timestamps
+  const timestamps = conv.messages
+    .map(m => m.timestamp)
+    .filter(Boolean);
+
+  const firstTimestamp = timestamps[0];
+  const lastTimestamp = timestamps[timestamps.length - 1];
+  const duration = firstTimestamp && lastTimestamp
+    ? new Date(lastTimestamp) - new Date(firstTimestamp)
+    : 0;
+
+  const activeTime = computeActiveTime(conv);
+  const lineChanges = collectLineChanges(conv);
+  const linesAdded = lineChanges.reduce((sum, change) => sum + change.added, 0);
+  const linesRemoved = lineChanges.reduce((sum, change) => sum + change.removed, 0);
+
+  return {
+    conversationId: conv.conversationId,
+    project: conv.project,
+    messageCount,
+    userMessages,
+    assistantMessages,
+    toolUseCount,
+    linesAdded,
+    linesRemoved,
+    duration,
+    activeDuration: activeTime.activeMs,
+    waitOnUser: activeTime.waitOnUserMs,
+    waitOnModel: activeTime.waitOnModelMs,
+    workSegments: activeTime.segments,
+    timestamp: firstTimestamp
+  };
+});
+
 /**
  * Analyze conversation length and complexity
  */
 export function analyzeConversationMetrics(conversations) {
-  const metrics = conversations.map(conv => {
-    const messageCount = conv.messages.length;
-    const userMessages = conv.messages.filter(m => m.type === 'user').length;
-    const assistantMessages = conv.messages.filter(m => m.type === 'assistant').length;
-
-    // Count tool uses
-    let toolUseCount = 0;
-    conv.messages.forEach(msg => {
-      if (msg.type === 'assistant' && msg.message?.content) {
-        const content = msg.message.content;
-        if (Array.isArray(content)) {
-          toolUseCount += content.filter(item => item.type === 'tool_use').length;
-        }
-      }
-    });
-
-    // Get timestamps
-    const timestamps = conv.messages
-      .map(m => m.timestamp)
-      .filter(Boolean);
-
-    const firstTimestamp = timestamps[0];
-    const lastTimestamp = timestamps[timestamps.length - 1];
-    const duration = firstTimestamp && lastTimestamp
-      ? new Date(lastTimestamp) - new Date(firstTimestamp)
-      : 0;
-
-    return {
-      conversationId: conv.conversationId,
-      project: conv.project,
-      messageCount,
-      userMessages,
-      assistantMessages,
-      toolUseCount,
-      duration,
-      timestamp: firstTimestamp
-    };
-  });
-
-  return metrics;
+  return conversations.map(conv => getConversationMetrics(conv));
 }
 
 /**
- * Identify common task patterns from user messages
+ * Sessions per task category, by the primary label the task classifier
+ * pipeline gives each session
  */
 export function analyzeTaskPatterns(conversations) {
-  const patterns = {
-    debugging: 0,
-    featureImplementation: 0,
-    codeReview: 0,
-    documentation: 0,
-    refactoring: 0,
-    testing: 0,
-    exploration: 0,
-    configuration: 0,
-    update: 0,
-    question: 0
-  };
-
-  const keywords = {
-    debugging: ['fix', 'error', 'bug', 'issue', 'broken', 'not working', 'debug', 'failing', 'crash'],
-    featureImplementation: ['add', 'create', 'implement', 'build', 'new feature', 'functionality', 'need to', 'want to'],
-    codeReview: ['review', 'look at', 'analyze', 'examine', 'can you check'],
-    documentation: ['document', 'readme', 'comment', 'docs', 'documentation'],
-    refactoring: ['refactor', 'improve', 'optimize', 'clean up', 'restructure', 'reorganize'],
-    testing: ['test', 'testing', 'unit test', 'integration test'],
-    exploration: ['how do', 'how can', 'what is', 'what does', 'explain', 'understand', 'learn', 'find', 'search', 'where'],
-    configuration: ['config', 'setup', 'install', 'configure', 'settings'],
-    update: ['update', 'change', 'modify', 'edit', 'replace', 'remove'],
-    question: ['?', 'why', 'when', 'should', 'could', 'would']
-  };
-
-  conversations.forEach(conv => {
-    const userMessages = conv.messages.filter(m => m.type === 'user');
-
-    userMessages.forEach(msg => {
-      const content = msg.message?.content;
-      if (typeof content === 'string') {
-        const lowerContent = content.toLowerCase();
-
-        // Try to match patterns with priority (more specific first)
-        let matched = false;
-        const priorityOrder = [
-          'debugging',
-          'featureImplementation',
-          'testing',
-          'refactoring',
-          'update',
-          'configuration',
-          'documentation',
-          'codeReview',
-          'exploration',
-          'question'
-        ];
-
-        for (const pattern of priorityOrder) {
-          const words = keywords[pattern];
-          if (words.some(word => lowerContent.includes(word))) {
-            patterns[pattern]++;
-            matched = true;
-            break;
-          }
-        }
-      }
-    });
-  });
-
-  return patterns;
+  return getTaskPatternCounts(analyzeTasks(conversations));
 }
 
 /**
@@ -320,11 +287,31 @@ export function analyzeToolSequences(conversations) {
   return topSequences;
 }
 
+/**
+ * Earliest and latest message timestamps of a conversation
+ */
+const getTimestampRange = memoizeByConversation(conv => {
+  let first = null;
+  let last = null;
+  conv.messages.forEach(msg => {
+    if (msg.timestamp) {
+      if (!first || msg.timestamp < first) {
+        first = msg.timestamp;
+      }
+      if (!last || msg.timestamp > last) {
+        last = msg.timestamp;
+      }
+    }
+  });
+  return { first, last };
+});
+
 /**
  * Analyze project activity
  */
 export function analyzeProjectActivity(conversations) {
   const projectStats = {};
+  const activeTimeConversations = new Set(getActiveTimeConversations(conversations));
 
   conversations.forEach(conv => {
     const project = conv.project || 'unknown';
@@ -332,45 +319,34 @@ export function analyzeProjectActivity(conversations) {
       projectStats[project] = {
         conversationCount: 0,
         messageCount: 0,
-        timestamps: []
+        activeTimeMs: 0,
+        waitOnUserMs: 0,
+        waitOnModelMs: 0
       };
     }
 
-    projectStats[project].conversationCount++;
-    projectStats[project].messageCount += conv.messages.length;
-
-    // Collect timestamps
-    conv.messages.forEach(msg => {
-      if (msg.timestamp) {
-        projectStats[project].timestamps.push(msg.timestamp);
-      }
-    });
-  });
-
-  // Calculate additional metrics for each project
-  Object.keys(projectStats).forEach(project => {
     const stats = projectStats[project];
-    const timestamps = stats.timestamps.sort();
-
-    if (timestamps.length > 0) {
-      stats.firstActivity = timestamps[0];
-      stats.lastActivity = timestamps[timestamps.length - 1];
+    stats.conversationCount++;
+    stats.messageCount += conv.messages.length;
+    if (activeTimeConversations.has(conv)) {
+      const activeTime = computeActiveTime(conv);
+      stats.activeTimeMs += activeTime.activeMs;
+      stats.waitOnUserMs += activeTime.waitOnUserMs;
+      stats.waitOnModelMs += activeTime.waitOnModelMs;
     }
 
-    delete stats.timestamps; // Remove raw timestamps from response
+    const { first, last } = getTimestampRange(conv);
+    if (first && (!stats.firstActivity || first < stats.firstActivity)) {
+      stats.firstActivity = first;
+    }
+    if (last && (!stats.lastActivity || last > stats.lastActivity)) {
+      stats.lastActivity = last;
+    }
   });
 
   return projectStats;
 }
 
-function getTimestampDateKey(timestamp) {
-  const date = new Date(timestamp);
-  if (Number.isNaN(date.getTime())) {
-    return null;
-  }
-  return date.toISOString().slice(0, 10);
-}
-
 function countToolUsesInMessage(msg) {
   if (msg.type !== 'assistant' || !Array.isArray(msg.message?.content)) {
     return 0;
@@ -378,61 +354,106 @@ function countToolUsesInMessage(msg) {
   return msg.message.content.filter(item => item.type === 'tool_use').length;
 }
 
+function createTimelineDay(dateKey) {
+  return {
+    date: dateKey,
+    sessions: 0,
+    subagentRuns: 0,
+    totalConversations: 0,
+    chatMessages: 0,
+    totalEvents: 0,
+    toolUses: 0,
+    linesAdded: 0,
+    linesRemoved: 0,
+    activeMs: 0,
+    waitOnUserMs: 0,
+    waitOnModelMs: 0
+  };
+}
+
+/**
+ * Daily totals of one conversation, keyed by date in the time zone
+ */
+const getConversationTimeline = memoizeByConversation((conv, timeZone) => {
+  const days = new Map();
+  let firstDateKey = null;
+
+  function getOrCreateDay(dateKey) {
+    if (!days.has(dateKey)) {
+      days.set(dateKey, createTimelineDay(dateKey));
+    }
+    return days.get(dateKey);
+  }
+
+  const messageDateKeys = conv.messages.map(msg => {
+    const dateKey = msg.timestamp ? getTimestampDateKey(msg.timestamp, timeZone) : null;
+    if (dateKey && (!firstDateKey || dateKey < firstDateKey)) {
+      firstDateKey = dateKey;
+    }
+    return dateKey;
+  });
+
+  if (!firstDateKey) {
+    return days;
+  }
+
+  conv.messages.forEach((msg, index) => {
+    const day = getOrCreateDay(messageDateKeys[index] || firstDateKey);
+    day.totalEvents++;
+    if (msg.type === 'user' || msg.type === 'assistant') {
+      day.chatMessages++;
+    }
+    day.toolUses += countToolUsesInMessage(msg);
+  });
+
+  collectLineChanges(conv).forEach(change => {
+    const dateKey = change.timestamp ? getTimestampDateKey(change.timestamp, timeZone) : null;
+    const day = getOrCreateDay(dateKey || firstDateKey);
+    day.linesAdded += change.added;
+    day.linesRemoved += change.removed;
+  });
+
+  const day = getOrCreateDay(firstDateKey);
+  day.totalConversations++;
+  if (conv.source === 'subagent') {
+    day.subagentRuns++;
+  } else {
+    day.sessions++;
+  }
+  return days;
+}, timeZone => timeZone);
+
 /**
  * Analyze timeline progression over time (daily)
  */
-export function analyzeTimeline(conversations) {
+export function analyzeTimeline(conversations, { timeZone = getDefaultTimeZone() } = {}) {
   const timelineByDay = new Map();
 
   function getOrCreateDay(dateKey) {
     if (!timelineByDay.has(dateKey)) {
-      timelineByDay.set(dateKey, {
-        date: dateKey,
-        sessions: 0,
-        subagentRuns: 0,
-        totalConversations: 0,
-        chatMessages: 0,
-        totalEvents: 0,
-        toolUses: 0
-      });
+      timelineByDay.set(dateKey, createTimelineDay(dateKey));
     }
     return timelineByDay.get(dateKey);
   }
 
   conversations.forEach(conv => {
-    let firstDateKey = null;
-
-    conv.messages.forEach(msg => {
-      if (msg.timestamp) {
-        const dateKey = getTimestampDateKey(msg.timestamp);
-        if (dateKey && (!firstDateKey || dateKey < firstDateKey)) {
-          firstDateKey = dateKey;
+    getConversationTimeline(conv, timeZone).forEach((convDay, dateKey) => {
+      const day = getOrCreateDay(dateKey);
+      Object.keys(convDay).forEach(field => {
+        if (field !== 'date') {
+          day[field] += convDay[field];
         }
-      }
+      });
     });
+  });
 
-    if (!firstDateKey) {
-      return;
-    }
-
-    conv.messages.forEach(msg => {
-      const dateKey = msg.timestamp ? getTimestampDateKey(msg.timestamp) : firstDateKey;
-      const day = getOrCreateDay(dateKey || firstDateKey);
-      day.totalEvents++;
-      if (msg.type === 'user' || msg.type === 'assistant') {
-        day.chatMessages++;
-      }
-      day.toolUses += countToolUsesInMessage(msg);
+  getActiveTimeConversations(conversations).forEach(conv => {
+    computeActiveTime(conv, { timeZone }).byDay.forEach((activeDay, dateKey) => {
+      const day = getOrCreateDay(dateKey);
+      day.activeMs += activeDay.activeMs;
+      day.waitOnUserMs += activeDay.waitOnUserMs;
+      day.waitOnModelMs += activeDay.waitOnModelMs;
     });
-
-    const day = getOrCreateDay(firstDateKey);
-    const isSubagent = conv.source === 'subagent';
-    day.totalConversations++;
-    if (isSubagent) {
-      day.subagentRuns++;
-    } else {
-      day.sessions++;
-    }
   });
 
   const byDay = Array.from(timelineByDay.values())
@@ -444,6 +465,8 @@ export function analyzeTimeline(conversations) {
   let cumulativeChatMessages = 0;
   let cumulativeTotalEvents = 0;
   let cumulativeToolUses = 0;
+  let cumulativeLinesAdded = 0;
+  let cumulativeLinesRemoved = 0;
 
   byDay.forEach(day => {
     cumulativeConversations += day.totalConversations;
@@ -452,6 +475,8 @@ export function analyzeTimeline(conversations) {
     cumulativeChatMessages += day.chatMessages;
     cumulativeTotalEvents += day.totalEvents;
     cumulativeToolUses += day.toolUses;
+    cumulativeLinesAdded += day.linesAdded;
+    cumulativeLinesRemoved += day.linesRemoved;
 
     day.cumulativeConversations = cumulativeConversations;
     day.cumulativeSessions = cumulativeSessions;
@@ -459,6 +484,8 @@ export function analyzeTimeline(conversations) {
     day.cumulativeChatMessages = cumulativeChatMessages;
     day.cumulativeTotalEvents = cumulativeTotalEvents;
     day.cumulativeToolUses = cumulativeToolUses;
+    day.cumulativeLinesAdded = cumulativeLinesAdded;
+    day.cumulativeLinesRemoved = cumulativeLinesRemoved;
   });
 
   return {
@@ -625,15 +652,29 @@ function getToolUseCase(tool) {
 /**
  * Generate overall analytics summary
  */
-export function generateSummary(conversations) {
+export function generateSummary(conversations, { timeZone } = {}) {
   const toolUsage = analyzeToolUsage(conversations);
   const metrics = analyzeConversationMetrics(conversations);
-  const taskPatterns = analyzeTaskPatterns(conversations);
+  const taskClassification = analyzeTasks(conversations, { timeZone });
+  const taskPatterns = getTaskPatternCounts(taskClassification);
   const projectActivity = analyzeProjectActivity(conversations);
-  const timeline = analyzeTimeline(conversations);
+  const timeline = analyzeTimeline(conversations, { timeZone });
   const promptingPatterns = analyzePromptingPatterns(conversations);
   const conversationFlows = analyzeConversationFlows(conversations);
   const toolSequences = analyzeToolSequences(conversations);
+  const usage = analyzeTokenUsage(conversations, undefined, { timeZone });
+  const toolErrors = analyzeToolErrors(conversations, { timeZone });
+  const toolLatency = analyzeToolLatency(conversations, { timeZone });
+  const bashCommands = analyzeBashCommands(conversations);
+  const fileActivity = analyzeFileActivity(conversations);
+  const codeChurn = analyzeCodeChurn(conversations, { timeZone });
+  const activeTime = analyzeActiveTime(conversations, { timeZone });
+  const activityHeatmap = analyzeActivityHeatmap(conversations, { timeZone });
+  const models = analyzeModels(conversations, { timeZone });
+  const subagents = analyzeSubagents(conversations);
+  const threads = analyzeThreads(conversations);
+  const compactions = analyzeCompactions(conversations);
+  const friction = analyzeFriction(conversations, { timeZone });
 
   // Generate intelligent recommendations based on all patterns
   const recommendations = generateRecommendations(
@@ -646,6 +687,9 @@ export function generateSummary(conversations) {
 
   const totalMessages = metrics.reduce((sum, m) => sum + m.messageCount, 0);
   const totalToolUses = metrics.reduce((sum, m) => sum + m.toolUseCount, 0);
+  const totalLinesAdded = metrics.reduce((sum, m) => sum + m.linesAdded, 0);
+  const totalLinesRemoved = metrics.reduce((sum, m) => sum + m.linesRemoved, 0);
+  const totalActiveTime = activeTime.totals.activeMs;
   const avgMessagesPerConversation = totalMessages / conversations.length || 0;
   const totalSubagentRuns = conversations.filter(conv => conv.source === 'subagent').length;
   const totalSessions = conversations.length - totalSubagentRuns;
@@ -657,18 +701,41 @@ export function generateSummary(conversations) {
       totalSubagentRuns,
       totalMessages,
       totalToolUses,
+      totalLinesAdded,
+      totalLinesRemoved,
+      totalActiveTime,
       avgMessagesPerConversation: Math.round(avgMessagesPerConversation * 10) / 10,
       totalProjects: Object.keys(projectActivity).length
     },
     toolUsage,
+    toolErrors,
+    toolLatency,
+    bashCommands,
+    fileActivity,
+    codeChurn,
+    activityHeatmap,
+    models,
+    subagents,
+    threads,
+    compactions,
+    friction,
+    activeTime: {
+      ...activeTime,
+      byConversation: activeTime.byConversation.slice(0, 10) // Longest 10 for overview
+    },
     conversationMetrics: metrics.slice(0, 20), // Latest 20 for overview
     taskPatterns,
+    taskClassification,
     projectActivity,
     timeline,
     recommendations,
     promptingPatterns,
     conversationFlows,
-    toolSequences
+    toolSequences,
+    usage: {
+      ...usage,
+      byConversation: usage.byConversation.slice(0, 20) // Most expensive 20 for overview
+    }
   };
 }
 
@@ -0,0 +1,171 @@
+/**
+ * Filter conversations by date range, project, machine, model and subagent
+ * runs, and optionally reduce them to their main message path
+ */
+
+import {
+  getConversationModels,
+  getDefaultTimeZone,
+  getTimestampDateKey,
+  getZonedDayBoundary,
+  isValidTimeZone
+} from './helpers.js';
+import { getMainPathConversation } from '../parsers/thread-builder.js';
+
+export const SUBAGENT_MODES = ['include', 'exclude', 'only'];
+export const THREAD_MODES = ['all', 'main'];
+
+function parseListParam(value) {
+  if (!value) {
+    return null;
+  }
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+}
+
+/**
+ * Parse an ISO date parameter. Returns null when absent and undefined when
+ * invalid, including days that do not exist such as 2025-02-30, which the
+ * Date constructor would roll over into the next month. Date-only values are
+ * days in `timeZone` and cover the whole day when `endOfDay` is set.
+ */
+export function parseDateParam(value, { endOfDay = false, timeZone = getDefaultTimeZone() } = {}) {
+  if (!value) {
+    return null;
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const date = getZonedDayBoundary(value, timeZone, { endOfDay });
+    return getTimestampDateKey(date, timeZone) === value ? date : undefined;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return undefined;
+  }
+  const datePart = String(value).match(/^\d{4}-\d{2}-\d{2}(?=T)/)?.[0];
+  return !datePart || getTimestampDateKey(`${datePart}T00:00:00Z`, 'UTC') === datePart ? date : undefined;
+}
+
+/**
+ * Parse filter query parameters. Returns `{ filters }` or `{ error }`.
+ */
+export function parseFilterParams(query = {}) {
+  const timeZone = query.tz || getDefaultTimeZone();
+  if (!isValidTimeZone(timeZone)) {
+    return { error: `Unknown time zone "${timeZone}"` };
+  }
+
+  const from = parseDateParam(query.from, { timeZone });
+  const to = parseDateParam(query.to, { endOfDay: true, timeZone });
+  if (from === undefined || to === undefined) {
+    return { error: 'Dates must be ISO 8601, e.g. 2025-01-31' };
+  }
+
+  const subagent = query.subagent || 'include';
+  if (!SUBAGENT_MODES.includes(subagent)) {
+    return { error: `Invalid subagent mode "${subagent}", expected ${SUBAGENT_MODES.join(', ')}` };
+  }
+
+  const thread = query.thread || 'all';
+  if (!THREAD_MODES.includes(thread)) {
+    return { error: `Invalid thread mode "${thread}", expected ${THREAD_MODES.join(', ')}` };
+  }
+
+  return {
+    filters: {
+      from,
+      to,
+      projects: parseListParam(query.project),
+      machines: parseListParam(query.machine),
+      models: parseListParam(query.model)?.map(model => model.toLowerCase()) || null,
+      subagent,
+      thread,
+      timeZone
+    }
+  };
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean(
+    filters &&
+    (filters.from || filters.to || filters.projects || filters.machines || filters.models ||
+      filters.subagent !== 'include' || filters.thread === 'main' ||
+      (filters.timeZone && filters.timeZone !== getDefaultTimeZone()))
+  );
+}
+
+/**
+ * Stable key for caching results computed from a filter set
+ */
+export function getFilterKey(filters) {
+  return JSON.stringify([
+    filters.from?.toISOString() || null,
+    filters.to?.toISOString() || null,
+    filters.projects,
+    filters.machines,
+    filters.models,
+    filters.subagent,
+    filters.thread,
+    filters.timeZone
+  ]);
+}
+
+function isInDateRange(timestamp, from, to) {
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) {
+    return false;
+  }
+  return (!from || time >= from.getTime()) && (!to || time <= to.getTime());
+}
+
+/**
+ * Apply filters to conversations. A date range trims each conversation to
+ * the messages inside it and drops conversations with no activity in range.
+ * Records without a timestamp are kept alongside in-range messages. With
+ * `thread: 'main'`, abandoned branches and sidechains are dropped first.
+ */
+export function applyConversationFilters(conversations, filters) {
+  if (!hasActiveFilters(filters)) {
+    return conversations;
+  }
+
+  const { from, to, projects, machines, models, subagent, thread } = filters;
+
+  return conversations.reduce((result, conv) => {
+    const isSubagent = conv.source === 'subagent';
+    if ((subagent === 'exclude' && isSubagent) || (subagent === 'only' && !isSubagent)) {
+      return result;
+    }
+    if (projects && !projects.includes(conv.project || 'unknown')) {
+      return result;
+    }
+    if (machines && !machines.includes(conv.machine)) {
+      return result;
+    }
+    if (models) {
+      const conversationModels = Array.from(getConversationModels(conv)).map(model => model.toLowerCase());
+      if (!models.some(model => conversationModels.some(name => name.includes(model)))) {
+        return result;
+      }
+    }
+
+    const threadConv = thread === 'main' ? getMainPathConversation(conv) : conv;
+    if (!from && !to) {
+      result.push(threadConv);
+      return result;
+    }
+
+    const messages = threadConv.messages.filter(msg => !msg.timestamp || isInDateRange(msg.timestamp, from, to));
+    if (messages.some(msg => msg.timestamp)) {
+      result.push(messages.length === threadConv.messages.length ? threadConv : { ...threadConv, messages });
+    }
+    return result;
+  }, []);
+}
+
+export default {
+  parseDateParam,
+  parseFilterParams,
+  hasActiveFilters,
+  getFilterKey,
+  applyConversationFilters
+};
@@ -0,0 +1,211 @@
+/**
+ * Map which files and directories agents read, edit and write
+ */
+
+import path from 'path';
+import { collectToolCalls } from './helpers.js';
+
+const FILE_OPERATIONS = {
+  Read: 'reads',
+  NotebookRead: 'reads',
+  Edit: 'edits',
+  MultiEdit: 'edits',
+  NotebookEdit: 'edits',
+  Write: 'writes',
+  Glob: 'searches',
+  Grep: 'searches'
+};
+
+const HOT_FILE_MIN_SESSIONS = 3;
+const READ_ONLY_MIN_READS = 3;
+const TOP_FILES_LIMIT = 100;
+const TOP_DIRECTORIES_LIMIT = 50;
+const HIGHLIGHT_LIMIT = 20;
+const TREE_FILES_LIMIT = 300;
+
+/**
+ * Working directory of a conversation. Claude Code stamps `cwd` on every
+ * record; Codex sessions use the cwd as their project.
+ */
+export function getConversationCwd(conv) {
+  const record = conv.messages.find(msg => typeof msg.cwd === 'string' && msg.cwd);
+  if (record) {
+    return record.cwd;
+  }
+  return typeof conv.project === 'string' && path.isAbsolute(conv.project) ? conv.project : null;
+}
+
+/**
+ * Express a tool path relative to the session cwd with forward slashes.
+ * Paths outside the cwd stay absolute.
+ */
+export function normalizeFilePath(filePath, cwd) {
+  const normalized = path.posix.normalize(String(filePath).replace(/\\/g, '/'));
+  if (!cwd) {
+    return normalized;
+  }
+  const root = path.posix.normalize(String(cwd).replace(/\\/g, '/')).replace(/\/$/, '');
+  if (normalized === root) {
+    return '.';
+  }
+  if (normalized.startsWith(`${root}/`)) {
+    return normalized.slice(root.length + 1);
+  }
+  return normalized;
+}
+
+function getToolPath(call) {
+  const input = call.input || {};
+  return input.file_path || input.notebook_path || input.path || null;
+}
+
+function createFileStats(project, filePath) {
+  return {
+    project,
+    path: filePath,
+    reads: 0,
+    edits: 0,
+    writes: 0,
+    searches: 0,
+    failedEdits: 0,
+    sessions: new Set(),
+    editSessions: new Set()
+  };
+}
+
+function getActivity(stats) {
+  return stats.reads + stats.edits + stats.writes + stats.searches;
+}
+
+function finalizeFileStats({ sessions, editSessions, ...stats }) {
+  return {
+    ...stats,
+    total: getActivity(stats),
+    sessionCount: sessions.size,
+    editSessionCount: editSessions.size
+  };
+}
+
+/**
+ * Nest the most active files under project and directory nodes. Each node
+ * carries the summed activity of its subtree as `value`.
+ */
+function buildFileTree(files) {
+  const root = { name: 'All projects', path: '', value: 0, children: [] };
+
+  files.forEach(file => {
+    let node = root;
+    const segments = [file.project, ...file.path.split('/').filter(segment => segment && segment !== '.')];
+    segments.forEach((segment, index) => {
+      const isLeaf = index === segments.length - 1;
+      let child = node.children.find(item => item.name === segment);
+      if (!child) {
+        child = {
+          name: segment,
+          path: index === 0 ? '' : segments.slice(1, index + 1).join('/'),
+          value: 0,
+          ...(isLeaf ? { reads: file.reads, edits: file.edits, writes: file.writes } : { children: [] })
+        };
+        node.children.push(child);
+      }
+      child.value += file.total;
+      node = child;
+    });
+    root.value += file.total;
+  });
+
+  return root;
+}
+
+/**
+ * Per-file and per-directory read, edit, write and search counts, files
+ * edited across many sessions, files read repeatedly but never changed, and
+ * files whose edits keep failing
+ */
+export function analyzeFileActivity(conversations) {
+  const files = new Map();
+  const directories = new Map();
+  const totals = { reads: 0, edits: 0, writes: 0, searches: 0 };
+
+  conversations.forEach(conv => {
+    const project = conv.project || 'unknown';
+    const sessionId = conv.parentConversationId || conv.conversationId;
+    const conversationCwd = getConversationCwd(conv);
+
+    collectToolCalls(conv).forEach(call => {
+      const operation = FILE_OPERATIONS[call.name];
+      const toolPath = operation ? getToolPath(call) : null;
+      if (!toolPath) {
+        return;
+      }
+
+      const cwd = conv.messages[call.messageIndex]?.cwd || conversationCwd;
+      const filePath = normalizeFilePath(toolPath, cwd);
+      const key = `${project}\u0000${filePath}`;
+      if (!files.has(key)) {
+        files.set(key, createFileStats(project, filePath));
+      }
+
+      const stats = files.get(key);
+      stats[operation]++;
+      totals[operation]++;
+      stats.sessions.add(sessionId);
+      if (operation === 'edits' || operation === 'writes') {
+        stats.editSessions.add(sessionId);
+        if (call.result?.isError) {
+          stats.failedEdits++;
+        }
+      }
+
+      // Searches already target a directory; everything else counts toward its parent
+      const directory = operation === 'searches' ? filePath : path.posix.dirname(filePath);
+      const directoryKey = `${project}\u0000${directory}`;
+      if (!directories.has(directoryKey)) {
+        directories.set(directoryKey, createFileStats(project, directory));
+      }
+      const directoryStats = directories.get(directoryKey);
+      directoryStats[operation]++;
+      directoryStats.sessions.add(sessionId);
+      if (operation === 'edits' || operation === 'writes') {
+        directoryStats.editSessions.add(sessionId);
+      }
+    });
+  });
+
+  const fileList = Array.from(files.values())
+    .filter(stats => stats.reads + stats.edits + stats.writes > 0)
+    .map(finalizeFileStats)
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    totals: {
+      files: fileList.length,
+      directories: directories.size,
+      ...totals
+    },
+    files: fileList.slice(0, TOP_FILES_LIMIT),
+    directories: Array.from(directories.values())
+      .map(finalizeFileStats)
+      .sort((a, b) => b.total - a.total)
+      .slice(0, TOP_DIRECTORIES_LIMIT),
+    hotFiles: fileList
+      .filter(file => file.editSessionCount >= HOT_FILE_MIN_SESSIONS)
+      .sort((a, b) => b.editSessionCount - a.editSessionCount || b.edits - a.edits)
+      .slice(0, HIGHLIGHT_LIMIT),
+    readOnlyFiles: fileList
+      .filter(file => file.edits === 0 && file.writes === 0 && file.reads >= READ_ONLY_MIN_READS)
+      .sort((a, b) => b.reads - a.reads)
+      .slice(0, HIGHLIGHT_LIMIT),
+    failedEditFiles: fileList
+      .filter(file => file.failedEdits > 0)
+      .sort((a, b) => b.failedEdits - a.failedEdits)
+      .slice(0, HIGHLIGHT_LIMIT),
+    tree: buildFileTree(fileList.slice(0, TREE_FILES_LIMIT))
+  };
+}
+
+export default {
+  getConversationCwd,
+  normalizeFilePath,
+  analyzeFileActivity
+};
@@ -0,0 +1,246 @@
+/**
+ * Find the points where the user stopped the agent: interrupted responses,
+ * rejected tool calls and denied permissions
+ */
+
+import {
+  collectToolCalls,
+  getTimestampDateKey,
+  isInterruptionMarker,
+  isUserPrompt,
+  roundTo
+} from './helpers.js';
+
+const TOP_SESSIONS_LIMIT = 20;
+const SESSION_EVENTS_LIMIT = 10;
+
+// Tool results Claude Code and Codex write when the user declines a call
+const REJECTION_PATTERNS = [
+  /^The user doesn't want to (proceed with this tool use|take this action)/,
+  /^User rejected tool use/,
+  /rejected by (the )?user/i
+];
+// Tool results for calls blocked by permission settings or hooks
+const PERMISSION_DENIAL_PATTERNS = [
+  /^Permission to use .+ has been denied/,
+  /requested permissions to use .+ but you haven't granted it yet/,
+  /^Hook PreToolUse:.+ denied this tool/
+];
+
+/**
+ * Friction kind of a completed tool call, or null when the user let it run
+ */
+export function classifyToolResult(result) {
+  if (!result) {
+    return null;
+  }
+  const text = [result.payload, result.text]
+    .filter(value => typeof value === 'string')
+    .map(value => value.replace(/<\/?tool_use_error>/g, '').trim())
+    .join('\n');
+  if (PERMISSION_DENIAL_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'permissionDenial';
+  }
+  if (REJECTION_PATTERNS.some(pattern => pattern.test(text))) {
+    return 'rejection';
+  }
+  return null;
+}
+
+/**
+ * Interruptions, rejections and permission denials in a conversation, in
+ * order. Interruptions are attributed to the last tool called since the
+ * latest prompt, or to no tool when the user stopped a text response.
+ * Claude Code follows a rejected call with an interruption marker; that
+ * marker is part of the rejection and not counted again.
+ */
+export function detectFrictionEvents(conv) {
+  const calls = collectToolCalls(conv);
+  const callsByIndex = new Map();
+  calls.forEach(call => {
+    if (!callsByIndex.has(call.messageIndex)) {
+      callsByIndex.set(call.messageIndex, []);
+    }
+    callsByIndex.get(call.messageIndex).push(call);
+  });
+  const declinedByIndex = new Map();
+  calls.forEach(call => {
+    const kind = classifyToolResult(call.result);
+    if (!kind) {
+      return;
+    }
+    if (!declinedByIndex.has(call.result.messageIndex)) {
+      declinedByIndex.set(call.result.messageIndex, []);
+    }
+    declinedByIndex.get(call.result.messageIndex).push({ call, kind });
+  });
+
+  const events = [];
+  let lastTool = null;
+  let pendingRejection = false;
+
+  conv.messages.forEach((msg, messageIndex) => {
+    (callsByIndex.get(messageIndex) || []).forEach(call => {
+      lastTool = call.name;
+    });
+    if (msg.type === 'assistant') {
+      pendingRejection = false;
+    }
+
+    (declinedByIndex.get(messageIndex) || []).forEach(({ call, kind }) => {
+      events.push({
+        kind,
+        tool: call.name,
+        messageIndex: call.messageIndex,
+        timestamp: call.result.timestamp || call.timestamp || null
+      });
+      pendingRejection = true;
+    });
+
+    if (isInterruptionMarker(msg)) {
+      if (!pendingRejection) {
+        events.push({
+          kind: 'interruption',
+          tool: lastTool,
+          messageIndex,
+          timestamp: msg.timestamp || null
+        });
+      }
+      pendingRejection = false;
+      lastTool = null;
+    } else if (isUserPrompt(msg)) {
+      lastTool = null;
+    }
+  });
+
+  return events;
+}
+
+function createFrictionCounts() {
+  return { interruption: 0, rejection: 0, permissionDenial: 0, total: 0 };
+}
+
+function addEvent(counts, event) {
+  counts[event.kind]++;
+  counts.total++;
+}
+
+/**
+ * Friction events per tool, project, day and session. Tool rates divide by
+ * the tool's calls; session and project rates by user prompts.
+ */
+export function analyzeFriction(conversations, { timeZone } = {}) {
+  const totals = {
+    ...createFrictionCounts(),
+    sessions: 0,
+    sessionsWithFriction: 0,
+    prompts: 0,
+    toolCalls: 0,
+    interruptedTextResponses: 0
+  };
+  const byTool = {};
+  const byProject = {};
+  const byDay = new Map();
+  const sessions = [];
+
+  conversations.forEach(conv => {
+    const projectName = conv.project || 'unknown';
+    if (!byProject[projectName]) {
+      byProject[projectName] = { ...createFrictionCounts(), sessions: 0, sessionsWithFriction: 0, prompts: 0 };
+    }
+    const project = byProject[projectName];
+    const prompts = conv.messages.filter(isUserPrompt).length;
+    const calls = collectToolCalls(conv);
+    const events = detectFrictionEvents(conv);
+
+    totals.sessions++;
+    totals.prompts += prompts;
+    totals.toolCalls += calls.length;
+    project.sessions++;
+    project.prompts += prompts;
+    calls.forEach(call => {
+      if (!byTool[call.name]) {
+        byTool[call.name] = { ...createFrictionCounts(), calls: 0 };
+      }
+      byTool[call.name].calls++;
+    });
+
+    if (events.length === 0) {
+      return;
+    }
+    totals.sessionsWithFriction++;
+    project.sessionsWithFriction++;
+
+    const sessionCounts = createFrictionCounts();
+    events.forEach(event => {
+      addEvent(totals, event);
+      addEvent(project, event);
+      addEvent(sessionCounts, event);
+      if (event.tool) {
+        if (!byTool[event.tool]) {
+          byTool[event.tool] = { ...createFrictionCounts(), calls: 0 };
+        }
+        addEvent(byTool[event.tool], event);
+      } else {
+        totals.interruptedTextResponses++;
+      }
+      const dateKey = event.timestamp ? getTimestampDateKey(event.timestamp, timeZone) : null;
+      if (dateKey) {
+        if (!byDay.has(dateKey)) {
+          byDay.set(dateKey, { date: dateKey, ...createFrictionCounts() });
+        }
+        addEvent(byDay.get(dateKey), event);
+      }
+    });
+
+    sessions.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      ...sessionCounts,
+      prompts,
+      events: events.slice(0, SESSION_EVENTS_LIMIT)
+    });
+  });
+
+  const perHundredPrompts = (count, prompts) => prompts > 0 ? roundTo((count / prompts) * 100, 1) : 0;
+
+  return {
+    totals: {
+      ...totals,
+      eventsPerHundredPrompts: perHundredPrompts(totals.total, totals.prompts),
+      rejectionRate: totals.toolCalls > 0
+        ? roundTo(((totals.rejection + totals.permissionDenial) / totals.toolCalls) * 100, 2)
+        : 0
+    },
+    byTool: Object.fromEntries(
+      Object.entries(byTool)
+        .filter(([, counts]) => counts.total > 0)
+        .sort((a, b) => b[1].total - a[1].total)
+        .map(([tool, counts]) => [tool, {
+          ...counts,
+          frictionRate: counts.calls > 0 ? roundTo((counts.total / counts.calls) * 100, 1) : 0
+        }])
+    ),
+    byProject: Object.fromEntries(
+      Object.entries(byProject)
+        .filter(([, counts]) => counts.total > 0)
+        .sort((a, b) => b[1].total - a[1].total)
+        .map(([projectName, counts]) => [projectName, {
+          ...counts,
+          eventsPerHundredPrompts: perHundredPrompts(counts.total, counts.prompts)
+        }])
+    ),
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    sessions: sessions
+      .sort((a, b) => b.total - a.total || b.rejection - a.rejection)
+      .slice(0, TOP_SESSIONS_LIMIT)
+  };
+}
+
+export default {
+  classifyToolResult,
+  detectFrictionEvents,
+  analyzeFriction
+};
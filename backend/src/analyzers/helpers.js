@@ -0,0 +1,294 @@
+/**
+ * Shared helpers used across analyzers
+ */
+
+const UTC_TIME_ZONES = new Set([
+  'UTC', 'Etc/UTC', 'Etc/UCT', 'UCT', 'Etc/Universal', 'Universal', 'Etc/Zulu', 'Zulu',
+  'GMT', 'Etc/GMT', 'Etc/GMT0', 'Etc/GMT+0', 'Etc/GMT-0', 'GMT0', 'GMT+0', 'GMT-0', 'Etc/Greenwich', 'Greenwich'
+]);
+// Zone offsets are looked up per quarter hour of UTC time, the finest step
+// at which offsets change
+const OFFSET_BUCKET_MS = 15 * 60 * 1000;
+const OFFSET_CACHE_LIMIT = 100000;
+const zonedFormatters = new Map();
+const zoneOffsets = new Map();
+let defaultTimeZone = null;
+
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Time zone used to bucket activity by day and hour: ANALYTICS_TIMEZONE
+ * when set to a valid IANA name, otherwise the server's local time zone.
+ * Resolved once per value of ANALYTICS_TIMEZONE.
+ */
+export function getDefaultTimeZone() {
+  const configured = process.env.ANALYTICS_TIMEZONE;
+  if (!defaultTimeZone || defaultTimeZone.configured !== configured) {
+    defaultTimeZone = {
+      configured,
+      timeZone: isValidTimeZone(configured)
+        ? configured
+        : Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+    };
+  }
+  return defaultTimeZone.timeZone;
+}
+
+function isUtcTimeZone(timeZone) {
+  return UTC_TIME_ZONES.has(timeZone);
+}
+
+function getZonedFormatter(timeZone) {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return zonedFormatters.get(timeZone);
+}
+
+/**
+ * Offset of a time zone from UTC in milliseconds at an instant
+ */
+function getZoneOffset(time, timeZone) {
+  if (isUtcTimeZone(timeZone)) {
+    return 0;
+  }
+  if (!zoneOffsets.has(timeZone)) {
+    zoneOffsets.set(timeZone, new Map());
+  }
+  const offsets = zoneOffsets.get(timeZone);
+  const bucket = Math.floor(time / OFFSET_BUCKET_MS);
+  if (!offsets.has(bucket)) {
+    if (offsets.size >= OFFSET_CACHE_LIMIT) {
+      offsets.clear();
+    }
+    const bucketStart = bucket * OFFSET_BUCKET_MS;
+    const parts = Object.fromEntries(
+      getZonedFormatter(timeZone).formatToParts(new Date(bucketStart)).map(part => [part.type, part.value])
+    );
+    const zonedTime = Date.UTC(
+      Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+      Number(parts.hour), Number(parts.minute), Number(parts.second)
+    );
+    offsets.set(bucket, zonedTime - bucketStart);
+  }
+  return offsets.get(bucket);
+}
+
+/**
+ * Calendar date, hour and weekday of a timestamp in a time zone
+ */
+export function getZonedDateParts(timestamp, timeZone = getDefaultTimeZone()) {
+  const time = new Date(timestamp).getTime();
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  const zoned = new Date(time + getZoneOffset(time, timeZone));
+  return {
+    dateKey: zoned.toISOString().slice(0, 10),
+    hour: zoned.getUTCHours(),
+    minute: zoned.getUTCMinutes(),
+    second: zoned.getUTCSeconds(),
+    weekday: zoned.getUTCDay()
+  };
+}
+
+export function getTimestampDateKey(timestamp, timeZone = getDefaultTimeZone()) {
+  return getZonedDateParts(timestamp, timeZone)?.dateKey || null;
+}
+
+/**
+ * The instant a calendar date starts (or ends, with `endOfDay`) in a time zone
+ */
+export function getZonedDayBoundary(dateKey, timeZone = getDefaultTimeZone(), { endOfDay = false } = {}) {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const target = endOfDay
+    ? Date.UTC(year, month - 1, day, 23, 59, 59, 999)
+    : Date.UTC(year, month - 1, day);
+
+  // Shift by the zone offset, then once more in case the offset changes across a DST switch
+  let guess = target;
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedDateParts(guess, timeZone);
+    const [zonedYear, zonedMonth, zonedDay] = parts.dateKey.split('-').map(Number);
+    const zonedTime = Date.UTC(zonedYear, zonedMonth - 1, zonedDay, parts.hour, parts.minute, parts.second, guess % 1000);
+    guess += target - zonedTime;
+  }
+  return new Date(guess);
+}
+
+/**
+ * Keep what `compute` derives from a conversation for as long as the
+ * conversation object lives. The conversation store replaces a conversation
+ * instead of modifying it when its file changes, so only new or changed
+ * conversations are computed again. Results computed with different
+ * options, such as the time zone, are kept apart by `getKey(options)`.
+ */
+export function memoizeByConversation(compute, getKey = () => '') {
+  const cache = new WeakMap();
+  return (conv, options) => {
+    if (!cache.has(conv)) {
+      cache.set(conv, new Map());
+    }
+    const results = cache.get(conv);
+    const key = getKey(options);
+    if (!results.has(key)) {
+      results.set(key, compute(conv, options));
+    }
+    return results.get(key);
+  };
+}
+
+export function roundTo(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Collect the model names used in a conversation
+ */
+export function getConversationModels(conv) {
+  const models = new Set();
+  if (conv.metadata?.model) {
+    models.add(conv.metadata.model);
+  }
+  conv.messages.forEach(msg => {
+    const model = msg.message?.model;
+    if (msg.type === 'assistant' && model && model !== '<synthetic>') {
+      models.add(model);
+    }
+  });
+  return models;
+}
+
+function getToolResultText(block) {
+  if (typeof block.content === 'string') {
+    return block.content;
+  }
+  if (Array.isArray(block.content)) {
+    return block.content
+      .filter(item => item?.type === 'text' && typeof item.text === 'string')
+      .map(item => item.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Pair every tool_use in a conversation with its tool_result by id.
+ * Calls without a matching result (still running, or from platforms that
+ * do not record results) have `result: null`. The `toolUseResult` payload
+ * Claude Code stores next to a lone tool_result is kept as `payload`.
+ * The calls are kept per conversation and must not be modified.
+ */
+export const collectToolCalls = memoizeByConversation(conv => {
+  const calls = [];
+  const callsById = new Map();
+
+  conv.messages.forEach((msg, messageIndex) => {
+    const content = msg.message?.content;
+    if (!Array.isArray(content)) {
+      return;
+    }
+
+    if (msg.type === 'assistant') {
+      content.forEach(item => {
+        if (item?.type !== 'tool_use' || !item.name) {
+          return;
+        }
+        const call = {
+          id: item.id || null,
+          name: item.name,
+          input: item.input,
+          timestamp: msg.timestamp,
+          messageIndex,
+          result: null
+        };
+        calls.push(call);
+        if (call.id) {
+          callsById.set(call.id, call);
+        }
+      });
+      return;
+    }
+
+    const resultBlocks = content.filter(item => item?.type === 'tool_result');
+    resultBlocks.forEach(block => {
+      const call = callsById.get(block.tool_use_id);
+      if (!call || call.result) {
+        return;
+      }
+      const payload = resultBlocks.length === 1 ? msg.toolUseResult : undefined;
+      call.result = {
+        isError: block.is_error === true ||
+          (typeof payload === 'string' && payload.startsWith('Error')),
+        text: getToolResultText(block),
+        payload,
+        timestamp: msg.timestamp,
+        messageIndex
+      };
+    });
+  });
+
+  return calls;
+});
+
+/**
+ * Nearest-rank percentile of an ascending-sorted array
+ */
+export function getPercentile(sortedValues, percentile) {
+  if (sortedValues.length === 0) {
+    return 0;
+  }
+  const rank = Math.ceil((percentile / 100) * sortedValues.length);
+  return sortedValues[Math.min(sortedValues.length, Math.max(1, rank)) - 1];
+}
+
+/**
+ * Whether a record is the "[Request interrupted by user]" marker Claude Code
+ * writes when the user stops a response or a running tool
+ */
+export function isInterruptionMarker(msg) {
+  if (msg.type !== 'user') {
+    return false;
+  }
+  const content = msg.message?.content;
+  const text = typeof content === 'string'
+    ? content
+    : Array.isArray(content) && content.length === 1 && content[0]?.type === 'text'
+      ? content[0].text
+      : '';
+  return typeof text === 'string' && text.startsWith('[Request interrupted by user');
+}
+
+/**
+ * Whether a record is a prompt typed by the user rather than a tool result,
+ * meta message, compaction summary or interruption marker that Claude Code
+ * writes with the user role
+ */
+export function isUserPrompt(msg) {
+  if (msg.type !== 'user' || msg.isMeta || msg.isCompactSummary || isInterruptionMarker(msg)) {
+    return false;
+  }
+  const content = msg.message?.content;
+  return typeof content === 'string' ||
+    (Array.isArray(content) && !content.some(item => item?.type === 'tool_result'));
+}
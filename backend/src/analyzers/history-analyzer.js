@@ -0,0 +1,393 @@
+/**
+ * Analyze the prompt history Claude Code keeps in `history.jsonl`: slash
+ * commands, re-used and near-duplicate prompts, pasted content, and prompts
+ * per project over time
+ */
+
+import { getTimestampDateKey, roundTo } from './helpers.js';
+
+const TOP_PROMPTS_LIMIT = 20;
+const TOP_TIMELINE_PROJECTS = 5;
+// Near-duplicate detection compares token sets of the most recent distinct prompts
+const NEAR_DUPLICATE_PROMPT_LIMIT = 2000;
+const NEAR_DUPLICATE_MIN_TOKENS = 4;
+const NEAR_DUPLICATE_SIMILARITY = 0.8;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+export const HISTORY_KINDS = ['all', 'command', 'custom', 'paste'];
+
+const BUILT_IN_COMMANDS = new Set([
+  'add-dir', 'agents', 'bashes', 'bug', 'clear', 'compact', 'config', 'context', 'cost', 'doctor', 'exit',
+  'export', 'help', 'hooks', 'ide', 'init', 'install-github-app', 'login', 'logout', 'mcp', 'memory',
+  'migrate-installer', 'model', 'output-style', 'permissions', 'plugin', 'pr-comments', 'privacy-settings',
+  'release-notes', 'resume', 'review', 'rewind', 'sandbox', 'security-review', 'status', 'statusline',
+  'terminal-setup', 'todos', 'upgrade', 'usage', 'vim'
+]);
+const PASTE_SIZE_BUCKETS = [
+  { label: '1-9 lines', max: 10 },
+  { label: '10-49 lines', max: 50 },
+  { label: '50-199 lines', max: 200 },
+  { label: '200+ lines', max: Infinity }
+];
+const PLACEHOLDER_PATTERN = /\[(?:Pasted text #\d+(?: \+\d+ lines)?|Image #\d+)\]/g;
+
+/**
+ * Slash command a prompt starts with, or null. Paths such as `/usr/bin` are
+ * not commands. Commands Claude Code does not ship are custom commands from
+ * `.claude/commands`, plugins or MCP servers.
+ */
+export function getSlashCommand(display) {
+  const match = display.trim().match(/^\/([A-Za-z0-9][\w:.-]*)(?=\s|$)/);
+  if (!match) {
+    return null;
+  }
+  const name = match[1].toLowerCase();
+  return { command: `/${name}`, kind: BUILT_IN_COMMANDS.has(name) ? 'builtIn' : 'custom' };
+}
+
+/**
+ * Project name in the form Claude Code uses for its project directories,
+ * so history lines up with the project filter and other analytics
+ */
+export function getProjectKey(projectPath) {
+  return projectPath ? projectPath.replace(/[^a-zA-Z0-9]/g, '-') : 'unknown';
+}
+
+function countLines(text) {
+  if (!text) {
+    return 0;
+  }
+  const lines = text.split('\n').length;
+  return text.endsWith('\n') ? lines - 1 : lines;
+}
+
+/**
+ * Pasted items of a prompt with their size. Text pastes stored elsewhere
+ * fall back to the line count in the `[Pasted text #1 +20 lines]` placeholder.
+ */
+export function getPastes(entry) {
+  const placeholderLines = new Map(
+    [...entry.display.matchAll(/\[Pasted text #(\d+)(?: \+(\d+) lines)?\]/g)]
+      .map(match => [match[1], Number(match[2]) || 1])
+  );
+  return Object.entries(entry.pastedContents || {}).map(([id, paste]) => {
+    if (paste?.type === 'image') {
+      return { type: 'image', lines: 0, chars: 0 };
+    }
+    const content = typeof paste?.content === 'string' ? paste.content : null;
+    return {
+      type: 'text',
+      lines: content !== null ? countLines(content) : placeholderLines.get(String(id)) || 0,
+      chars: content !== null ? content.length : 0
+    };
+  });
+}
+
+function normalizePromptText(display) {
+  return display
+    .replace(PLACEHOLDER_PATTERN, ' ')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .replace(/[\s.!?]+$/, '')
+    .trim();
+}
+
+function getTokenSet(text) {
+  return new Set(text.split(/[^a-z0-9_./-]+/).filter(Boolean));
+}
+
+function getJaccard(a, b) {
+  let shared = 0;
+  a.forEach(token => {
+    if (b.has(token)) {
+      shared++;
+    }
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Apply the date, project and machine filters to history entries. Projects
+ * match either the project path or its Claude Code directory name.
+ */
+export function filterHistoryEntries(entries, filters = {}) {
+  const { from, to, projects, machines } = filters;
+  return entries.filter(entry => {
+    if ((from || to) && !entry.timestamp) {
+      return false;
+    }
+    const time = entry.timestamp ? new Date(entry.timestamp).getTime() : null;
+    if ((from && time < from.getTime()) || (to && time > to.getTime())) {
+      return false;
+    }
+    if (projects && !projects.includes(entry.project) && !projects.includes(getProjectKey(entry.project))) {
+      return false;
+    }
+    return !machines || machines.includes(entry.machine);
+  });
+}
+
+/**
+ * Group distinct prompts whose token sets overlap by at least
+ * NEAR_DUPLICATE_SIMILARITY. Prompts are compared only with those of similar
+ * length, since the overlap cannot reach the threshold otherwise.
+ */
+function findNearDuplicateClusters(groups) {
+  const candidates = groups
+    .map(group => ({ group, tokens: getTokenSet(group.text) }))
+    .filter(candidate => candidate.tokens.size >= NEAR_DUPLICATE_MIN_TOKENS)
+    .sort((a, b) => (b.group.lastUsed || '').localeCompare(a.group.lastUsed || ''))
+    .slice(0, NEAR_DUPLICATE_PROMPT_LIMIT)
+    .sort((a, b) => a.tokens.size - b.tokens.size);
+
+  const parents = candidates.map((candidate, index) => index);
+  const findRoot = index => {
+    while (parents[index] !== index) {
+      parents[index] = parents[parents[index]];
+      index = parents[index];
+    }
+    return index;
+  };
+
+  candidates.forEach((candidate, i) => {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (candidates[j].tokens.size * NEAR_DUPLICATE_SIMILARITY > candidate.tokens.size) {
+        break;
+      }
+      if (getJaccard(candidate.tokens, candidates[j].tokens) >= NEAR_DUPLICATE_SIMILARITY) {
+        parents[findRoot(j)] = findRoot(i);
+      }
+    }
+  });
+
+  const clusters = new Map();
+  candidates.forEach((candidate, index) => {
+    const root = findRoot(index);
+    if (!clusters.has(root)) {
+      clusters.set(root, []);
+    }
+    clusters.get(root).push(candidate.group);
+  });
+
+  return Array.from(clusters.values())
+    .filter(cluster => cluster.length > 1)
+    .map(cluster => {
+      const variants = cluster.sort((a, b) => b.count - a.count);
+      return {
+        example: variants[0].example,
+        variants: variants.length,
+        uses: variants.reduce((sum, group) => sum + group.count, 0),
+        lastUsed: variants.map(group => group.lastUsed).filter(Boolean).sort().pop() || null,
+        samples: variants.slice(1, 4).map(group => group.example)
+      };
+    })
+    .sort((a, b) => b.uses - a.uses || b.variants - a.variants);
+}
+
+/**
+ * Slash command usage, prompt re-use, pastes and per-project activity for
+ * a list of history entries
+ */
+export function analyzeHistory(entries, { timeZone } = {}) {
+  const totals = {
+    prompts: 0,
+    commands: 0,
+    builtInCommands: 0,
+    customCommands: 0,
+    promptsWithPastes: 0,
+    pastes: 0,
+    textPastes: 0,
+    imagePastes: 0,
+    pastedLines: 0,
+    pastedChars: 0
+  };
+  const commands = new Map();
+  const promptGroups = new Map();
+  const byProject = {};
+  const byDay = new Map();
+  const sizeBuckets = PASTE_SIZE_BUCKETS.map(bucket => ({ label: bucket.label, pastes: 0 }));
+
+  entries.forEach(entry => {
+    const projectKey = getProjectKey(entry.project);
+    if (!byProject[projectKey]) {
+      byProject[projectKey] = {
+        path: entry.project,
+        prompts: 0,
+        commands: 0,
+        pastes: 0,
+        firstUsed: entry.timestamp,
+        lastUsed: entry.timestamp
+      };
+    }
+    const project = byProject[projectKey];
+    const dateKey = entry.timestamp ? getTimestampDateKey(entry.timestamp, timeZone) : null;
+    if (dateKey && !byDay.has(dateKey)) {
+      byDay.set(dateKey, { date: dateKey, prompts: 0, commands: 0, pastes: 0, projects: {} });
+    }
+    const day = dateKey ? byDay.get(dateKey) : null;
+
+    totals.prompts++;
+    project.prompts++;
+    project.lastUsed = entry.timestamp || project.lastUsed;
+    if (day) {
+      day.prompts++;
+      day.projects[projectKey] = (day.projects[projectKey] || 0) + 1;
+    }
+
+    const slashCommand = getSlashCommand(entry.display);
+    if (slashCommand) {
+      totals.commands++;
+      totals[slashCommand.kind === 'builtIn' ? 'builtInCommands' : 'customCommands']++;
+      project.commands++;
+      if (day) {
+        day.commands++;
+      }
+      if (!commands.has(slashCommand.command)) {
+        commands.set(slashCommand.command, { ...slashCommand, count: 0, projects: new Set(), lastUsed: null });
+      }
+      const command = commands.get(slashCommand.command);
+      command.count++;
+      command.projects.add(projectKey);
+      command.lastUsed = entry.timestamp || command.lastUsed;
+    } else {
+      const text = normalizePromptText(entry.display);
+      if (text) {
+        if (!promptGroups.has(text)) {
+          promptGroups.set(text, { text, example: entry.display, count: 0, projects: new Set(), lastUsed: null });
+        }
+        const group = promptGroups.get(text);
+        group.count++;
+        group.projects.add(projectKey);
+        group.example = entry.display;
+        group.lastUsed = entry.timestamp || group.lastUsed;
+      }
+    }
+
+    const pastes = getPastes(entry);
+    if (pastes.length > 0) {
+      totals.promptsWithPastes++;
+      project.pastes += pastes.length;
+      if (day) {
+        day.pastes += pastes.length;
+      }
+    }
+    pastes.forEach(paste => {
+      totals.pastes++;
+      if (paste.type === 'image') {
+        totals.imagePastes++;
+        return;
+      }
+      totals.textPastes++;
+      totals.pastedLines += paste.lines;
+      totals.pastedChars += paste.chars;
+      const bucketIndex = PASTE_SIZE_BUCKETS.findIndex(bucket => paste.lines < bucket.max);
+      sizeBuckets[bucketIndex].pastes++;
+    });
+  });
+
+  const groups = Array.from(promptGroups.values());
+  const reusedGroups = groups.filter(group => group.count > 1);
+  const reusedPrompts = reusedGroups.reduce((sum, group) => sum + group.count - 1, 0);
+  const nearDuplicates = findNearDuplicateClusters(groups);
+  const freeTextPrompts = totals.prompts - totals.commands;
+
+  // The busiest projects get their own series in the daily timeline
+  const timelineProjects = Object.entries(byProject)
+    .sort((a, b) => b[1].prompts - a[1].prompts)
+    .slice(0, TOP_TIMELINE_PROJECTS)
+    .map(([projectKey]) => projectKey);
+
+  return {
+    totals: {
+      ...totals,
+      projects: Object.keys(byProject).length,
+      activeDays: byDay.size,
+      commandShare: totals.prompts > 0 ? roundTo((totals.commands / totals.prompts) * 100, 1) : 0,
+      pasteShare: totals.prompts > 0 ? roundTo((totals.promptsWithPastes / totals.prompts) * 100, 1) : 0,
+      avgPastedLines: totals.textPastes > 0 ? roundTo(totals.pastedLines / totals.textPastes, 1) : 0,
+      reusedPrompts,
+      reuseRate: freeTextPrompts > 0 ? roundTo((reusedPrompts / freeTextPrompts) * 100, 1) : 0,
+      nearDuplicateClusters: nearDuplicates.length
+    },
+    commands: Array.from(commands.values())
+      .sort((a, b) => b.count - a.count)
+      .map(command => ({ ...command, projects: command.projects.size })),
+    reusedPrompts: reusedGroups
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_PROMPTS_LIMIT)
+      .map(group => ({
+        prompt: group.example,
+        count: group.count,
+        projects: group.projects.size,
+        lastUsed: group.lastUsed
+      })),
+    nearDuplicates: nearDuplicates.slice(0, TOP_PROMPTS_LIMIT),
+    pastes: { sizeBuckets },
+    byProject: Object.fromEntries(
+      Object.entries(byProject).sort((a, b) => b[1].prompts - a[1].prompts)
+    ),
+    timelineProjects,
+    byDay: Array.from(byDay.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => {
+        const projects = Object.fromEntries(timelineProjects.map(projectKey => [projectKey, day.projects[projectKey] || 0]));
+        const other = day.prompts - Object.values(projects).reduce((sum, count) => sum + count, 0);
+        return { ...day, projects: other > 0 ? { ...projects, other } : projects };
+      })
+  };
+}
+
+/**
+ * One page of history entries, newest first, optionally narrowed to
+ * commands, custom commands or prompts with pastes and to prompts
+ * containing `query`
+ */
+export function listHistoryEntries(entries, { page = 1, pageSize = DEFAULT_PAGE_SIZE, query = '', kind = 'all' } = {}) {
+  const lowerQuery = query.trim().toLowerCase();
+  const matching = entries
+    .map(entry => ({ entry, slashCommand: getSlashCommand(entry.display), pastes: getPastes(entry) }))
+    .filter(({ entry, slashCommand, pastes }) => {
+      if (kind === 'command' && !slashCommand) {
+        return false;
+      }
+      if (kind === 'custom' && slashCommand?.kind !== 'custom') {
+        return false;
+      }
+      if (kind === 'paste' && pastes.length === 0) {
+        return false;
+      }
+      return !lowerQuery || entry.display.toLowerCase().includes(lowerQuery);
+    })
+    .reverse();
+
+  const safePageSize = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+  const safePage = Math.max(1, page);
+  return {
+    total: matching.length,
+    page: safePage,
+    pageSize: safePageSize,
+    entries: matching
+      .slice((safePage - 1) * safePageSize, safePage * safePageSize)
+      .map(({ entry, slashCommand, pastes }) => ({
+        display: entry.display,
+        timestamp: entry.timestamp,
+        project: getProjectKey(entry.project),
+        projectPath: entry.project,
+        machine: entry.machine,
+        command: slashCommand?.command || null,
+        commandKind: slashCommand?.kind || null,
+        pastes
+      }))
+  };
+}
+
+export default {
+  HISTORY_KINDS,
+  getSlashCommand,
+  getProjectKey,
+  getPastes,
+  filterHistoryEntries,
+  analyzeHistory,
+  listHistoryEntries
+};
@@ -0,0 +1,242 @@
+/**
+ * Compare models by turns, tool calls, tokens and tool errors, and track
+ * mid-session model switches
+ */
+
+import { collectToolCalls, getTimestampDateKey, isUserPrompt, roundTo } from './helpers.js';
+import { collectUsageRecords, getTotalTokens } from './usage-analyzer.js';
+
+const RECENT_SWITCHES_LIMIT = 20;
+const UNKNOWN_MODEL = 'unknown';
+
+function getRecordModel(msg) {
+  const model = msg.message?.model;
+  return model && model !== '<synthetic>' ? model : null;
+}
+
+/**
+ * Model to credit for records that do not name one. Codex sessions without
+ * turn_context records only know their provider.
+ */
+function getFallbackModel(conv) {
+  return conv.metadata?.model || conv.metadata?.modelProvider || UNKNOWN_MODEL;
+}
+
+/**
+ * One entry per assistant response, in order. Claude Code repeats the
+ * message id on every content block of a response, so those count once.
+ */
+export function collectAssistantTurns(conv) {
+  const fallbackModel = getFallbackModel(conv);
+  const seenResponses = new Set();
+  const turns = [];
+
+  conv.messages.forEach((msg, messageIndex) => {
+    if (msg.type !== 'assistant' || msg.message?.model === '<synthetic>') {
+      return;
+    }
+    const responseKey = msg.message?.id || msg.requestId;
+    if (responseKey) {
+      if (seenResponses.has(responseKey)) {
+        return;
+      }
+      seenResponses.add(responseKey);
+    }
+    turns.push({
+      model: getRecordModel(msg) || fallbackModel,
+      timestamp: msg.timestamp,
+      messageIndex
+    });
+  });
+
+  return turns;
+}
+
+/**
+ * Points in a conversation where consecutive assistant turns used
+ * different models
+ */
+export function detectModelSwitches(turns) {
+  const switches = [];
+  for (let i = 1; i < turns.length; i++) {
+    if (turns[i].model !== turns[i - 1].model) {
+      switches.push({
+        from: turns[i - 1].model,
+        to: turns[i].model,
+        timestamp: turns[i].timestamp,
+        messageIndex: turns[i].messageIndex
+      });
+    }
+  }
+  return switches;
+}
+
+function createModelStats() {
+  return {
+    conversations: 0,
+    primaryConversations: 0,
+    turns: 0,
+    prompts: 0,
+    toolCalls: 0,
+    completedToolCalls: 0,
+    toolErrors: 0,
+    totalTokens: 0,
+    outputTokens: 0
+  };
+}
+
+function finalizeModelStats(stats) {
+  return {
+    ...stats,
+    turnsPerConversation: stats.conversations > 0 ? roundTo(stats.turns / stats.conversations, 1) : 0,
+    turnsPerPrompt: stats.prompts > 0 ? roundTo(stats.turns / stats.prompts, 1) : 0,
+    toolCallsPerTurn: stats.turns > 0 ? roundTo(stats.toolCalls / stats.turns, 2) : 0,
+    toolErrorRate: stats.completedToolCalls > 0
+      ? roundTo((stats.toolErrors / stats.completedToolCalls) * 100, 1)
+      : 0,
+    tokensPerTurn: stats.turns > 0 ? Math.round(stats.totalTokens / stats.turns) : 0
+  };
+}
+
+/**
+ * Model that produced the most turns in a conversation
+ */
+function getPrimaryModel(turns) {
+  const counts = new Map();
+  turns.forEach(turn => counts.set(turn.model, (counts.get(turn.model) || 0) + 1));
+  let primary = null;
+  counts.forEach((count, model) => {
+    if (!primary || count > counts.get(primary)) {
+      primary = model;
+    }
+  });
+  return primary;
+}
+
+/**
+ * Conversations, turns, prompts, tool calls, tool errors and tokens per model,
+ * the daily model mix, and mid-session model switches. Turns, tool calls and
+ * tokens belong to the model that produced them; prompts belong to the model
+ * that answered them.
+ */
+export function analyzeModels(conversations, { timeZone } = {}) {
+  const byModel = {};
+  const byDay = new Map();
+  const transitions = new Map();
+  const switches = [];
+  let conversationsWithSwitches = 0;
+
+  const getStats = model => {
+    if (!byModel[model]) {
+      byModel[model] = createModelStats();
+    }
+    return byModel[model];
+  };
+  const getDay = dateKey => {
+    if (!byDay.has(dateKey)) {
+      byDay.set(dateKey, { date: dateKey, turns: {}, tokens: {} });
+    }
+    return byDay.get(dateKey);
+  };
+
+  conversations.forEach(conv => {
+    const turns = collectAssistantTurns(conv);
+    if (turns.length === 0) {
+      return;
+    }
+
+    const fallbackModel = getFallbackModel(conv);
+    const modelsUsed = new Set(turns.map(turn => turn.model));
+    modelsUsed.forEach(model => getStats(model).conversations++);
+    getStats(getPrimaryModel(turns)).primaryConversations++;
+
+    turns.forEach(turn => {
+      getStats(turn.model).turns++;
+      const dateKey = turn.timestamp ? getTimestampDateKey(turn.timestamp, timeZone) : null;
+      if (dateKey) {
+        const day = getDay(dateKey);
+        day.turns[turn.model] = (day.turns[turn.model] || 0) + 1;
+      }
+    });
+
+    // Credit each prompt to the model of the next assistant turn
+    let nextModel = null;
+    for (let i = conv.messages.length - 1; i >= 0; i--) {
+      const msg = conv.messages[i];
+      if (msg.type === 'assistant' && msg.message?.model !== '<synthetic>') {
+        nextModel = getRecordModel(msg) || fallbackModel;
+      } else if (nextModel && isUserPrompt(msg)) {
+        getStats(nextModel).prompts++;
+      }
+    }
+
+    collectToolCalls(conv).forEach(call => {
+      const stats = getStats(getRecordModel(conv.messages[call.messageIndex]) || fallbackModel);
+      stats.toolCalls++;
+      if (call.result) {
+        stats.completedToolCalls++;
+        if (call.result.isError) {
+          stats.toolErrors++;
+        }
+      }
+    });
+
+    collectUsageRecords(conv).forEach(record => {
+      const model = record.model === UNKNOWN_MODEL ? fallbackModel : record.model;
+      const totalTokens = getTotalTokens(record.usage);
+      const stats = getStats(model);
+      stats.totalTokens += totalTokens;
+      stats.outputTokens += record.usage.outputTokens;
+      const dateKey = record.timestamp ? getTimestampDateKey(record.timestamp, timeZone) : null;
+      if (dateKey) {
+        const day = getDay(dateKey);
+        day.tokens[model] = (day.tokens[model] || 0) + totalTokens;
+      }
+    });
+
+    const conversationSwitches = detectModelSwitches(turns);
+    if (conversationSwitches.length > 0) {
+      conversationsWithSwitches++;
+    }
+    conversationSwitches.forEach(modelSwitch => {
+      const key = `${modelSwitch.from}\u0000${modelSwitch.to}`;
+      if (!transitions.has(key)) {
+        transitions.set(key, { from: modelSwitch.from, to: modelSwitch.to, count: 0 });
+      }
+      transitions.get(key).count++;
+      switches.push({
+        conversationId: conv.conversationId,
+        project: conv.project,
+        platform: conv.platform || 'claude',
+        source: conv.source || 'main',
+        ...modelSwitch
+      });
+    });
+  });
+
+  const models = Object.fromEntries(
+    Object.entries(byModel)
+      .sort((a, b) => b[1].turns - a[1].turns)
+      .map(([model, stats]) => [model, finalizeModelStats(stats)])
+  );
+
+  return {
+    totals: {
+      models: Object.keys(models).length,
+      switches: switches.length,
+      conversationsWithSwitches
+    },
+    byModel: models,
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    transitions: Array.from(transitions.values()).sort((a, b) => b.count - a.count),
+    recentSwitches: switches
+      .sort((a, b) => String(b.timestamp || '').localeCompare(String(a.timestamp || '')))
+      .slice(0, RECENT_SWITCHES_LIMIT)
+  };
+}
+
+export default {
+  collectAssistantTurns,
+  detectModelSwitches,
+  analyzeModels
+};
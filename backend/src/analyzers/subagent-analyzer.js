@@ -0,0 +1,350 @@
+/**
+ * Link subagent runs to the Task calls that spawned them and measure how
+ * much of each session's work was delegated
+ */
+
+import { collectToolCalls, roundTo } from './helpers.js';
+import { collectUsageRecords, getTotalTokens } from './usage-analyzer.js';
+
+// Claude Code has called the subagent tool both Task and Agent
+const SUBAGENT_TOOL_NAMES = new Set(['Task', 'Agent']);
+const TOP_SESSIONS_LIMIT = 20;
+
+/**
+ * Agent id of a subagent run. Records carry it as `agentId`; otherwise it is
+ * taken from the `agent-<id>.jsonl` file name.
+ */
+export function getSubagentAgentId(conv) {
+  const record = conv.messages.find(msg => typeof msg.agentId === 'string' && msg.agentId);
+  if (record) {
+    return record.agentId;
+  }
+  const fileId = String(conv.conversationId).split('__').pop();
+  return fileId.replace(/^agent-/, '');
+}
+
+function getMessageText(msg) {
+  const content = msg.message?.content;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(item => item?.type === 'text' && typeof item.text === 'string')
+      .map(item => item.text)
+      .join('\n');
+  }
+  return '';
+}
+
+function getTimeRange(conv) {
+  let start = null;
+  let end = null;
+  conv.messages.forEach(msg => {
+    const time = msg.timestamp ? new Date(msg.timestamp).getTime() : NaN;
+    if (Number.isNaN(time)) {
+      return;
+    }
+    start = start === null ? time : Math.min(start, time);
+    end = end === null ? time : Math.max(end, time);
+  });
+  return { start, end };
+}
+
+function createNode(conv, depth) {
+  const { start, end } = getTimeRange(conv);
+  const toolCalls = collectToolCalls(conv);
+  const totalTokens = collectUsageRecords(conv)
+    .reduce((sum, record) => sum + getTotalTokens(record.usage), 0);
+
+  return {
+    conversationId: conv.conversationId,
+    agentId: conv.source === 'subagent' ? getSubagentAgentId(conv) : null,
+    source: conv.source || 'main',
+    subagentType: null,
+    description: null,
+    toolUseId: null,
+    spawnedBy: null,
+    status: null,
+    depth,
+    startedAt: start === null ? null : new Date(start).toISOString(),
+    endedAt: end === null ? null : new Date(end).toISOString(),
+    durationMs: start === null ? 0 : end - start,
+    messageCount: conv.messages.length,
+    toolCalls: toolCalls.length,
+    totalTokens,
+    subtreeToolCalls: toolCalls.length,
+    subtreeTokens: totalTokens,
+    children: []
+  };
+}
+
+/**
+ * Find the Task call that spawned a subagent run: first by the agent id
+ * Claude Code records in the Task result, then by the prompt handed to the
+ * subagent, then by the call that was running when the subagent started
+ */
+function findSpawningCall(run, calls, claimedCalls) {
+  const agentId = getSubagentAgentId(run);
+  const unclaimed = calls.filter(entry => !claimedCalls.has(entry.call));
+
+  const byAgentId = unclaimed.find(entry => entry.call.result?.payload?.agentId === agentId);
+  if (byAgentId) {
+    return byAgentId;
+  }
+
+  const firstPrompt = run.messages.find(msg => msg.type === 'user');
+  const promptText = firstPrompt ? getMessageText(firstPrompt).trim() : '';
+  const byPrompt = promptText
+    ? unclaimed.find(entry => typeof entry.call.input?.prompt === 'string' && entry.call.input.prompt.trim() === promptText)
+    : null;
+  if (byPrompt) {
+    return byPrompt;
+  }
+
+  const { start } = getTimeRange(run);
+  if (start === null) {
+    return null;
+  }
+  return unclaimed
+    .filter(entry => {
+      const callTime = new Date(entry.call.timestamp).getTime();
+      const resultTime = entry.call.result?.timestamp ? new Date(entry.call.result.timestamp).getTime() : Infinity;
+      return callTime <= start && start <= resultTime;
+    })
+    .sort((a, b) => new Date(b.call.timestamp) - new Date(a.call.timestamp))[0] || null;
+}
+
+/**
+ * Parent→child tree of a session and its subagent runs. Runs that cannot be
+ * linked to a Task call hang directly off the session. Every node carries
+ * its own tool calls and tokens plus the totals of its subtree.
+ */
+export function buildSubagentTree(session, runs) {
+  const conversationsById = new Map([session, ...runs].map(conv => [conv.conversationId, conv]));
+  const calls = [session, ...runs].flatMap(conv => collectToolCalls(conv)
+    .filter(call => SUBAGENT_TOOL_NAMES.has(call.name))
+    .map(call => ({ call, conversationId: conv.conversationId })));
+
+  const claimedCalls = new Set();
+  const links = new Map();
+  runs.forEach(run => {
+    const entry = findSpawningCall(run, calls, claimedCalls);
+    if (entry && entry.conversationId !== run.conversationId) {
+      claimedCalls.add(entry.call);
+      links.set(run.conversationId, entry);
+    }
+  });
+
+  const childrenByParent = new Map();
+  runs.forEach(run => {
+    const parentId = links.get(run.conversationId)?.conversationId || session.conversationId;
+    if (!childrenByParent.has(parentId)) {
+      childrenByParent.set(parentId, []);
+    }
+    childrenByParent.get(parentId).push(run);
+  });
+
+  const visited = new Set();
+  const buildNode = (conv, depth) => {
+    visited.add(conv.conversationId);
+    const node = createNode(conv, depth);
+    const link = links.get(conv.conversationId);
+    if (link) {
+      node.subagentType = link.call.input?.subagent_type || null;
+      node.description = link.call.input?.description || null;
+      node.toolUseId = link.call.id;
+      node.spawnedBy = { conversationId: link.conversationId, messageIndex: link.call.messageIndex };
+      node.status = !link.call.result ? 'running' : link.call.result.isError ? 'failed' : 'completed';
+    }
+
+    (childrenByParent.get(conv.conversationId) || [])
+      .filter(child => !visited.has(child.conversationId))
+      .sort((a, b) => (getTimeRange(a).start || 0) - (getTimeRange(b).start || 0))
+      .forEach(child => {
+        const childNode = buildNode(child, depth + 1);
+        node.children.push(childNode);
+        node.subtreeToolCalls += childNode.subtreeToolCalls;
+        node.subtreeTokens += childNode.subtreeTokens;
+      });
+    return node;
+  };
+
+  const root = buildNode(session, 0);
+  // Links that form a cycle never reach the session; attach those runs to it directly
+  runs
+    .filter(run => !visited.has(run.conversationId))
+    .forEach(run => {
+      const node = buildNode(conversationsById.get(run.conversationId), 1);
+      root.children.push(node);
+      root.subtreeToolCalls += node.subtreeToolCalls;
+      root.subtreeTokens += node.subtreeTokens;
+    });
+
+  return {
+    tree: root,
+    taskCalls: calls.length,
+    linkedRuns: links.size
+  };
+}
+
+function walkTree(node, visit) {
+  visit(node);
+  node.children.forEach(child => walkTree(child, visit));
+}
+
+/**
+ * Group subagent runs under their parent session
+ */
+export function groupSubagentRuns(conversations) {
+  const sessions = new Map();
+  conversations.forEach(conv => {
+    const sessionId = conv.parentConversationId || conv.conversationId;
+    if (!sessions.has(sessionId)) {
+      sessions.set(sessionId, { session: null, runs: [] });
+    }
+    if (conv.parentConversationId) {
+      sessions.get(sessionId).runs.push(conv);
+    } else {
+      sessions.get(sessionId).session = conv;
+    }
+  });
+  return sessions;
+}
+
+function createTypeStats() {
+  return { runs: 0, failedRuns: 0, totalDurationMs: 0, totalTokens: 0, toolCalls: 0 };
+}
+
+/**
+ * Subagent depth, fan-out, duration and tokens per session and subagent
+ * type, and the share of tokens and tool calls delegated to subagents
+ */
+export function analyzeSubagents(conversations) {
+  const byType = {};
+  const byDepth = new Map();
+  const sessions = [];
+  const totals = {
+    sessions: 0,
+    sessionsWithSubagents: 0,
+    subagentRuns: 0,
+    taskCalls: 0,
+    linkedRuns: 0,
+    failedRuns: 0,
+    maxDepth: 0,
+    maxFanOut: 0,
+    subagentDurationMs: 0,
+    subagentTokens: 0,
+    totalTokens: 0,
+    subagentToolCalls: 0,
+    totalToolCalls: 0
+  };
+  let parentNodes = 0;
+  let parentChildren = 0;
+
+  groupSubagentRuns(conversations).forEach(({ session, runs }, sessionId) => {
+    // Runs whose session was filtered out still form a tree under a placeholder root
+    const root = session || { conversationId: sessionId, source: 'main', messages: [] };
+    const { tree, taskCalls, linkedRuns } = buildSubagentTree(root, runs);
+
+    totals.sessions += session ? 1 : 0;
+    totals.taskCalls += taskCalls;
+    totals.linkedRuns += linkedRuns;
+    totals.totalTokens += tree.subtreeTokens;
+    totals.totalToolCalls += tree.subtreeToolCalls;
+    if (runs.length === 0) {
+      return;
+    }
+    totals.sessionsWithSubagents++;
+
+    let sessionDepth = 0;
+    let sessionFanOut = 0;
+    walkTree(tree, node => {
+      if (node.children.length > 0) {
+        parentNodes++;
+        parentChildren += node.children.length;
+        sessionFanOut = Math.max(sessionFanOut, node.children.length);
+      }
+      if (node.depth === 0) {
+        return;
+      }
+
+      sessionDepth = Math.max(sessionDepth, node.depth);
+      byDepth.set(node.depth, (byDepth.get(node.depth) || 0) + 1);
+      totals.subagentRuns++;
+      totals.subagentDurationMs += node.durationMs;
+      totals.subagentTokens += node.totalTokens;
+      totals.subagentToolCalls += node.toolCalls;
+
+      const type = node.subagentType || (node.toolUseId ? 'general-purpose' : 'unlinked');
+      if (!byType[type]) {
+        byType[type] = createTypeStats();
+      }
+      byType[type].runs++;
+      byType[type].totalDurationMs += node.durationMs;
+      byType[type].totalTokens += node.totalTokens;
+      byType[type].toolCalls += node.toolCalls;
+      if (node.status === 'failed') {
+        byType[type].failedRuns++;
+        totals.failedRuns++;
+      }
+    });
+
+    totals.maxDepth = Math.max(totals.maxDepth, sessionDepth);
+    totals.maxFanOut = Math.max(totals.maxFanOut, sessionFanOut);
+    sessions.push({
+      conversationId: sessionId,
+      project: root.project || runs[0].project,
+      platform: root.platform || runs[0].platform || 'claude',
+      subagentRuns: runs.length,
+      maxDepth: sessionDepth,
+      maxFanOut: sessionFanOut,
+      totalTokens: tree.subtreeTokens,
+      subagentTokens: tree.subtreeTokens - tree.totalTokens,
+      delegatedTokenShare: tree.subtreeTokens > 0
+        ? roundTo(((tree.subtreeTokens - tree.totalTokens) / tree.subtreeTokens) * 100, 1)
+        : 0,
+      delegatedToolCallShare: tree.subtreeToolCalls > 0
+        ? roundTo(((tree.subtreeToolCalls - tree.toolCalls) / tree.subtreeToolCalls) * 100, 1)
+        : 0
+    });
+  });
+
+  return {
+    totals: {
+      ...totals,
+      unlinkedRuns: totals.subagentRuns - totals.linkedRuns,
+      avgFanOut: parentNodes > 0 ? roundTo(parentChildren / parentNodes, 1) : 0,
+      avgDurationMs: totals.subagentRuns > 0 ? Math.round(totals.subagentDurationMs / totals.subagentRuns) : 0,
+      delegatedTokenShare: totals.totalTokens > 0
+        ? roundTo((totals.subagentTokens / totals.totalTokens) * 100, 1)
+        : 0,
+      delegatedToolCallShare: totals.totalToolCalls > 0
+        ? roundTo((totals.subagentToolCalls / totals.totalToolCalls) * 100, 1)
+        : 0
+    },
+    byType: Object.fromEntries(
+      Object.entries(byType)
+        .sort((a, b) => b[1].runs - a[1].runs)
+        .map(([type, stats]) => [type, {
+          ...stats,
+          avgDurationMs: Math.round(stats.totalDurationMs / stats.runs),
+          avgTokens: Math.round(stats.totalTokens / stats.runs),
+          failureRate: roundTo((stats.failedRuns / stats.runs) * 100, 1)
+        }])
+    ),
+    byDepth: Array.from(byDepth.entries())
+      .sort((a, b) => a[0] - b[0])
+      .map(([depth, runs]) => ({ depth, runs })),
+    sessions: sessions
+      .sort((a, b) => b.subagentRuns - a.subagentRuns || b.subagentTokens - a.subagentTokens)
+      .slice(0, TOP_SESSIONS_LIMIT)
+  };
+}
+
+export default {
+  getSubagentAgentId,
+  buildSubagentTree,
+  groupSubagentRuns,
+  analyzeSubagents
+};
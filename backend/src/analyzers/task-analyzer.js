@@ -0,0 +1,123 @@
+/**
+ * Classify sessions into task categories with the classifier pipeline and
+ * summarize the task mix per category, project and day
+ */
+
+import { getTimestampDateKey, roundTo } from './helpers.js';
+import { groupSubagentRuns } from './subagent-analyzer.js';
+import { classifySession, getTaskCategories, getTaskClassifiers } from '../classifiers/task-classifier.js';
+
+const RECENT_SESSIONS_LIMIT = 30;
+const PROMPT_PREVIEW_LENGTH = 200;
+const LOW_CONFIDENCE = 0.5;
+
+/**
+ * Task labels of every session, with subagent runs counted as part of the
+ * session that spawned them
+ */
+export function classifySessions(conversations) {
+  return Array.from(groupSubagentRuns(conversations).values())
+    .map(({ session, runs }) => classifySession(session, runs));
+}
+
+/**
+ * Sessions per category by primary label, per project and day, how often
+ * sessions get several labels, how confident the labels are, and the most
+ * recent sessions with the signals behind their labels
+ */
+export function analyzeTasks(conversations, { timeZone } = {}) {
+  const categories = getTaskCategories();
+  const classified = classifySessions(conversations);
+  const byCategory = Object.fromEntries(categories.map(({ id, label }) => [id, {
+    label,
+    sessions: 0,
+    labelled: 0,
+    confidenceSum: 0
+  }]));
+  const byProject = {};
+  const byDay = new Map();
+  const totals = { sessions: classified.length, classified: 0, multiLabel: 0, lowConfidence: 0 };
+  let confidenceSum = 0;
+
+  classified.forEach(({ features, labels }) => {
+    const [primary] = labels;
+    byCategory[primary.category].sessions++;
+    byCategory[primary.category].confidenceSum += primary.confidence;
+    labels.forEach(label => {
+      byCategory[label.category].labelled++;
+    });
+    confidenceSum += primary.confidence;
+    if (primary.category !== 'other') {
+      totals.classified++;
+    }
+    if (labels.length > 1) {
+      totals.multiLabel++;
+    }
+    if (primary.confidence < LOW_CONFIDENCE) {
+      totals.lowConfidence++;
+    }
+
+    if (!byProject[features.project]) {
+      byProject[features.project] = { sessions: 0, categories: {} };
+    }
+    byProject[features.project].sessions++;
+    byProject[features.project].categories[primary.category] =
+      (byProject[features.project].categories[primary.category] || 0) + 1;
+
+    const dateKey = features.timestamp ? getTimestampDateKey(features.timestamp, timeZone) : null;
+    if (dateKey) {
+      if (!byDay.has(dateKey)) {
+        byDay.set(dateKey, { date: dateKey });
+      }
+      const day = byDay.get(dateKey);
+      day[primary.category] = (day[primary.category] || 0) + 1;
+    }
+  });
+
+  return {
+    categories,
+    classifiers: getTaskClassifiers().map(classifier => classifier.name),
+    totals: {
+      ...totals,
+      avgConfidence: totals.sessions > 0 ? roundTo(confidenceSum / totals.sessions, 2) : 0
+    },
+    byCategory: Object.fromEntries(
+      Object.entries(byCategory)
+        .sort((a, b) => b[1].sessions - a[1].sessions)
+        .map(([id, { confidenceSum: categoryConfidence, ...stats }]) => [id, {
+          ...stats,
+          share: totals.sessions > 0 ? roundTo((stats.sessions / totals.sessions) * 100, 1) : 0,
+          avgConfidence: stats.sessions > 0 ? roundTo(categoryConfidence / stats.sessions, 2) : 0
+        }])
+    ),
+    byProject: Object.fromEntries(
+      Object.entries(byProject).sort((a, b) => b[1].sessions - a[1].sessions)
+    ),
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    sessions: classified
+      .sort((a, b) => (b.features.timestamp || '').localeCompare(a.features.timestamp || ''))
+      .slice(0, RECENT_SESSIONS_LIMIT)
+      .map(({ features, labels }) => ({
+        conversationId: features.conversationId,
+        project: features.project,
+        platform: features.platform,
+        timestamp: features.timestamp,
+        prompt: (features.prompts[0] || '').slice(0, PROMPT_PREVIEW_LENGTH),
+        labels
+      }))
+  };
+}
+
+/**
+ * Sessions per category by primary label, the shape `taskPatterns` has
+ * always had in the summary
+ */
+export function getTaskPatternCounts(analysis) {
+  return Object.fromEntries(Object.entries(analysis.byCategory).map(([id, stats]) => [id, stats.sessions]));
+}
+
+export default {
+  classifySessions,
+  analyzeTasks,
+  getTaskPatternCounts
+};
@@ -0,0 +1,98 @@
+/**
+ * Count branches, retries and rewinds in Claude Code message trees
+ */
+
+import { roundTo } from './helpers.js';
+import { buildMessageThread } from '../parsers/thread-builder.js';
+
+const TOP_CONVERSATIONS_LIMIT = 20;
+
+function createThreadStats() {
+  return {
+    conversations: 0,
+    branchedConversations: 0,
+    branchPoints: 0,
+    abandonedBranches: 0,
+    retries: 0,
+    rewinds: 0,
+    abandonedMessages: 0,
+    sidechainMessages: 0,
+    mainPathMessages: 0
+  };
+}
+
+function addThread(stats, thread) {
+  const retries = thread.abandonedBranches.filter(branch => branch.kind === 'retry').length;
+  const rewinds = thread.abandonedBranches.filter(branch => branch.kind === 'rewind').length;
+  stats.conversations++;
+  stats.branchedConversations += thread.abandonedBranches.length > 0 ? 1 : 0;
+  stats.branchPoints += thread.branchPoints.length;
+  stats.abandonedBranches += thread.abandonedBranches.length;
+  stats.retries += retries;
+  stats.rewinds += rewinds;
+  stats.abandonedMessages += thread.abandonedMessages;
+  stats.sidechainMessages += thread.sidechainMessages;
+  stats.mainPathMessages += thread.mainPath.length;
+}
+
+function finalizeThreadStats(stats) {
+  const threadedMessages = stats.mainPathMessages + stats.abandonedMessages;
+  return {
+    ...stats,
+    abandonedShare: threadedMessages > 0 ? roundTo((stats.abandonedMessages / threadedMessages) * 100, 1) : 0
+  };
+}
+
+/**
+ * Branch points, abandoned branches (retries and rewinds) and sidechain
+ * records per project and conversation. Only conversations whose records
+ * carry `uuid`/`parentUuid` links are counted.
+ */
+export function analyzeThreads(conversations) {
+  const totals = createThreadStats();
+  const byProject = {};
+  const byConversation = [];
+
+  conversations.forEach(conv => {
+    const thread = buildMessageThread(conv.messages);
+    if (!thread.hasThread) {
+      return;
+    }
+
+    const projectName = conv.project || 'unknown';
+    if (!byProject[projectName]) {
+      byProject[projectName] = createThreadStats();
+    }
+    addThread(totals, thread);
+    addThread(byProject[projectName], thread);
+
+    if (thread.abandonedBranches.length > 0) {
+      const conversationStats = createThreadStats();
+      addThread(conversationStats, thread);
+      byConversation.push({
+        conversationId: conv.conversationId,
+        project: conv.project,
+        platform: conv.platform || 'claude',
+        source: conv.source || 'main',
+        ...finalizeThreadStats(conversationStats),
+        branches: thread.abandonedBranches
+      });
+    }
+  });
+
+  return {
+    totals: finalizeThreadStats(totals),
+    byProject: Object.fromEntries(
+      Object.entries(byProject)
+        .sort((a, b) => b[1].abandonedBranches - a[1].abandonedBranches)
+        .map(([project, stats]) => [project, finalizeThreadStats(stats)])
+    ),
+    byConversation: byConversation
+      .sort((a, b) => b.abandonedBranches - a.abandonedBranches || b.abandonedMessages - a.abandonedMessages)
+      .slice(0, TOP_CONVERSATIONS_LIMIT)
+  };
+}
+
+export default {
+  analyzeThreads
+};
@@ -0,0 +1,334 @@
+/**
+ * Follow the todo lists agents keep with TodoWrite: how each list evolves
+ * within a session, how much of the planned work is completed, what is left
+ * open or dropped, and how long items take to finish
+ */
+
+import { collectToolCalls, getPercentile, getTimestampDateKey, roundTo } from './helpers.js';
+import { getSubagentAgentId } from './subagent-analyzer.js';
+
+const TOP_SESSIONS_LIMIT = 20;
+const OPEN_ITEMS_LIMIT = 5;
+const TODO_STATUSES = ['pending', 'in_progress', 'completed'];
+
+function normalizeTodo(todo) {
+  const content = typeof todo?.content === 'string' ? todo.content : '';
+  return {
+    ...(todo?.id !== undefined ? { id: String(todo.id) } : {}),
+    content,
+    status: TODO_STATUSES.includes(todo?.status) ? todo.status : 'pending',
+    ...(typeof todo?.activeForm === 'string' ? { activeForm: todo.activeForm } : {})
+  };
+}
+
+function countStatuses(todos) {
+  const counts = { pending: 0, in_progress: 0, completed: 0, total: todos.length };
+  todos.forEach(todo => {
+    counts[todo.status]++;
+  });
+  return counts;
+}
+
+/**
+ * Todo file of an agent run: `<sessionId>-agent-<sessionId>.json` for a
+ * session's main agent and `<sessionId>-agent-<agentId>.json` for a subagent
+ */
+export function findTodoFile(conv, todoFiles) {
+  if ((conv.platform || 'claude') !== 'claude') {
+    return null;
+  }
+  const sessionId = conv.parentConversationId || conv.conversationId;
+  const agentId = conv.source === 'subagent' ? getSubagentAgentId(conv) : sessionId;
+  return todoFiles.find(todoFile => todoFile.sessionId === sessionId && todoFile.agentId === agentId) || null;
+}
+
+/**
+ * Successive states of a conversation's todo list, one per TodoWrite call.
+ * When the transcript has no TodoWrite calls the agent's todo file, if any,
+ * is the only state, dated by the file's modification time.
+ */
+export function getTodoSnapshots(conv, todoFile = null) {
+  const snapshots = collectToolCalls(conv)
+    .filter(call => call.name === 'TodoWrite' && Array.isArray(call.input?.todos))
+    .map(call => {
+      const todos = call.input.todos.map(normalizeTodo);
+      return {
+        messageIndex: call.messageIndex,
+        timestamp: call.timestamp || null,
+        todos,
+        counts: countStatuses(todos)
+      };
+    });
+
+  if (snapshots.length === 0 && todoFile && todoFile.todos.length > 0) {
+    const todos = todoFile.todos.map(normalizeTodo);
+    snapshots.push({ messageIndex: null, timestamp: todoFile.modifiedAt, todos, counts: countStatuses(todos) });
+  }
+  return snapshots;
+}
+
+function getItemKey(todo) {
+  return todo.id ? `id:${todo.id}` : `content:${todo.content.trim().toLowerCase()}`;
+}
+
+/**
+ * Items and plans of a todo list over its snapshots. A plan starts with the
+ * first list and again whenever a write shares no items with the previous
+ * list or the list is cleared. An item's outcome is `completed`, the
+ * `pending`/`in_progress` status it was left in, or `dropped` when it was
+ * removed from the list before it was completed.
+ */
+export function buildTodoTimeline(snapshots) {
+  const items = new Map();
+  const plans = [];
+  let currentPlan = null;
+  let previousKeys = new Set();
+
+  snapshots.forEach(snapshot => {
+    const keys = snapshot.todos.map(getItemKey);
+    const startsPlan = keys.length > 0 &&
+      (!currentPlan || previousKeys.size === 0 || !keys.some(key => previousKeys.has(key)));
+
+    previousKeys.forEach(key => {
+      const item = items.get(key);
+      if (!keys.includes(key) && item.status !== 'completed') {
+        item.dropped = true;
+      }
+    });
+
+    if (startsPlan) {
+      currentPlan = {
+        index: plans.length,
+        startedAt: snapshot.timestamp,
+        endedAt: snapshot.timestamp,
+        writes: 0
+      };
+      plans.push(currentPlan);
+    }
+    if (currentPlan) {
+      currentPlan.writes++;
+      currentPlan.endedAt = snapshot.timestamp || currentPlan.endedAt;
+    }
+
+    snapshot.todos.forEach((todo, position) => {
+      const key = keys[position];
+      let item = items.get(key);
+      if (!item) {
+        item = {
+          content: todo.content,
+          activeForm: todo.activeForm || null,
+          status: todo.status,
+          plan: currentPlan.index,
+          firstSeenAt: snapshot.timestamp,
+          startedAt: null,
+          completedAt: null,
+          createdCompleted: todo.status === 'completed',
+          dropped: false
+        };
+        items.set(key, item);
+      }
+      item.status = todo.status;
+      item.dropped = false;
+      item.content = todo.content;
+      if (todo.status === 'in_progress' && !item.startedAt) {
+        item.startedAt = snapshot.timestamp;
+      }
+      if (todo.status === 'completed' && !item.completedAt) {
+        item.completedAt = snapshot.timestamp;
+      }
+    });
+
+    previousKeys = new Set(keys);
+  });
+
+  const timedItems = Array.from(items.values()).map(item => {
+    const timeToCompleteMs = !item.createdCompleted && item.firstSeenAt && item.completedAt
+      ? Math.max(0, new Date(item.completedAt) - new Date(item.firstSeenAt))
+      : null;
+    return {
+      content: item.content,
+      activeForm: item.activeForm,
+      plan: item.plan,
+      outcome: item.dropped ? 'dropped' : item.status,
+      firstSeenAt: item.firstSeenAt,
+      startedAt: item.startedAt,
+      completedAt: item.completedAt,
+      timeToCompleteMs
+    };
+  });
+
+  return {
+    items: timedItems,
+    plans: plans.map(plan => {
+      const planItems = timedItems.filter(item => item.plan === plan.index);
+      return {
+        index: plan.index,
+        startedAt: plan.startedAt,
+        endedAt: plan.endedAt,
+        writes: plan.writes,
+        items: planItems.length,
+        completed: planItems.filter(item => item.outcome === 'completed').length
+      };
+    })
+  };
+}
+
+function summarizeItems(items, plans) {
+  const outcomes = { completed: 0, pending: 0, in_progress: 0, dropped: 0 };
+  items.forEach(item => {
+    outcomes[item.outcome]++;
+  });
+  const times = items
+    .map(item => item.timeToCompleteMs)
+    .filter(value => value !== null)
+    .sort((a, b) => a - b);
+
+  return {
+    plans: plans.length,
+    items: items.length,
+    ...outcomes,
+    abandoned: items.length - outcomes.completed,
+    completionRate: items.length > 0 ? roundTo((outcomes.completed / items.length) * 100, 1) : 0,
+    avgItemsPerPlan: plans.length > 0 ? roundTo(items.length / plans.length, 1) : 0,
+    avgTimeToCompleteMs: times.length > 0 ? Math.round(times.reduce((sum, value) => sum + value, 0) / times.length) : null,
+    medianTimeToCompleteMs: times.length > 0 ? getPercentile(times, 50) : null
+  };
+}
+
+/**
+ * Todo list of one agent run: its snapshots, items, plans and totals, or
+ * null when the agent kept no todos
+ */
+export function analyzeConversationTodos(conv, todoFiles = []) {
+  const todoFile = findTodoFile(conv, todoFiles);
+  const snapshots = getTodoSnapshots(conv, todoFile);
+  if (snapshots.length === 0 && !todoFile) {
+    return null;
+  }
+  const { items, plans } = buildTodoTimeline(snapshots);
+
+  return {
+    conversationId: conv.conversationId,
+    source: conv.source || 'main',
+    agentId: conv.source === 'subagent' ? getSubagentAgentId(conv) : null,
+    file: todoFile
+      ? { file: todoFile.file, machine: todoFile.machine, modifiedAt: todoFile.modifiedAt, todos: todoFile.todos.map(normalizeTodo) }
+      : null,
+    todoWrites: snapshots.filter(snapshot => snapshot.messageIndex !== null).length,
+    snapshots,
+    items,
+    plans,
+    totals: summarizeItems(items, plans)
+  };
+}
+
+/**
+ * Completion rates, open and dropped items, plan sizes and time to complete
+ * across conversations, per project and day, with the sessions that left
+ * the most planned work unfinished. Todo files whose session is not among
+ * the conversations are counted as `unlinkedFiles`.
+ */
+export function analyzeTodos(conversations, todoFiles = [], { timeZone } = {}) {
+  const totals = {
+    conversations: conversations.length,
+    conversationsWithTodos: 0,
+    fullyCompleted: 0,
+    todoWrites: 0,
+    todoFiles: 0
+  };
+  const allItems = [];
+  const allPlans = [];
+  const byProject = {};
+  const byDay = new Map();
+  const sessions = [];
+  const linkedFiles = new Set();
+
+  const addDay = (timestamp, field) => {
+    const dateKey = timestamp ? getTimestampDateKey(timestamp, timeZone) : null;
+    if (!dateKey) {
+      return;
+    }
+    if (!byDay.has(dateKey)) {
+      byDay.set(dateKey, { date: dateKey, created: 0, completed: 0 });
+    }
+    byDay.get(dateKey)[field]++;
+  };
+
+  conversations.forEach(conv => {
+    const analysis = analyzeConversationTodos(conv, todoFiles);
+    if (!analysis) {
+      return;
+    }
+    if (analysis.file) {
+      linkedFiles.add(analysis.file.file);
+      totals.todoFiles++;
+    }
+    if (analysis.items.length === 0) {
+      return;
+    }
+
+    totals.conversationsWithTodos++;
+    totals.todoWrites += analysis.todoWrites;
+    if (analysis.totals.abandoned === 0) {
+      totals.fullyCompleted++;
+    }
+    allItems.push(...analysis.items);
+    allPlans.push(...analysis.plans);
+
+    const projectName = conv.project || 'unknown';
+    if (!byProject[projectName]) {
+      byProject[projectName] = { conversations: 0, items: [], plans: [] };
+    }
+    byProject[projectName].conversations++;
+    byProject[projectName].items.push(...analysis.items);
+    byProject[projectName].plans.push(...analysis.plans);
+
+    analysis.items.forEach(item => {
+      addDay(item.firstSeenAt, 'created');
+      if (item.completedAt) {
+        addDay(item.completedAt, 'completed');
+      }
+    });
+
+    sessions.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      todoWrites: analysis.todoWrites,
+      ...analysis.totals,
+      openItems: analysis.items
+        .filter(item => item.outcome !== 'completed')
+        .slice(0, OPEN_ITEMS_LIMIT)
+        .map(item => ({ content: item.content, outcome: item.outcome }))
+    });
+  });
+
+  return {
+    totals: {
+      ...totals,
+      unlinkedFiles: todoFiles.filter(todoFile => !linkedFiles.has(todoFile.file)).length,
+      ...summarizeItems(allItems, allPlans)
+    },
+    byProject: Object.fromEntries(
+      Object.entries(byProject)
+        .map(([projectName, project]) => [projectName, {
+          conversations: project.conversations,
+          ...summarizeItems(project.items, project.plans)
+        }])
+        .sort((a, b) => b[1].items - a[1].items)
+    ),
+    byDay: Array.from(byDay.values()).sort((a, b) => a.date.localeCompare(b.date)),
+    sessions: sessions
+      .sort((a, b) => b.abandoned - a.abandoned || b.items - a.items)
+      .slice(0, TOP_SESSIONS_LIMIT)
+  };
+}
+
+export default {
+  findTodoFile,
+  getTodoSnapshots,
+  buildTodoTimeline,
+  analyzeConversationTodos,
+  analyzeTodos
+};
@@ -0,0 +1,173 @@
+/**
+ * Analyze tool failures by pairing tool_use blocks with their tool_result
+ */
+
+import { collectToolCalls, getTimestampDateKey, roundTo } from './helpers.js';
+
+const TOP_ERRORS_LIMIT = 15;
+const ERROR_MESSAGE_MAX_LENGTH = 160;
+const TREND_WINDOW_DAYS = 7;
+
+function createCounts() {
+  return { calls: 0, completed: 0, errors: 0 };
+}
+
+function finalizeCounts(counts) {
+  const successes = counts.completed - counts.errors;
+  return {
+    ...counts,
+    successes,
+    unknown: counts.calls - counts.completed,
+    errorRate: counts.completed > 0 ? roundTo((counts.errors / counts.completed) * 100, 1) : 0,
+    successRate: counts.completed > 0 ? roundTo((successes / counts.completed) * 100, 1) : 0
+  };
+}
+
+function addCall(counts, call) {
+  counts.calls++;
+  if (call.result) {
+    counts.completed++;
+    if (call.result.isError) {
+      counts.errors++;
+    }
+  }
+}
+
+/**
+ * Reduce an error result to a short message that groups similar failures
+ */
+export function getErrorMessage(result) {
+  const raw = typeof result.payload === 'string' && result.payload.trim()
+    ? result.payload
+    : result.text;
+  const firstLine = String(raw || '')
+    .replace(/<\/?tool_use_error>/g, '')
+    .split('\n')
+    .map(line => line.trim())
+    .find(Boolean);
+
+  if (!firstLine) {
+    return '(no error message)';
+  }
+  return firstLine.length > ERROR_MESSAGE_MAX_LENGTH
+    ? `${firstLine.substring(0, ERROR_MESSAGE_MAX_LENGTH)}...`
+    : firstLine;
+}
+
+function getWindowErrorRate(byDay, startDate, endDate) {
+  const counts = createCounts();
+  byDay
+    .filter(day => day.date > startDate && day.date <= endDate)
+    .forEach(day => {
+      counts.calls += day.calls;
+      counts.completed += day.completed;
+      counts.errors += day.errors;
+    });
+  return counts.completed > 0 ? finalizeCounts(counts).errorRate : null;
+}
+
+function shiftDateKey(dateKey, days) {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Compare the error rate of the latest window of days with the window before
+ */
+function analyzeErrorTrend(byDay) {
+  if (byDay.length === 0) {
+    return null;
+  }
+  const latestDate = byDay[byDay.length - 1].date;
+  const windowStart = shiftDateKey(latestDate, -TREND_WINDOW_DAYS);
+  const previousStart = shiftDateKey(latestDate, -TREND_WINDOW_DAYS * 2);
+  const currentErrorRate = getWindowErrorRate(byDay, windowStart, latestDate);
+  const previousErrorRate = getWindowErrorRate(byDay, previousStart, windowStart);
+
+  return {
+    windowDays: TREND_WINDOW_DAYS,
+    currentErrorRate,
+    previousErrorRate,
+    change: currentErrorRate !== null && previousErrorRate !== null
+      ? roundTo(currentErrorRate - previousErrorRate, 1)
+      : null
+  };
+}
+
+/**
+ * Per-tool success and error rates, common error messages, and errors per
+ * project and day. Rates only count calls whose result was recorded.
+ */
+export function analyzeToolErrors(conversations, { timeZone } = {}) {
+  const totals = createCounts();
+  const byTool = {};
+  const byProject = {};
+  const byDay = new Map();
+  const errorMessages = new Map();
+
+  conversations.forEach(conv => {
+    const projectName = conv.project || 'unknown';
+
+    collectToolCalls(conv).forEach(call => {
+      if (!byTool[call.name]) {
+        byTool[call.name] = createCounts();
+      }
+      if (!byProject[projectName]) {
+        byProject[projectName] = createCounts();
+      }
+
+      addCall(totals, call);
+      addCall(byTool[call.name], call);
+      addCall(byProject[projectName], call);
+
+      const dateKey = call.timestamp ? getTimestampDateKey(call.timestamp, timeZone) : null;
+      if (dateKey) {
+        if (!byDay.has(dateKey)) {
+          byDay.set(dateKey, { date: dateKey, ...createCounts() });
+        }
+        addCall(byDay.get(dateKey), call);
+      }
+
+      if (call.result?.isError) {
+        const message = getErrorMessage(call.result);
+        if (!errorMessages.has(message)) {
+          errorMessages.set(message, { message, count: 0, tools: {}, lastSeen: null });
+        }
+        const entry = errorMessages.get(message);
+        entry.count++;
+        entry.tools[call.name] = (entry.tools[call.name] || 0) + 1;
+        const seenAt = call.result.timestamp || call.timestamp;
+        if (seenAt && (!entry.lastSeen || seenAt > entry.lastSeen)) {
+          entry.lastSeen = seenAt;
+        }
+      }
+    });
+  });
+
+  const finalizeMap = map => Object.fromEntries(
+    Object.entries(map)
+      .sort((a, b) => b[1].errors - a[1].errors || b[1].calls - a[1].calls)
+      .map(([key, value]) => [key, finalizeCounts(value)])
+  );
+
+  const dailyCounts = Array.from(byDay.values())
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(finalizeCounts);
+
+  return {
+    totals: finalizeCounts(totals),
+    byTool: finalizeMap(byTool),
+    byProject: finalizeMap(byProject),
+    byDay: dailyCounts,
+    trend: analyzeErrorTrend(dailyCounts),
+    topErrors: Array.from(errorMessages.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_ERRORS_LIMIT)
+  };
+}
+
+export default {
+  getErrorMessage,
+  analyzeToolErrors
+};
@@ -0,0 +1,118 @@
+/**
+ * Measure how long tools take from tool_use to the matching tool_result
+ */
+
+import { collectToolCalls, getPercentile, getTimestampDateKey } from './helpers.js';
+import { getCommandPrefix, getShellCommand } from './bash-analyzer.js';
+
+const SLOWEST_CALLS_LIMIT = 20;
+const COMMAND_PREFIX_LIMIT = 20;
+
+function summarizeDurations(durations) {
+  const sorted = [...durations].sort((a, b) => a - b);
+  const totalDurationMs = sorted.reduce((sum, value) => sum + value, 0);
+  return {
+    calls: sorted.length,
+    totalDurationMs,
+    avgMs: sorted.length > 0 ? Math.round(totalDurationMs / sorted.length) : 0,
+    p50: getPercentile(sorted, 50),
+    p90: getPercentile(sorted, 90),
+    p99: getPercentile(sorted, 99),
+    maxMs: sorted.length > 0 ? sorted[sorted.length - 1] : 0
+  };
+}
+
+function addDuration(map, key, durationMs) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(durationMs);
+}
+
+/**
+ * Wall-clock time between a tool call and its result, or null when either
+ * timestamp is missing or out of order
+ */
+export function getToolCallDuration(call) {
+  if (!call.result?.timestamp || !call.timestamp) {
+    return null;
+  }
+  const durationMs = new Date(call.result.timestamp) - new Date(call.timestamp);
+  return Number.isFinite(durationMs) && durationMs >= 0 ? durationMs : null;
+}
+
+/**
+ * Latency percentiles per tool, project and Bash command prefix, the slowest
+ * individual calls, and daily latency trends. Durations are in milliseconds.
+ */
+export function analyzeToolLatency(conversations, { timeZone } = {}) {
+  const allDurations = [];
+  const byTool = new Map();
+  const byProject = new Map();
+  const byCommand = new Map();
+  const byDay = new Map();
+  const slowestCalls = [];
+
+  conversations.forEach(conv => {
+    const projectName = conv.project || 'unknown';
+
+    collectToolCalls(conv).forEach(call => {
+      const durationMs = getToolCallDuration(call);
+      if (durationMs === null) {
+        return;
+      }
+
+      allDurations.push(durationMs);
+      addDuration(byTool, call.name, durationMs);
+      addDuration(byProject, projectName, durationMs);
+
+      const command = getShellCommand(call);
+      const commandPrefix = getCommandPrefix(command);
+      if (commandPrefix) {
+        addDuration(byCommand, commandPrefix, durationMs);
+      }
+
+      const dateKey = getTimestampDateKey(call.timestamp, timeZone);
+      if (dateKey) {
+        addDuration(byDay, dateKey, durationMs);
+      }
+
+      slowestCalls.push({
+        conversationId: conv.conversationId,
+        platform: conv.platform || 'claude',
+        project: conv.project,
+        tool: call.name,
+        command: command ? command.substring(0, 200) : null,
+        durationMs,
+        timestamp: call.timestamp,
+        messageIndex: call.messageIndex,
+        isError: call.result.isError
+      });
+    });
+  });
+
+  const summarizeMap = (map, limit) => Object.fromEntries(
+    Array.from(map.entries())
+      .map(([key, durations]) => [key, summarizeDurations(durations)])
+      .sort((a, b) => b[1].totalDurationMs - a[1].totalDurationMs)
+      .slice(0, limit)
+  );
+
+  return {
+    totals: summarizeDurations(allDurations),
+    byTool: summarizeMap(byTool),
+    byProject: summarizeMap(byProject),
+    byCommand: summarizeMap(byCommand, COMMAND_PREFIX_LIMIT),
+    byDay: Array.from(byDay.entries())
+      .sort((a, b) => a[0].localeCompare(b[0]))
+      .map(([date, durations]) => ({ date, ...summarizeDurations(durations) })),
+    slowestCalls: slowestCalls
+      .sort((a, b) => b.durationMs - a.durationMs)
+      .slice(0, SLOWEST_CALLS_LIMIT)
+  };
+}
+
+export default {
+  getToolCallDuration,
+  analyzeToolLatency
+};
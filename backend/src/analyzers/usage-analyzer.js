@@ -0,0 +1,248 @@
+/**
+ * Analyze token usage and estimated cost from assistant message usage
+ */
+
+import fs from 'fs';
+import { getTimestampDateKey, roundTo } from './helpers.js';
+
+/**
+ * Default price table in USD per million tokens. Entries are matched in order
+ * against the model name, so more specific patterns must come first.
+ * Override with a JSON file via ANALYTICS_PRICING_FILE.
+ */
+export const DEFAULT_PRICE_TABLE = [
+  { match: 'claude-opus-4-5', input: 5, output: 25, cacheWrite: 6.25, cacheRead: 0.5 },
+  { match: 'opus', input: 15, output: 75, cacheWrite: 18.75, cacheRead: 1.5 },
+  { match: 'sonnet', input: 3, output: 15, cacheWrite: 3.75, cacheRead: 0.3 },
+  { match: 'claude-haiku-4', input: 1, output: 5, cacheWrite: 1.25, cacheRead: 0.1 },
+  { match: 'haiku', input: 0.8, output: 4, cacheWrite: 1, cacheRead: 0.08 },
+  { match: 'gpt-5-mini', input: 0.25, output: 2, cacheWrite: 0, cacheRead: 0.025 },
+  { match: 'gpt-5', input: 1.25, output: 10, cacheWrite: 0, cacheRead: 0.125 }
+];
+
+let cachedPriceTable = null;
+
+/**
+ * Load the price table, preferring a local JSON override when configured.
+ * The override file is either an array of entries or `{ "models": [...] }`.
+ */
+export function loadPriceTable() {
+  if (cachedPriceTable) {
+    return cachedPriceTable;
+  }
+
+  const overridePath = process.env.ANALYTICS_PRICING_FILE;
+  if (overridePath) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(overridePath, 'utf-8'));
+      const entries = Array.isArray(parsed) ? parsed : parsed?.models;
+      if (Array.isArray(entries)) {
+        cachedPriceTable = entries.filter(entry => entry && typeof entry.match === 'string');
+        return cachedPriceTable;
+      }
+      console.error(`Pricing file ${overridePath} has no model entries, using defaults`);
+    } catch (error) {
+      console.error(`Error reading pricing file ${overridePath}:`, error);
+    }
+  }
+
+  cachedPriceTable = DEFAULT_PRICE_TABLE;
+  return cachedPriceTable;
+}
+
+function findModelPrice(model, priceTable) {
+  if (!model) {
+    return null;
+  }
+  const lowerModel = model.toLowerCase();
+  return priceTable.find(entry => lowerModel.includes(entry.match.toLowerCase())) || null;
+}
+
+function createUsageTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    totalTokens: 0,
+    estimatedCost: 0
+  };
+}
+
+function addUsage(totals, usage, cost) {
+  totals.requests++;
+  totals.inputTokens += usage.inputTokens;
+  totals.outputTokens += usage.outputTokens;
+  totals.cacheCreationTokens += usage.cacheCreationTokens;
+  totals.cacheReadTokens += usage.cacheReadTokens;
+  totals.totalTokens += getTotalTokens(usage);
+  totals.estimatedCost += cost;
+}
+
+function finalizeTotals(totals) {
+  return {
+    ...totals,
+    estimatedCost: roundTo(totals.estimatedCost, 4)
+  };
+}
+
+/**
+ * Normalize a raw `message.usage` object into token counts
+ */
+export function normalizeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+
+  const normalized = {
+    inputTokens: Number(usage.input_tokens) || 0,
+    outputTokens: Number(usage.output_tokens) || 0,
+    cacheCreationTokens: Number(usage.cache_creation_input_tokens) || 0,
+    cacheReadTokens: Number(usage.cache_read_input_tokens) || 0
+  };
+
+  return getTotalTokens(normalized) > 0 ? normalized : null;
+}
+
+/**
+ * Input, output and cache tokens of a normalized usage record combined
+ */
+export function getTotalTokens(usage) {
+  return usage.inputTokens + usage.outputTokens + usage.cacheCreationTokens + usage.cacheReadTokens;
+}
+
+export function estimateCost(usage, price) {
+  if (!price) {
+    return 0;
+  }
+  return (
+    usage.inputTokens * (price.input || 0) +
+    usage.outputTokens * (price.output || 0) +
+    usage.cacheCreationTokens * (price.cacheWrite || 0) +
+    usage.cacheReadTokens * (price.cacheRead || 0)
+  ) / 1_000_000;
+}
+
+/**
+ * Yield one usage record per API response in a conversation.
+ * Claude Code writes a separate record for each content block of a response,
+ * all repeating the same message id and usage, so those are counted once.
+ */
+export function collectUsageRecords(conv) {
+  const seenResponses = new Set();
+  const records = [];
+
+  conv.messages.forEach(msg => {
+    if (msg.type !== 'assistant') {
+      return;
+    }
+
+    const usage = normalizeUsage(msg.message?.usage);
+    if (!usage) {
+      return;
+    }
+
+    const responseKey = msg.message?.id || msg.requestId;
+    if (responseKey) {
+      if (seenResponses.has(responseKey)) {
+        return;
+      }
+      seenResponses.add(responseKey);
+    }
+
+    records.push({
+      model: msg.message?.model || 'unknown',
+      timestamp: msg.timestamp,
+      usage
+    });
+  });
+
+  return records;
+}
+
+/**
+ * Total token usage and estimated cost per conversation, project, model and day
+ */
+export function analyzeTokenUsage(conversations, priceTable = loadPriceTable(), { timeZone } = {}) {
+  const totals = createUsageTotals();
+  const byModel = {};
+  const byProject = {};
+  const byDay = new Map();
+  const byConversation = [];
+  const unpricedModels = new Set();
+
+  conversations.forEach(conv => {
+    const records = collectUsageRecords(conv);
+    if (records.length === 0) {
+      return;
+    }
+
+    const projectName = conv.project || 'unknown';
+    const conversationTotals = createUsageTotals();
+
+    records.forEach(record => {
+      const price = findModelPrice(record.model, priceTable);
+      if (!price) {
+        unpricedModels.add(record.model);
+      }
+      const cost = estimateCost(record.usage, price);
+
+      if (!byModel[record.model]) {
+        byModel[record.model] = createUsageTotals();
+      }
+      if (!byProject[projectName]) {
+        byProject[projectName] = createUsageTotals();
+      }
+
+      addUsage(totals, record.usage, cost);
+      addUsage(byModel[record.model], record.usage, cost);
+      addUsage(byProject[projectName], record.usage, cost);
+      addUsage(conversationTotals, record.usage, cost);
+
+      const dateKey = record.timestamp ? getTimestampDateKey(record.timestamp, timeZone) : null;
+      if (dateKey) {
+        if (!byDay.has(dateKey)) {
+          byDay.set(dateKey, { date: dateKey, ...createUsageTotals() });
+        }
+        addUsage(byDay.get(dateKey), record.usage, cost);
+      }
+    });
+
+    byConversation.push({
+      conversationId: conv.conversationId,
+      project: conv.project,
+      platform: conv.platform || 'claude',
+      source: conv.source || 'main',
+      ...finalizeTotals(conversationTotals)
+    });
+  });
+
+  const finalizeMap = map => Object.fromEntries(
+    Object.entries(map)
+      .sort((a, b) => b[1].estimatedCost - a[1].estimatedCost || b[1].totalTokens - a[1].totalTokens)
+      .map(([key, value]) => [key, finalizeTotals(value)])
+  );
+
+  return {
+    currency: 'USD',
+    totals: finalizeTotals(totals),
+    byModel: finalizeMap(byModel),
+    byProject: finalizeMap(byProject),
+    byDay: Array.from(byDay.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(finalizeTotals),
+    byConversation: byConversation
+      .sort((a, b) => b.estimatedCost - a.estimatedCost || b.totalTokens - a.totalTokens),
+    unpricedModels: Array.from(unpricedModels).sort()
+  };
+}
+
+export default {
+  loadPriceTable,
+  normalizeUsage,
+  getTotalTokens,
+  estimateCost,
+  collectUsageRecords,
+  analyzeTokenUsage
+};
@@ -0,0 +1,381 @@
+/**
+ * Score sessions against category rules. A rule is an object whose
+ * conditions must all hold for its `weight` (default 1) to count:
+ *
+ * - `prompt`: words or phrases found in the prompts on word boundaries,
+ *   case-insensitive, or `/regex/flags` strings. A hit in the first prompt,
+ *   which usually states the task, counts in full; later prompts count half.
+ * - `tools`: names of tools the session called
+ * - `files`: glob patterns matched against files the session changed,
+ *   relative to its working directory. Patterns without a `/` match the
+ *   file name, e.g. `*.test.*`; `**` crosses directories.
+ * - `readFiles`: glob patterns matched against files the session read
+ * - `commands`: shell command prefixes, e.g. `npm test` or `pytest`
+ * - `commandCategories`: shell command categories from the bash analyzer,
+ *   e.g. `test`, `build`, `lint`, `package`
+ * - `edits`: whether the session changed any files
+ * - `minLinesChanged`: lines added plus removed across the session
+ *
+ * A category's score grows with the weight of its matching rules and
+ * levels off towards 1. The weight of matching rules that look at what the
+ * session did (tools, files, commands) rather than only at its prompts and
+ * whether it edited anything is reported as `evidence`, which breaks ties.
+ */
+
+// Summed rule weight at which a category scores 0.5
+const HALF_SCORE_WEIGHT = 3;
+const LATER_PROMPT_FACTOR = 0.5;
+
+const TEST_FILES = ['*.test.*', '*.spec.*', 'test_*.py', '*_test.py', '*_test.go', '**/tests/**', '**/__tests__/**', 'tests/**', 'test/**'];
+const DOC_FILES = ['*.md', '*.mdx', '*.rst', '*.adoc', 'docs/**', '**/docs/**', 'CHANGELOG*'];
+const CONFIG_FILES = [
+  'package.json', '*.config.*', '*.yml', '*.yaml', '*.toml', '*.ini', 'Dockerfile', 'docker-compose*',
+  '.env*', 'tsconfig*.json', '.github/**', 'Makefile', 'requirements*.txt', 'pyproject.toml', 'go.mod', 'Cargo.toml'
+];
+const READ_ONLY_TOOLS = ['Read', 'Grep', 'Glob', 'LS', 'read_file', 'grep', 'codebase_search'];
+
+/**
+ * Categories the classifiers start from. Config files can add rules and
+ * examples to these, change their labels, disable them or add new ones.
+ * `examples` train the optional offline text model.
+ */
+export const DEFAULT_TASK_CATEGORIES = {
+  debugging: {
+    label: 'Debugging',
+    rules: [
+      { prompt: ['fix', 'fixes', 'bug', 'bugs', 'error', 'errors', 'broken', 'not working', 'debug', 'failing', 'fails', 'crash', 'crashes', 'exception', 'stack trace', 'traceback', 'regression'], weight: 2 },
+      { prompt: ['fix', 'bug', 'error', 'broken', 'failing', 'crash'], edits: true, weight: 1 }
+    ],
+    examples: [
+      'fix the failing test in the checkout flow',
+      'the app crashes when I click save, can you debug it',
+      'getting a TypeError undefined is not a function in the dashboard',
+      'this endpoint returns 500 after the last deploy, find out why',
+      'the login button is broken on mobile',
+      'here is the stack trace, what is causing this exception'
+    ]
+  },
+  featureImplementation: {
+    label: 'Feature Implementation',
+    rules: [
+      { prompt: ['add', 'implement', 'create', 'build', 'new feature', 'support for', 'introduce', 'make it possible', 'allow users'], weight: 2 },
+      { tools: ['Write'], minLinesChanged: 50, weight: 1 }
+    ],
+    examples: [
+      'add a dark mode toggle to the settings page',
+      'implement pagination for the search results',
+      'create an endpoint that exports reports as csv',
+      'build a new onboarding wizard for first time users',
+      'add support for uploading images to comments',
+      'allow users to reset their password by email'
+    ]
+  },
+  testing: {
+    label: 'Testing',
+    rules: [
+      { prompt: ['test', 'tests', 'unit test', 'unit tests', 'integration test', 'e2e', 'coverage', 'spec', 'specs', 'test case', 'test cases'], weight: 2 },
+      // Asking for a test makes testing the task, even when it is about a bug or a feature
+      { prompt: ['/\\b(add|write|create|need)\\s+(an?\\s+|some\\s+|more\\s+)?(unit\\s+|integration\\s+|e2e\\s+|regression\\s+)?tests?\\b/', 'test for', 'tests for'], weight: 2 },
+      { files: TEST_FILES, weight: 2 },
+      { commandCategories: ['test'], weight: 1 }
+    ],
+    examples: [
+      'write unit tests for the date parsing helpers',
+      'add a test for the bug we fixed in the cart',
+      'increase test coverage of the auth module',
+      'add integration tests for the payments api',
+      'the e2e tests need cases for the new signup flow'
+    ]
+  },
+  refactoring: {
+    label: 'Refactoring',
+    rules: [
+      { prompt: ['refactor', 'restructure', 'reorganize', 'clean up', 'cleanup', 'simplify', 'extract', 'deduplicate', 'split into', 'move into', 'rename'], weight: 2 },
+      { prompt: ['optimize', 'improve performance', 'faster', 'speed up'], weight: 1 }
+    ],
+    examples: [
+      'refactor the user service into smaller modules',
+      'clean up the duplicated validation logic',
+      'extract the table component into its own file',
+      'simplify this function, it is too nested',
+      'rename the config helpers and move them into utils'
+    ]
+  },
+  documentation: {
+    label: 'Documentation',
+    rules: [
+      { prompt: ['document', 'documentation', 'docs', 'readme', 'docstring', 'docstrings', 'jsdoc', 'comments', 'changelog', 'write up'], weight: 2 },
+      { files: DOC_FILES, weight: 2 }
+    ],
+    examples: [
+      'update the readme with setup instructions',
+      'add jsdoc comments to the public api',
+      'write documentation for the deployment process',
+      'add a changelog entry for this release'
+    ]
+  },
+  configuration: {
+    label: 'Configuration',
+    rules: [
+      { prompt: ['config', 'configure', 'configuration', 'setup', 'set up', 'install', 'settings', 'env var', 'environment variable', 'dependency', 'dependencies', 'ci', 'pipeline', 'docker', 'deploy', 'upgrade'], weight: 2 },
+      { files: CONFIG_FILES, weight: 2 },
+      { commandCategories: ['package', 'container'], weight: 1 }
+    ],
+    examples: [
+      'set up eslint and prettier for the project',
+      'configure the github actions pipeline to run tests',
+      'upgrade react to the latest version',
+      'add a dockerfile for the api server',
+      'install and configure tailwind'
+    ]
+  },
+  codeReview: {
+    label: 'Code Review',
+    rules: [
+      { prompt: ['review', 'code review', 'look over', 'check my', 'audit', 'pull request', 'pr', 'feedback on'], weight: 2 },
+      { prompt: ['review', 'audit', 'look over'], edits: false, weight: 1 }
+    ],
+    examples: [
+      'review my changes before I open the pull request',
+      'can you audit this module for security issues',
+      'look over the diff and give me feedback',
+      'review pr 42 and leave comments'
+    ]
+  },
+  exploration: {
+    label: 'Exploration',
+    rules: [
+      { prompt: ['how does', 'how do', 'where is', 'where are', 'explain', 'understand', 'walk me through', 'overview', 'find', 'search', 'what does'], weight: 2 },
+      { tools: READ_ONLY_TOOLS, edits: false, weight: 1 }
+    ],
+    examples: [
+      'explain how the authentication middleware works',
+      'where is the billing logic implemented',
+      'walk me through the request lifecycle',
+      'give me an overview of this codebase',
+      'find where we send welcome emails'
+    ]
+  },
+  update: {
+    label: 'Small Change',
+    rules: [
+      { prompt: ['change', 'update', 'modify', 'replace', 'remove', 'delete', 'tweak', 'bump', 'adjust', 'rename'], weight: 1.5 },
+      { edits: true, weight: 0.5 }
+    ],
+    examples: [
+      'change the button color to blue',
+      'update the copyright year in the footer',
+      'remove the unused import',
+      'bump the timeout to 30 seconds',
+      'replace the placeholder text on the landing page'
+    ]
+  },
+  question: {
+    label: 'Question',
+    rules: [
+      { prompt: ['/\\?\\s*$/m', 'why', 'what is', 'should i', 'is it', 'which is better', 'difference between'], edits: false, weight: 2 }
+    ],
+    examples: [
+      'why does this hook run twice',
+      'what is the difference between these two approaches',
+      'should I use a map or an object here',
+      'which is better for this, redux or context'
+    ]
+  }
+};
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Regular expression for a prompt term: `/source/flags` or a word or phrase
+ */
+export function compilePromptTerm(term) {
+  const match = /^\/(.+)\/([a-z]*)$/s.exec(term);
+  if (match) {
+    return new RegExp(match[1], match[2].includes('i') ? match[2] : `${match[2]}i`);
+  }
+  return new RegExp(`(^|[^\\w])${escapeRegExp(term.toLowerCase()).replace(/\s+/g, '\\s+')}(?=[^\\w]|$)`, 'i');
+}
+
+/**
+ * Regular expression for a file glob. Patterns without a `/` match the
+ * file name anywhere in the tree.
+ */
+export function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(piece => piece.split('?').map(escapeRegExp).join('[^/]'))
+      .join('[^/]*'))
+    .join('.*')
+    .replace(/\.\*\//g, '(?:.*/)?');
+  return new RegExp(glob.includes('/') ? `^${source}$` : `(^|/)${source}$`);
+}
+
+function toList(value) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Validate and precompile a rule, or null when it has no conditions
+ */
+export function compileRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    return null;
+  }
+  const compiled = {
+    weight: Number.isFinite(rule.weight) ? rule.weight : 1,
+    prompt: toList(rule.prompt).filter(term => typeof term === 'string').map(term => ({ term, pattern: compilePromptTerm(term) })),
+    tools: toList(rule.tools).filter(tool => typeof tool === 'string'),
+    files: toList(rule.files).filter(glob => typeof glob === 'string').map(glob => ({ glob, pattern: globToRegExp(glob) })),
+    readFiles: toList(rule.readFiles).filter(glob => typeof glob === 'string').map(glob => ({ glob, pattern: globToRegExp(glob) })),
+    commands: toList(rule.commands).filter(prefix => typeof prefix === 'string'),
+    commandCategories: toList(rule.commandCategories).filter(category => typeof category === 'string'),
+    edits: typeof rule.edits === 'boolean' ? rule.edits : null,
+    minLinesChanged: Number.isFinite(rule.minLinesChanged) ? rule.minLinesChanged : null
+  };
+  const hasCondition = compiled.prompt.length > 0 || compiled.tools.length > 0 || compiled.files.length > 0 ||
+    compiled.readFiles.length > 0 || compiled.commands.length > 0 || compiled.commandCategories.length > 0 ||
+    compiled.edits !== null || compiled.minLinesChanged !== null;
+  return hasCondition ? compiled : null;
+}
+
+function findFile(files, globs) {
+  for (const { glob, pattern } of globs) {
+    const file = files.find(filePath => pattern.test(filePath));
+    if (file) {
+      return { glob, file };
+    }
+  }
+  return null;
+}
+
+/**
+ * Weight a rule adds for a session, with the signals that matched, or
+ * null when a condition does not hold
+ */
+export function matchRule(rule, features) {
+  const signals = [];
+  let factor = 1;
+
+  if (rule.prompt.length > 0) {
+    const [firstPrompt = '', ...laterPrompts] = features.prompts;
+    const firstHit = rule.prompt.find(({ pattern }) => pattern.test(firstPrompt));
+    const laterHit = firstHit ? null : rule.prompt.find(({ pattern }) => laterPrompts.some(prompt => pattern.test(prompt)));
+    if (!firstHit && !laterHit) {
+      return null;
+    }
+    factor = firstHit ? 1 : LATER_PROMPT_FACTOR;
+    signals.push(`prompt: ${(firstHit || laterHit).term}`);
+  }
+  if (rule.tools.length > 0) {
+    const tool = rule.tools.find(name => features.tools[name] > 0);
+    if (!tool) {
+      return null;
+    }
+    signals.push(`tool: ${tool}`);
+  }
+  if (rule.files.length > 0) {
+    const hit = findFile(features.editedFiles, rule.files);
+    if (!hit) {
+      return null;
+    }
+    signals.push(`changed: ${hit.file}`);
+  }
+  if (rule.readFiles.length > 0) {
+    const hit = findFile(features.readFiles, rule.readFiles);
+    if (!hit) {
+      return null;
+    }
+    signals.push(`read: ${hit.file}`);
+  }
+  if (rule.commands.length > 0) {
+    const hit = features.commands.find(({ command }) => rule.commands.some(prefix => command.trim().startsWith(prefix)));
+    if (!hit) {
+      return null;
+    }
+    signals.push(`command: ${hit.command}`);
+  }
+  if (rule.commandCategories.length > 0) {
+    const hit = features.commands.find(({ category }) => rule.commandCategories.includes(category));
+    if (!hit) {
+      return null;
+    }
+    signals.push(`${hit.category} command: ${hit.subcommand ? `${hit.program} ${hit.subcommand}` : hit.program}`);
+  }
+  if (rule.edits !== null && (features.editedFiles.length > 0) !== rule.edits) {
+    return null;
+  }
+  if (rule.minLinesChanged !== null) {
+    if (features.linesChanged < rule.minLinesChanged) {
+      return null;
+    }
+    signals.push(`${features.linesChanged} lines changed`);
+  }
+
+  return { weight: rule.weight * factor, signals };
+}
+
+/**
+ * Whether a rule looks at what the session did, not only at its prompts
+ */
+function isActivityRule(rule) {
+  return rule.tools.length > 0 || rule.files.length > 0 || rule.readFiles.length > 0 ||
+    rule.commands.length > 0 || rule.commandCategories.length > 0 || rule.minLinesChanged !== null;
+}
+
+/**
+ * Classifier scoring every category by the summed weight of its matching rules
+ */
+export function createRuleClassifier(categories) {
+  const compiled = Object.entries(categories).map(([id, category]) => ({
+    id,
+    rules: toList(category.rules).map(compileRule).filter(Boolean)
+  }));
+
+  return {
+    name: 'rules',
+    weight: 1,
+    classify(features) {
+      const scores = {};
+      compiled.forEach(({ id, rules }) => {
+        let weight = 0;
+        let evidence = 0;
+        const signals = [];
+        rules.forEach(rule => {
+          const match = matchRule(rule, features);
+          if (match && match.weight > 0) {
+            weight += match.weight;
+            if (isActivityRule(rule)) {
+              evidence += match.weight;
+            }
+            signals.push(...match.signals);
+          }
+        });
+        if (weight > 0) {
+          scores[id] = {
+            score: weight / (weight + HALF_SCORE_WEIGHT),
+            signals: Array.from(new Set(signals)),
+            evidence
+          };
+        }
+      });
+      return scores;
+    }
+  };
+}
+
+export default {
+  DEFAULT_TASK_CATEGORIES,
+  compilePromptTerm,
+  globToRegExp,
+  compileRule,
+  matchRule,
+  createRuleClassifier
+};
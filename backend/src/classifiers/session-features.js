@@ -0,0 +1,96 @@
+/**
+ * Collect what a task classifier looks at for one session: the user's
+ * prompts, the tools that ran, the files read and changed, and the shell
+ * commands executed, across the session and its subagent runs
+ */
+
+import { collectToolCalls, isUserPrompt } from '../analyzers/helpers.js';
+import { getShellCommand, parseShellCommand } from '../analyzers/bash-analyzer.js';
+import { getToolCallLineChanges } from '../analyzers/code-churn-analyzer.js';
+import { getConversationCwd, normalizeFilePath } from '../analyzers/file-activity-analyzer.js';
+
+const READ_TOOL_NAMES = new Set(['Read', 'NotebookRead', 'read_file']);
+const MAX_PROMPTS = 20;
+
+/**
+ * Text of a user prompt without attached images or tool results
+ */
+export function getPromptText(msg) {
+  const content = msg.message?.content;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(item => item?.type === 'text' && typeof item.text === 'string')
+      .map(item => item.text)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Features of a session and its subagent runs. `prompts` are the session's
+ * own prompts, first prompt first; subagent prompts are written by the agent
+ * and only count when there is no session, e.g. with `subagent=only`.
+ */
+export function buildSessionFeatures(session, runs = []) {
+  const conversations = [session, ...runs].filter(Boolean);
+  const promptSources = session ? [session] : runs;
+  const prompts = promptSources
+    .flatMap(conv => conv.messages.filter(isUserPrompt).map(getPromptText))
+    .map(text => text.trim())
+    .filter(text => text && !text.startsWith('<command-'))
+    .slice(0, MAX_PROMPTS);
+
+  const tools = {};
+  const editedFiles = new Set();
+  const readFiles = new Set();
+  const commands = [];
+  let linesChanged = 0;
+
+  conversations.forEach(conv => {
+    const cwd = getConversationCwd(conv);
+    collectToolCalls(conv).forEach(call => {
+      tools[call.name] = (tools[call.name] || 0) + 1;
+
+      if (!call.result?.isError) {
+        getToolCallLineChanges(call).forEach(change => {
+          if (change.filePath && (change.added > 0 || change.removed > 0)) {
+            editedFiles.add(normalizeFilePath(change.filePath, cwd));
+            linesChanged += change.added + change.removed;
+          }
+        });
+      }
+
+      const readPath = READ_TOOL_NAMES.has(call.name) ? call.input?.file_path || call.input?.target_file : null;
+      if (typeof readPath === 'string') {
+        readFiles.add(normalizeFilePath(readPath, cwd));
+      }
+
+      const command = getShellCommand(call);
+      if (command) {
+        parseShellCommand(command).forEach(description => commands.push({ command, ...description }));
+      }
+    });
+  });
+
+  return {
+    conversationId: session?.conversationId || runs[0]?.conversationId,
+    project: (session || runs[0])?.project || 'unknown',
+    platform: (session || runs[0])?.platform || 'claude',
+    timestamp: conversations.flatMap(conv => conv.messages.map(msg => msg.timestamp)).find(Boolean) || null,
+    subagentRuns: runs.length,
+    prompts,
+    tools,
+    editedFiles: Array.from(editedFiles),
+    readFiles: Array.from(readFiles),
+    commands,
+    linesChanged
+  };
+}
+
+export default {
+  getPromptText,
+  buildSessionFeatures
+};
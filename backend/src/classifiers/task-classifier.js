@@ -0,0 +1,218 @@
+/**
+ * Pipeline that labels each session with the kinds of task it was. Every
+ * registered classifier scores the categories from the session's features
+ * (see `session-features.js`); the scores are averaged by classifier
+ * weight, and every category above `minConfidence` becomes a label, up to
+ * `maxLabels`. Sessions without a label are `other`.
+ *
+ * A classifier is an object with:
+ * - `name`: shown with the labels it contributed to
+ * - `weight` (optional): share of the combined score, 1 by default
+ * - `categories` (optional): ids of the categories it can score, all by
+ *   default; a category's score is averaged over these classifiers only
+ * - `classify(features, categories)`: `{ categoryId: { score, signals, evidence } }`
+ *   with scores between 0 and 1, signals explaining them and, optionally,
+ *   how much of the score comes from what the session did rather than from
+ *   its prompts. Labels with the same confidence are ordered by evidence.
+ *
+ * The built-in rule classifier always runs. The offline text model runs when
+ * enabled in the `tasks` section of the config file, which can also add,
+ * change and disable categories:
+ *
+ *   {
+ *     "tasks": {
+ *       "minConfidence": 0.3,
+ *       "maxLabels": 3,
+ *       "model": { "enabled": true, "weight": 1 },
+ *       "disable": ["question"],
+ *       "categories": {
+ *         "migration": {
+ *           "label": "Migrations",
+ *           "rules": [{ "prompt": ["migrate", "migration"], "weight": 2 }, { "files": ["db/migrations/*"], "weight": 2 }],
+ *           "examples": ["migrate the orders table to the new schema"]
+ *         }
+ *       }
+ *     }
+ *   }
+ *
+ * Rules and examples given for a built-in category are added to its own;
+ * set `"replace": true` on the category to use only the configured ones.
+ */
+
+import { DEFAULT_TASK_CATEGORIES, createRuleClassifier } from './rule-classifier.js';
+import { createTextModelClassifier } from './text-model-classifier.js';
+import { buildSessionFeatures } from './session-features.js';
+
+export const OTHER_CATEGORY = 'other';
+const DEFAULT_MIN_CONFIDENCE = 0.3;
+const DEFAULT_MAX_LABELS = 3;
+const SIGNALS_LIMIT = 5;
+
+const customClassifiers = [];
+let settings = null;
+
+function roundConfidence(score) {
+  return Math.round(score * 100) / 100;
+}
+
+function toStringList(value) {
+  return Array.isArray(value) ? value.filter(item => typeof item === 'string') : [];
+}
+
+/**
+ * Categories after applying the `tasks` config section to the defaults
+ */
+export function resolveTaskCategories(config = {}) {
+  const disabled = new Set(toStringList(config.disable));
+  const categories = {};
+
+  Object.entries(DEFAULT_TASK_CATEGORIES).forEach(([id, category]) => {
+    categories[id] = { ...category, rules: [...category.rules], examples: [...category.examples] };
+  });
+
+  const configured = config.categories && typeof config.categories === 'object' ? config.categories : {};
+  Object.entries(configured).forEach(([id, category]) => {
+    if (id === OTHER_CATEGORY || !category || typeof category !== 'object') {
+      console.warn(`Ignoring task category "${id}" in config`);
+      return;
+    }
+    const base = categories[id] && !category.replace ? categories[id] : { label: id, rules: [], examples: [] };
+    categories[id] = {
+      label: typeof category.label === 'string' ? category.label : base.label,
+      rules: [...base.rules, ...(Array.isArray(category.rules) ? category.rules : [])],
+      examples: [...base.examples, ...toStringList(category.examples)]
+    };
+  });
+
+  disabled.forEach(id => delete categories[id]);
+  return categories;
+}
+
+/**
+ * Apply the `tasks` section of the config file. Classifiers registered with
+ * `registerTaskClassifier` are kept.
+ */
+export function configureTaskClassification(config = {}) {
+  const tasksConfig = config && typeof config === 'object' ? config : {};
+  const categories = resolveTaskCategories(tasksConfig);
+  const model = tasksConfig.model && typeof tasksConfig.model === 'object' ? tasksConfig.model : {};
+  const builtIn = [createRuleClassifier(categories)];
+  if (model.enabled === true) {
+    builtIn.push(createTextModelClassifier(categories, {
+      weight: Number.isFinite(model.weight) ? model.weight : 1
+    }));
+  }
+
+  settings = {
+    categories,
+    builtIn,
+    minConfidence: Number.isFinite(tasksConfig.minConfidence) ? tasksConfig.minConfidence : DEFAULT_MIN_CONFIDENCE,
+    maxLabels: Number.isInteger(tasksConfig.maxLabels) && tasksConfig.maxLabels > 0
+      ? tasksConfig.maxLabels
+      : DEFAULT_MAX_LABELS
+  };
+  return settings;
+}
+
+function getSettings() {
+  return settings || configureTaskClassification();
+}
+
+/**
+ * Add a classifier to the pipeline
+ */
+export function registerTaskClassifier(classifier) {
+  if (!classifier?.name || typeof classifier.classify !== 'function') {
+    throw new Error(`Task classifier "${classifier?.name || 'unknown'}" needs a name and a classify function`);
+  }
+  if (getTaskClassifiers().some(existing => existing.name === classifier.name)) {
+    throw new Error(`Task classifier "${classifier.name}" is already registered`);
+  }
+  customClassifiers.push(classifier);
+}
+
+export function getTaskClassifiers() {
+  return [...getSettings().builtIn, ...customClassifiers];
+}
+
+/**
+ * Category ids and labels, including `other`
+ */
+export function getTaskCategories() {
+  return [
+    ...Object.entries(getSettings().categories).map(([id, category]) => ({ id, label: category.label })),
+    { id: OTHER_CATEGORY, label: 'Other' }
+  ];
+}
+
+/**
+ * Labels of a session's features, most confident first, each as
+ * `{ category, confidence, signals, classifiers }`
+ */
+export function classifyFeatures(features) {
+  const { categories, minConfidence, maxLabels } = getSettings();
+  const classifiers = getTaskClassifiers();
+  const coveringWeight = id => classifiers
+    .filter(classifier => !classifier.categories || classifier.categories.includes(id))
+    .reduce((sum, classifier) => sum + (classifier.weight ?? 1), 0);
+  const combined = {};
+
+  classifiers.forEach(classifier => {
+    const weight = classifier.weight ?? 1;
+    let scores;
+    try {
+      scores = classifier.classify(features, categories) || {};
+    } catch (error) {
+      console.error(`Task classifier "${classifier.name}" failed:`, error.message);
+      return;
+    }
+    Object.entries(scores).forEach(([id, { score, signals = [], evidence = 0 }]) => {
+      if (!categories[id] || !(score > 0)) {
+        return;
+      }
+      if (!combined[id]) {
+        combined[id] = { category: id, score: 0, evidence: 0, signals: [], classifiers: [] };
+      }
+      combined[id].score += (Math.min(1, score) * weight) / coveringWeight(id);
+      combined[id].evidence += Number.isFinite(evidence) ? evidence * weight : 0;
+      combined[id].signals.push(...signals);
+      combined[id].classifiers.push(classifier.name);
+    });
+  });
+
+  const labels = Object.values(combined)
+    .filter(label => label.score >= minConfidence)
+    .sort((a, b) => roundConfidence(b.score) - roundConfidence(a.score) || b.evidence - a.evidence || b.score - a.score)
+    .slice(0, maxLabels)
+    .map(label => ({
+      category: label.category,
+      confidence: roundConfidence(label.score),
+      signals: Array.from(new Set(label.signals)).slice(0, SIGNALS_LIMIT),
+      classifiers: label.classifiers
+    }));
+
+  if (labels.length > 0) {
+    return labels;
+  }
+  const best = Math.max(0, ...Object.values(combined).map(label => label.score));
+  return [{ category: OTHER_CATEGORY, confidence: roundConfidence(1 - best), signals: [], classifiers: [] }];
+}
+
+/**
+ * Labels of a session and its subagent runs
+ */
+export function classifySession(session, runs = []) {
+  const features = buildSessionFeatures(session, runs);
+  return { features, labels: classifyFeatures(features) };
+}
+
+export default {
+  OTHER_CATEGORY,
+  resolveTaskCategories,
+  configureTaskClassification,
+  registerTaskClassifier,
+  getTaskClassifiers,
+  getTaskCategories,
+  classifyFeatures,
+  classifySession
+};
@@ -0,0 +1,128 @@
+/**
+ * Offline text model for task classification. Each category is represented
+ * by the TF-IDF centroid of its example prompts, and a session is scored by
+ * the cosine similarity of its prompts to every centroid. Training happens
+ * in memory from the examples in the category definitions; nothing is
+ * downloaded and no prompt leaves the machine.
+ */
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'for', 'from', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'please', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'this', 'to', 'us', 'we', 'with', 'you', 'your'
+]);
+// Similarity at which a category counts as a full match
+const FULL_MATCH_SIMILARITY = 0.5;
+// Words of the first prompt count this many times; it usually states the task
+const FIRST_PROMPT_REPEAT = 2;
+
+/**
+ * Lowercased word stems of a text without stop words
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z][a-z0-9]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(word => word.replace(/(ing|ed|es|s)$/, '') || word)
+    .filter(word => word.length > 1);
+}
+
+function countTerms(tokens) {
+  const counts = new Map();
+  tokens.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+  return counts;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(Array.from(vector.values()).reduce((sum, value) => sum + value * value, 0));
+  if (norm > 0) {
+    vector.forEach((value, term) => vector.set(term, value / norm));
+  }
+  return vector;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  const [small, large] = a.size < b.size ? [a, b] : [b, a];
+  small.forEach((value, term) => {
+    dot += value * (large.get(term) || 0);
+  });
+  return dot;
+}
+
+/**
+ * Train TF-IDF centroids from `{ categoryId: [example, ...] }`
+ */
+export function trainTextModel(examplesByCategory) {
+  const documents = Object.entries(examplesByCategory).flatMap(([id, examples]) =>
+    examples.map(example => ({ id, terms: countTerms(tokenize(example)) })));
+  const documentFrequency = new Map();
+  documents.forEach(({ terms }) => terms.forEach((_count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+  const idf = new Map(Array.from(documentFrequency.entries())
+    .map(([term, frequency]) => [term, Math.log((1 + documents.length) / (1 + frequency)) + 1]));
+
+  const vectorize = terms => normalize(new Map(Array.from(terms.entries())
+    .filter(([term]) => idf.has(term))
+    .map(([term, count]) => [term, (1 + Math.log(count)) * idf.get(term)])));
+
+  const centroids = new Map();
+  documents.forEach(({ id, terms }) => {
+    if (!centroids.has(id)) {
+      centroids.set(id, new Map());
+    }
+    const centroid = centroids.get(id);
+    vectorize(terms).forEach((value, term) => centroid.set(term, (centroid.get(term) || 0) + value));
+  });
+  centroids.forEach(normalize);
+
+  return { vectorize, centroids };
+}
+
+/**
+ * Classifier scoring categories by how closely a session's prompts resemble
+ * their examples. Categories without examples are never scored.
+ */
+export function createTextModelClassifier(categories, { weight = 1 } = {}) {
+  const examplesByCategory = Object.fromEntries(
+    Object.entries(categories)
+      .map(([id, category]) => [id, (category.examples || []).filter(example => typeof example === 'string')])
+      .filter(([, examples]) => examples.length > 0)
+  );
+  const model = trainTextModel(examplesByCategory);
+
+  return {
+    name: 'text-model',
+    weight,
+    categories: Object.keys(examplesByCategory),
+    classify(features) {
+      const [firstPrompt = '', ...laterPrompts] = features.prompts;
+      const tokens = [
+        ...Array.from({ length: FIRST_PROMPT_REPEAT }, () => tokenize(firstPrompt)).flat(),
+        ...laterPrompts.flatMap(tokenize)
+      ];
+      const vector = model.vectorize(countTerms(tokens));
+      if (vector.size === 0) {
+        return {};
+      }
+
+      const scores = {};
+      model.centroids.forEach((centroid, id) => {
+        const similarity = cosine(vector, centroid);
+        if (similarity > 0) {
+          scores[id] = {
+            score: Math.min(1, similarity / FULL_MATCH_SIMILARITY),
+            signals: [`similar to ${id} examples (${similarity.toFixed(2)})`]
+          };
+        }
+      });
+      return scores;
+    }
+  };
+}
+
+export default {
+  tokenize,
+  trainTextModel,
+  createTextModelClassifier
+};
@@ -0,0 +1,128 @@
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+
+// Bump when the normalized conversation shape changes so stale indexes are rebuilt
+const INDEX_VERSION = 8;
+
+/**
+ * Resolve the directory holding the analytics index
+ */
+export function resolveDataDir() {
+  return process.env.ANALYTICS_DATA_DIR || path.join(os.homedir(), '.claude-analytics');
+}
+
+async function writeFileAtomic(filePath, content) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, content);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Create an on-disk index of normalized conversations. `index.json` records
+ * each source file's path, root, size, mtime, fingerprint and read offset,
+ * and every conversation is stored as its own JSON file so a refresh only
+ * rewrites what changed.
+ */
+export function createConversationIndex(dataDir = resolveDataDir()) {
+  const indexFile = path.join(dataDir, 'index.json');
+  const conversationsDir = path.join(dataDir, 'conversations');
+
+  function getConversationFileName(filePath) {
+    return `${crypto.createHash('sha1').update(filePath).digest('hex')}.json`;
+  }
+
+  /**
+   * Read the index back into a map of file path to store entry
+   */
+  async function load() {
+    const files = new Map();
+
+    let index;
+    try {
+      index = JSON.parse(await fs.promises.readFile(indexFile, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Error reading analytics index ${indexFile}:`, error);
+      }
+      return files;
+    }
+
+    if (index?.version !== INDEX_VERSION || !index.files) {
+      console.log(`Analytics index ${indexFile} is outdated, rebuilding`);
+      return files;
+    }
+
+    for (const [filePath, entry] of Object.entries(index.files)) {
+      try {
+        const content = await fs.promises.readFile(
+          path.join(conversationsDir, entry.conversationFile),
+          'utf-8'
+        );
+        files.set(filePath, {
+          source: entry.source,
+          root: entry.root,
+          size: entry.size,
+          mtimeMs: entry.mtimeMs,
+          fingerprint: entry.fingerprint,
+          offset: entry.offset,
+          archived: Boolean(entry.archived),
+          conversation: JSON.parse(content)
+        });
+      } catch (error) {
+        console.error(`Error reading indexed conversation for ${filePath}:`, error);
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Persist changed conversations and rewrite the index
+   */
+  async function save(files, changedPaths) {
+    await fs.promises.mkdir(conversationsDir, { recursive: true });
+
+    for (const filePath of changedPaths) {
+      const entry = files.get(filePath);
+      const conversationPath = path.join(conversationsDir, getConversationFileName(filePath));
+      if (!entry) {
+        await fs.promises.rm(conversationPath, { force: true });
+        continue;
+      }
+      await writeFileAtomic(conversationPath, JSON.stringify(entry.conversation));
+    }
+
+    const indexFiles = {};
+    files.forEach((entry, filePath) => {
+      indexFiles[filePath] = {
+        source: entry.source,
+        root: entry.root,
+        size: entry.size,
+        mtimeMs: entry.mtimeMs,
+        fingerprint: entry.fingerprint,
+        offset: entry.offset,
+        archived: entry.archived || undefined,
+        conversationFile: getConversationFileName(filePath)
+      };
+    });
+
+    await writeFileAtomic(indexFile, JSON.stringify({
+      version: INDEX_VERSION,
+      updatedAt: new Date().toISOString(),
+      files: indexFiles
+    }));
+  }
+
+  return {
+    dataDir,
+    load,
+    save
+  };
+}
+
+export default {
+  resolveDataDir,
+  createConversationIndex
+};
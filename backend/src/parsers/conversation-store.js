@@ -0,0 +1,212 @@
+import fs from 'fs';
+import { getSourceAdapter, getSourceAdapters, listSourceFiles } from '../sources/source-registry.js';
+
+/**
+ * Whether `candidate` should replace `kept` as the copy of a session found
+ * in two roots: the copy with more messages wins, then the newer file
+ */
+function isBetterCopy(candidate, kept) {
+  const candidateMessages = candidate.conversation.messages?.length || 0;
+  const keptMessages = kept.conversation.messages?.length || 0;
+  if (candidateMessages !== keptMessages) {
+    return candidateMessages > keptMessages;
+  }
+  return (candidate.mtimeMs || 0) > (kept.mtimeMs || 0);
+}
+
+/**
+ * Create an in-memory store of parsed conversations keyed by file path.
+ * Each refresh stats every file and only re-reads files whose source adapter
+ * fingerprint changed, reading just the appended tail when a JSONL file has
+ * grown.
+ * With an index, the store is seeded from disk on startup and conversations
+ * whose source files were pruned are kept as archived.
+ * Conversations are tagged with the machine of the root they were read from.
+ * When the same session appears under several roots, such as a synced
+ * backup next to the live directory, only the most complete copy is kept.
+ */
+export function createConversationStore({ index = null } = {}) {
+  const files = new Map();
+  const conversationsBySource = {};
+  const duplicatesBySource = {};
+  let fileOrder = [];
+
+  function rebuildSource(source) {
+    const keptEntries = [];
+    const keptById = new Map();
+    let duplicates = 0;
+
+    fileOrder
+      .map(filePath => files.get(filePath))
+      .filter(entry => entry && entry.source === source && entry.conversation)
+      .forEach(entry => {
+        const id = entry.conversation.conversationId;
+        const keptIndex = id ? keptById.get(id) : undefined;
+        if (keptIndex === undefined || keptEntries[keptIndex].root === entry.root) {
+          if (id && keptIndex === undefined) {
+            keptById.set(id, keptEntries.length);
+          }
+          keptEntries.push(entry);
+          return;
+        }
+        duplicates++;
+        if (isBetterCopy(entry, keptEntries[keptIndex])) {
+          keptEntries[keptIndex] = entry;
+        }
+      });
+
+    conversationsBySource[source] = keptEntries.map(entry => entry.conversation);
+    duplicatesBySource[source] = duplicates;
+  }
+
+  function setArchived(filePath, entry, archived) {
+    const conversation = { ...entry.conversation };
+    delete conversation.archived;
+    files.set(filePath, {
+      ...entry,
+      archived,
+      conversation: archived ? { ...conversation, archived: true } : conversation
+    });
+  }
+
+  /**
+   * Seed the store from the on-disk index
+   */
+  async function load() {
+    if (!index) {
+      return 0;
+    }
+
+    const indexedFiles = await index.load();
+    indexedFiles.forEach((entry, filePath) => files.set(filePath, entry));
+    fileOrder = Array.from(indexedFiles.keys());
+    new Set(Array.from(indexedFiles.values()).map(entry => entry.source)).forEach(rebuildSource);
+    return indexedFiles.size;
+  }
+
+  /**
+   * Sync the store with disk and return the sources whose conversations changed
+   */
+  async function refresh() {
+    getSourceAdapters().forEach(adapter => adapter.beginRefresh?.());
+    const listedFiles = listSourceFiles();
+    const seenPaths = new Set();
+    const changedSources = new Set();
+    const changedPaths = [];
+
+    for (const file of listedFiles) {
+      seenPaths.add(file.path);
+
+      let stats;
+      try {
+        stats = await fs.promises.stat(file.path);
+      } catch (error) {
+        continue;
+      }
+
+      const adapter = getSourceAdapter(file.source);
+      const fingerprint = adapter.fingerprint(file, stats);
+      const cached = files.get(file.path);
+      if (cached && cached.fingerprint === fingerprint) {
+        if (cached.archived) {
+          setArchived(file.path, cached, false);
+          changedPaths.push(file.path);
+          changedSources.add(file.source);
+        }
+        continue;
+      }
+
+      try {
+        const result = await adapter.ingest(file, stats, cached);
+        if (result.conversation) {
+          result.conversation.machine = file.machine;
+        }
+        files.set(file.path, {
+          source: file.source,
+          root: file.root,
+          size: stats.size,
+          mtimeMs: stats.mtimeMs,
+          fingerprint,
+          archived: false,
+          ...result
+        });
+      } catch (error) {
+        console.error(`Error ingesting ${file.path}:`, error);
+        files.delete(file.path);
+      }
+
+      changedPaths.push(file.path);
+      changedSources.add(file.source);
+    }
+
+    for (const [filePath, entry] of files) {
+      if (seenPaths.has(filePath)) {
+        continue;
+      }
+
+      if (!index) {
+        files.delete(filePath);
+      } else if (!entry.archived) {
+        setArchived(filePath, entry, true);
+      } else {
+        continue;
+      }
+      changedPaths.push(filePath);
+      changedSources.add(entry.source);
+    }
+
+    const archivedPaths = Array.from(files.keys()).filter(filePath => !seenPaths.has(filePath));
+    fileOrder = [...listedFiles.map(file => file.path), ...archivedPaths];
+    changedSources.forEach(rebuildSource);
+
+    if (index && changedPaths.length > 0) {
+      try {
+        await index.save(files, changedPaths);
+      } catch (error) {
+        console.error(`Error saving analytics index to ${index.dataDir}:`, error);
+      }
+    }
+
+    return {
+      changedSources: Array.from(changedSources),
+      changedFiles: changedPaths.length
+    };
+  }
+
+  /**
+   * Drop parsed files so the next refresh re-reads everything still on disk.
+   * Archived conversations are kept because their sources no longer exist.
+   */
+  function reset() {
+    for (const [filePath, entry] of files) {
+      if (!entry.archived) {
+        files.delete(filePath);
+      }
+    }
+    fileOrder = fileOrder.filter(filePath => files.has(filePath));
+    Object.keys(conversationsBySource).forEach(rebuildSource);
+  }
+
+  function getConversationsBySource() {
+    return { ...conversationsBySource };
+  }
+
+  /**
+   * Sessions per source skipped because a copy was read from another root
+   */
+  function getDuplicateCounts() {
+    return { ...duplicatesBySource };
+  }
+
+  return {
+    load,
+    refresh,
+    reset,
+    getConversationsBySource,
+    getDuplicateCounts
+  };
+}
+
+export default {
+  createConversationStore
+};
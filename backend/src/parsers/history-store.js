@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { readJSONLStream } from './jsonl-parser.js';
+import { getSourceAdapter, getSourceRoots } from '../sources/source-registry.js';
+
+function toIsoTimestamp(value) {
+  const date = new Date(value);
+  return value !== undefined && value !== null && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+}
+
+function normalizeHistoryEntry(record, machine) {
+  if (!record || typeof record.display !== 'string') {
+    return null;
+  }
+  return {
+    display: record.display,
+    timestamp: toIsoTimestamp(record.timestamp),
+    project: typeof record.project === 'string' ? record.project : null,
+    machine,
+    pastedContents: record.pastedContents && typeof record.pastedContents === 'object' ? record.pastedContents : {}
+  };
+}
+
+/**
+ * Create a cache of the prompts Claude Code records in `history.jsonl` under
+ * each configured Claude root. The file is append-only, so a grown file is
+ * read from the previous offset. Prompts copied to several roots are kept once.
+ */
+export function createHistoryStore() {
+  const files = new Map();
+
+  async function readHistoryFile(filePath, machine) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(filePath);
+    } catch (error) {
+      files.delete(filePath);
+      return [];
+    }
+
+    const cached = files.get(filePath);
+    if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+      return cached.entries;
+    }
+
+    const canAppend = cached && stats.size > cached.size && cached.offset <= stats.size;
+    const { records, offset } = await readJSONLStream(filePath, { start: canAppend ? cached.offset : 0 });
+    const entries = records.map(record => normalizeHistoryEntry(record, machine)).filter(Boolean);
+    const entry = {
+      size: stats.size,
+      mtimeMs: stats.mtimeMs,
+      offset,
+      entries: canAppend ? cached.entries.concat(entries) : entries
+    };
+    files.set(filePath, entry);
+    return entry.entries;
+  }
+
+  /**
+   * All history entries across roots, oldest first
+   */
+  async function load() {
+    const adapter = getSourceAdapter('claude');
+    const roots = adapter ? getSourceRoots(adapter) : [];
+    const seen = new Set();
+    const entries = [];
+
+    for (const root of roots) {
+      const rootEntries = await readHistoryFile(path.join(root.path, 'history.jsonl'), root.machine);
+      rootEntries.forEach(entry => {
+        const key = `${entry.timestamp}:${entry.display}`;
+        if (!seen.has(key)) {
+          seen.add(key);
+          entries.push(entry);
+        }
+      });
+    }
+
+    return entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  }
+
+  return {
+    load
+  };
+}
+
+export default {
+  createHistoryStore
+};
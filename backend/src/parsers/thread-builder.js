@@ -0,0 +1,183 @@
+/**
+ * Rebuild the message tree of a Claude Code transcript from `uuid` and
+ * `parentUuid`. Editing a prompt or retrying a response starts a new branch
+ * from an earlier record; the branch the session continued on is the main
+ * path and the others are abandoned.
+ */
+
+/**
+ * Parent of a record in the tree. Compaction boundaries start with a null
+ * `parentUuid` and point back to the compacted history via `logicalParentUuid`.
+ */
+function getParentUuid(msg) {
+  return msg.parentUuid || msg.logicalParentUuid || null;
+}
+
+/**
+ * Kind of an abandoned branch, from the record it starts with: an
+ * alternative assistant response is a retry, an alternative user prompt is
+ * a rewind to an earlier point with an edited prompt
+ */
+function getBranchKind(msg) {
+  if (msg.type === 'assistant') {
+    return 'retry';
+  }
+  if (msg.type === 'user') {
+    return 'rewind';
+  }
+  return 'other';
+}
+
+function isToolResultRecord(msg) {
+  const content = msg.message?.content;
+  return msg.type === 'user' && Array.isArray(content) && content.length > 0 &&
+    content.every(item => item?.type === 'tool_result');
+}
+
+/**
+ * Build the message tree of a conversation. Returns the message indexes on
+ * the main path, the branch points and abandoned branches off it, and the
+ * number of sidechain records. Records without a `uuid` (summaries, file
+ * snapshots, and every Codex and Cursor record) are not part of the tree and
+ * always count as main path.
+ */
+export function buildMessageThread(messages) {
+  const nodes = new Map();
+  messages.forEach((msg, messageIndex) => {
+    if (msg.uuid && !nodes.has(msg.uuid)) {
+      nodes.set(msg.uuid, { uuid: msg.uuid, messageIndex, children: [] });
+    }
+  });
+
+  const roots = [];
+  nodes.forEach(node => {
+    const parent = nodes.get(getParentUuid(messages[node.messageIndex]));
+    if (parent && parent !== node) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  // Subagent transcripts are sidechains throughout; elsewhere sidechain
+  // records belong to inline subagent runs and stay off the main path
+  const threaded = messages.filter(msg => msg.uuid);
+  const sidechainFlag = threaded.length > 0 && threaded.every(msg => msg.isSidechain === true);
+  const isOnThread = node => Boolean(messages[node.messageIndex].isSidechain) === sidechainFlag;
+
+  // The session continues from its latest record, so the main path runs from
+  // the root to the last record written
+  let leaf = null;
+  for (let i = messages.length - 1; i >= 0 && !leaf; i--) {
+    const node = messages[i].uuid ? nodes.get(messages[i].uuid) : null;
+    if (node && node.messageIndex === i && isOnThread(node)) {
+      leaf = node;
+    }
+  }
+
+  const mainPath = new Set();
+  let current = leaf;
+  while (current && !mainPath.has(current.messageIndex)) {
+    mainPath.add(current.messageIndex);
+    current = nodes.get(getParentUuid(messages[current.messageIndex]));
+  }
+
+  // Results of parallel tool calls can hang off their tool_use record as
+  // leaves beside the path; they belong to it rather than forming a branch
+  const isAttachedResult = node => node.children.length === 0 && isToolResultRecord(messages[node.messageIndex]);
+  nodes.forEach(node => {
+    if (mainPath.has(node.messageIndex)) {
+      node.children
+        .filter(child => isOnThread(child) && isAttachedResult(child))
+        .forEach(child => mainPath.add(child.messageIndex));
+    }
+  });
+
+  const countSubtree = node => {
+    let count = 0;
+    const stack = [node];
+    const seen = new Set();
+    while (stack.length > 0) {
+      const next = stack.pop();
+      if (seen.has(next)) {
+        continue;
+      }
+      seen.add(next);
+      count++;
+      stack.push(...next.children);
+    }
+    return count;
+  };
+
+  const branchPoints = [];
+  const abandonedBranches = [];
+  let sidechainMessages = 0;
+  nodes.forEach(node => {
+    if (!isOnThread(node)) {
+      sidechainMessages++;
+    }
+    const threadChildren = node.children.filter(child => isOnThread(child) && !isAttachedResult(child));
+    if (threadChildren.length < 2 || !mainPath.has(node.messageIndex)) {
+      return;
+    }
+    branchPoints.push({ uuid: node.uuid, messageIndex: node.messageIndex, branches: threadChildren.length });
+    threadChildren
+      .filter(child => !mainPath.has(child.messageIndex))
+      .forEach(child => {
+        abandonedBranches.push({
+          branchPointIndex: node.messageIndex,
+          messageIndex: child.messageIndex,
+          kind: getBranchKind(messages[child.messageIndex]),
+          messageCount: countSubtree(child),
+          timestamp: messages[child.messageIndex].timestamp || null
+        });
+      });
+  });
+
+  // Further roots are histories the session never returned to
+  roots
+    .filter(root => isOnThread(root) && !mainPath.has(root.messageIndex))
+    .forEach(root => {
+      abandonedBranches.push({
+        branchPointIndex: null,
+        messageIndex: root.messageIndex,
+        kind: getBranchKind(messages[root.messageIndex]),
+        messageCount: countSubtree(root),
+        timestamp: messages[root.messageIndex].timestamp || null
+      });
+    });
+
+  const hasThread = nodes.size > 0;
+  const mainPathIndexes = Array.from(messages.keys())
+    .filter(messageIndex => !hasThread || !messages[messageIndex].uuid || mainPath.has(messageIndex));
+
+  return {
+    hasThread,
+    mainPath: mainPathIndexes,
+    roots: roots.length,
+    branchPoints: branchPoints.sort((a, b) => a.messageIndex - b.messageIndex),
+    abandonedBranches: abandonedBranches.sort((a, b) => a.messageIndex - b.messageIndex),
+    abandonedMessages: abandonedBranches.reduce((sum, branch) => sum + branch.messageCount, 0),
+    sidechainMessages
+  };
+}
+
+/**
+ * The conversation reduced to its main path. Conversations without a
+ * message tree are returned unchanged.
+ */
+export function getMainPathConversation(conv) {
+  const thread = buildMessageThread(conv.messages);
+  if (!thread.hasThread || thread.mainPath.length === conv.messages.length) {
+    return conv;
+  }
+  return {
+    ...conv,
+    messages: thread.mainPath.map(messageIndex => conv.messages[messageIndex])
+  };
+}
+
+export default {
+  buildMessageThread,
+  getMainPathConversation
+};
@@ -0,0 +1,82 @@
+import fs from 'fs';
+import path from 'path';
+import { parseTodoFileName, readTodoFile } from './jsonl-parser.js';
+import { getSourceAdapter, getSourceRoots } from '../sources/source-registry.js';
+
+/**
+ * Create a cache of the todo lists Claude Code keeps in `todos/` under each
+ * configured Claude root, one `<sessionId>-agent-<agentId>.json` file per
+ * agent. Files are re-read when their mtime changes. A file copied to several
+ * roots is kept once, preferring the most recently modified copy.
+ */
+export function createTodoStore() {
+  const files = new Map();
+
+  async function readTodosDir(todosDir, machine) {
+    let names;
+    try {
+      names = await fs.promises.readdir(todosDir);
+    } catch (error) {
+      return [];
+    }
+
+    const todoFiles = [];
+    for (const name of names.filter(file => parseTodoFileName(file))) {
+      const filePath = path.join(todosDir, name);
+      let stats;
+      try {
+        stats = await fs.promises.stat(filePath);
+      } catch (error) {
+        files.delete(filePath);
+        continue;
+      }
+
+      let cached = files.get(filePath);
+      if (!cached || cached.mtimeMs !== stats.mtimeMs) {
+        const todoFile = readTodoFile(filePath);
+        cached = {
+          mtimeMs: stats.mtimeMs,
+          todoFile: todoFile && {
+            ...todoFile,
+            machine,
+            modifiedAt: stats.mtime.toISOString()
+          }
+        };
+        files.set(filePath, cached);
+      }
+      if (cached.todoFile) {
+        todoFiles.push(cached.todoFile);
+      }
+    }
+    return todoFiles;
+  }
+
+  /**
+   * All todo files across roots
+   */
+  async function load() {
+    const adapter = getSourceAdapter('claude');
+    const roots = adapter ? getSourceRoots(adapter) : [];
+    const byName = new Map();
+
+    for (const root of roots) {
+      const todoFiles = await readTodosDir(path.join(root.path, 'todos'), root.machine);
+      todoFiles.forEach(todoFile => {
+        const existing = byName.get(todoFile.file);
+        if (!existing || existing.modifiedAt < todoFile.modifiedAt) {
+          byName.set(todoFile.file, todoFile);
+        }
+      });
+    }
+
+    return Array.from(byName.values());
+  }
+
+  return {
+    load
+  };
+}
+
+export default {
+  createTodoStore
+};
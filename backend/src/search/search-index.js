@@ -0,0 +1,475 @@
+/**
+ * Inverted index over conversation messages with BM25 ranking, phrase and
+ * boolean queries, and highlighted snippets
+ */
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_INDEXED_CHARS = 20000;
+const MAX_TOKEN_LENGTH = 64;
+const SNIPPET_RADIUS = 90;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}_]+/gu;
+
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of text.toLowerCase().matchAll(TOKEN_PATTERN)) {
+    if (match[0].length <= MAX_TOKEN_LENGTH) {
+      tokens.push(match[0]);
+    }
+  }
+  return tokens;
+}
+
+function stringifyToolInput(input) {
+  if (!input || typeof input !== 'object') {
+    return typeof input === 'string' ? input : '';
+  }
+  return Object.values(input)
+    .map(value => typeof value === 'string' ? value : JSON.stringify(value))
+    .join('\n');
+}
+
+function extractToolResultText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .map(item => typeof item?.text === 'string' ? item.text : '')
+      .filter(Boolean)
+      .join('\n');
+  }
+  return '';
+}
+
+/**
+ * Extract searchable text from a message, including tool inputs and results
+ */
+export function extractSearchableText(msg) {
+  const content = msg.message?.content;
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (msg.type === 'summary' && typeof msg.summary === 'string') {
+    return msg.summary;
+  }
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  return content.map(item => {
+    if (!item || typeof item !== 'object') {
+      return '';
+    }
+    if (typeof item.text === 'string') {
+      return item.text;
+    }
+    if (typeof item.input_text === 'string') {
+      return item.input_text;
+    }
+    if (typeof item.output_text === 'string') {
+      return item.output_text;
+    }
+    if (typeof item.thinking === 'string') {
+      return item.thinking;
+    }
+    if (item.type === 'tool_use') {
+      return [item.name, stringifyToolInput(item.input)].filter(Boolean).join('\n');
+    }
+    if (item.type === 'tool_result') {
+      return extractToolResultText(item.content);
+    }
+    return '';
+  }).filter(Boolean).join('\n');
+}
+
+/**
+ * Classify a message for role filtering. User records that only carry tool
+ * results are reported as `tool_result` rather than user prompts.
+ */
+export function getMessageRole(msg) {
+  const content = msg.message?.content;
+  if (msg.type === 'user' && Array.isArray(content) && content.length > 0 &&
+    content.every(item => item?.type === 'tool_result')) {
+    return 'tool_result';
+  }
+  if (msg.type === 'user' || msg.type === 'assistant') {
+    return msg.type;
+  }
+  return 'system';
+}
+
+/**
+ * Parse a query into AND-ed clauses of OR-ed terms or phrases, plus excluded
+ * terms. Supports `"exact phrase"`, `a OR b`, `AND`, `-term` and `NOT term`.
+ */
+export function parseQuery(query) {
+  const rawParts = [];
+  const partPattern = /(-?)"([^"]*)"|(\S+)/g;
+  for (const match of query.matchAll(partPattern)) {
+    if (match[2] !== undefined) {
+      rawParts.push({ negated: match[1] === '-', phrase: true, text: match[2] });
+    } else {
+      rawParts.push({ negated: false, phrase: false, text: match[3] });
+    }
+  }
+
+  const clauses = [];
+  const excluded = [];
+  let pendingOr = false;
+  let pendingNot = false;
+
+  rawParts.forEach(part => {
+    if (!part.phrase && part.text === 'OR') {
+      pendingOr = clauses.length > 0;
+      return;
+    }
+    if (!part.phrase && part.text === 'AND') {
+      return;
+    }
+    if (!part.phrase && part.text === 'NOT') {
+      pendingNot = true;
+      return;
+    }
+
+    let negated = part.negated || pendingNot;
+    let text = part.text;
+    if (!part.phrase && text.startsWith('-') && text.length > 1) {
+      negated = true;
+      text = text.slice(1);
+    }
+    pendingNot = false;
+
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+      return;
+    }
+    const term = { tokens, phrase: tokens.length > 1 };
+
+    if (negated) {
+      excluded.push(term);
+      return;
+    }
+    if (pendingOr) {
+      clauses[clauses.length - 1].push(term);
+      pendingOr = false;
+      return;
+    }
+    clauses.push([term]);
+  });
+
+  return { clauses, excluded };
+}
+
+function containsPhrase(tokens, phraseTokens) {
+  for (let i = 0; i <= tokens.length - phraseTokens.length; i++) {
+    let matched = true;
+    for (let j = 0; j < phraseTokens.length; j++) {
+      if (tokens[i + j] !== phraseTokens[j]) {
+        matched = false;
+        break;
+      }
+    }
+    if (matched) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build a snippet around the first hit and the highlight ranges within it
+ */
+export function buildSnippet(text, terms) {
+  const patterns = terms
+    .map(term => term.tokens.map(escapeRegExp).join('[^\\p{L}\\p{N}_]+'))
+    .sort((a, b) => b.length - a.length);
+  if (patterns.length === 0) {
+    return { snippet: text.substring(0, SNIPPET_RADIUS * 2), highlights: [] };
+  }
+
+  const matcher = new RegExp(`(?<![\\p{L}\\p{N}_])(?:${patterns.join('|')})(?![\\p{L}\\p{N}_])`, 'giu');
+  const firstMatch = matcher.exec(text);
+  const center = firstMatch ? firstMatch.index : 0;
+  let start = Math.max(0, center - SNIPPET_RADIUS);
+  let end = Math.min(text.length, center + SNIPPET_RADIUS * 2);
+
+  // Avoid cutting words in half at the snippet edges
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < center) {
+      start = space + 1;
+    }
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space > center) {
+      end = space;
+    }
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  const body = text.substring(start, end).replace(/\s+/g, ' ');
+  const snippet = `${prefix}${body}${suffix}`;
+
+  const highlights = [];
+  matcher.lastIndex = 0;
+  for (const match of body.matchAll(matcher)) {
+    highlights.push([prefix.length + match.index, prefix.length + match.index + match[0].length]);
+  }
+
+  return { snippet, highlights };
+}
+
+function getConversationKey(conv) {
+  return conv.path || `${conv.platform || 'claude'}:${conv.conversationId}`;
+}
+
+/**
+ * Create a search index that is kept in sync with the loaded conversations.
+ * Conversations are re-indexed only when their object changes, which the
+ * conversation store guarantees for every changed file.
+ */
+export function createSearchIndex() {
+  const documents = new Map();
+  const postings = new Map();
+  const indexedConversations = new Map();
+  let nextDocId = 0;
+  let totalDocLength = 0;
+
+  function addDocument(conv, msg, messageIndex) {
+    const text = extractSearchableText(msg).substring(0, MAX_INDEXED_CHARS);
+    const tokens = tokenize(text);
+    if (tokens.length === 0) {
+      return null;
+    }
+
+    const docId = nextDocId++;
+    const termFrequencies = new Map();
+    tokens.forEach(token => termFrequencies.set(token, (termFrequencies.get(token) || 0) + 1));
+    termFrequencies.forEach((frequency, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      postings.get(term).set(docId, frequency);
+    });
+
+    documents.set(docId, {
+      conversation: conv,
+      messageIndex,
+      role: getMessageRole(msg),
+      timestamp: msg.timestamp || null,
+      length: tokens.length,
+      terms: Array.from(termFrequencies.keys())
+    });
+    totalDocLength += tokens.length;
+    return docId;
+  }
+
+  function removeDocument(docId) {
+    const doc = documents.get(docId);
+    if (!doc) {
+      return;
+    }
+    doc.terms.forEach(term => {
+      const termPostings = postings.get(term);
+      termPostings?.delete(docId);
+      if (termPostings?.size === 0) {
+        postings.delete(term);
+      }
+    });
+    totalDocLength -= doc.length;
+    documents.delete(docId);
+  }
+
+  /**
+   * Index new and changed conversations and drop ones no longer loaded
+   */
+  function sync(conversations) {
+    const currentKeys = new Set();
+    let updated = 0;
+
+    conversations.forEach(conv => {
+      const key = getConversationKey(conv);
+      currentKeys.add(key);
+      const indexed = indexedConversations.get(key);
+      if (indexed?.conversation === conv) {
+        return;
+      }
+
+      indexed?.docIds.forEach(removeDocument);
+      const docIds = conv.messages
+        .map((msg, messageIndex) => addDocument(conv, msg, messageIndex))
+        .filter(docId => docId !== null);
+      indexedConversations.set(key, { conversation: conv, docIds });
+      updated++;
+    });
+
+    for (const [key, indexed] of indexedConversations) {
+      if (!currentKeys.has(key)) {
+        indexed.docIds.forEach(removeDocument);
+        indexedConversations.delete(key);
+        updated++;
+      }
+    }
+
+    return updated;
+  }
+
+  function getTermDocs(term) {
+    if (!term.phrase) {
+      return new Set(postings.get(term.tokens[0])?.keys() || []);
+    }
+
+    // Candidates contain every token; the phrase itself is checked on the text
+    const [rarest, ...rest] = term.tokens
+      .map(token => postings.get(token))
+      .sort((a, b) => (a?.size || 0) - (b?.size || 0));
+    if (!rarest || rest.some(termPostings => !termPostings)) {
+      return new Set();
+    }
+
+    const matches = new Set();
+    rarest.forEach((_, docId) => {
+      if (!rest.every(termPostings => termPostings.has(docId))) {
+        return;
+      }
+      const doc = documents.get(docId);
+      const msg = doc.conversation.messages[doc.messageIndex];
+      const tokens = tokenize(extractSearchableText(msg).substring(0, MAX_INDEXED_CHARS));
+      if (containsPhrase(tokens, term.tokens)) {
+        matches.add(docId);
+      }
+    });
+    return matches;
+  }
+
+  function scoreDocument(docId, tokens) {
+    const doc = documents.get(docId);
+    const avgDocLength = documents.size > 0 ? totalDocLength / documents.size : 1;
+    return tokens.reduce((score, token) => {
+      const termPostings = postings.get(token);
+      const frequency = termPostings?.get(docId);
+      if (!frequency) {
+        return score;
+      }
+      const idf = Math.log(1 + (documents.size - termPostings.size + 0.5) / (termPostings.size + 0.5));
+      const normalizedFrequency = (frequency * (BM25_K1 + 1)) /
+        (frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / avgDocLength)));
+      return score + idf * normalizedFrequency;
+    }, 0);
+  }
+
+  function matchesFilters(doc, filters) {
+    const conv = doc.conversation;
+    if (filters.platforms && !filters.platforms.includes(conv.platform || 'claude')) {
+      return false;
+    }
+    if (filters.project && conv.project !== filters.project) {
+      return false;
+    }
+    if (filters.role && doc.role !== filters.role) {
+      return false;
+    }
+    if (filters.from || filters.to) {
+      if (!doc.timestamp) {
+        return false;
+      }
+      const time = new Date(doc.timestamp).getTime();
+      if (filters.from && time < filters.from.getTime()) {
+        return false;
+      }
+      if (filters.to && time > filters.to.getTime()) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Run a query and return one page of ranked message hits
+   */
+  function search(query, { filters = {}, page = 1, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const { clauses, excluded } = parseQuery(query);
+    const safePageSize = Math.min(Math.max(1, pageSize), MAX_PAGE_SIZE);
+    const safePage = Math.max(1, page);
+
+    if (clauses.length === 0) {
+      return { total: 0, page: safePage, pageSize: safePageSize, results: [] };
+    }
+
+    let candidates = null;
+    clauses.forEach(clause => {
+      const clauseDocs = new Set();
+      clause.forEach(term => getTermDocs(term).forEach(docId => clauseDocs.add(docId)));
+      candidates = candidates === null
+        ? clauseDocs
+        : new Set(Array.from(candidates).filter(docId => clauseDocs.has(docId)));
+    });
+    excluded.forEach(term => getTermDocs(term).forEach(docId => candidates.delete(docId)));
+
+    const positiveTerms = clauses.flat();
+    const scoringTokens = Array.from(new Set(positiveTerms.flatMap(term => term.tokens)));
+    const ranked = Array.from(candidates)
+      .filter(docId => matchesFilters(documents.get(docId), filters))
+      .map(docId => ({ docId, score: scoreDocument(docId, scoringTokens) }))
+      .sort((a, b) => b.score - a.score);
+
+    const pageItems = ranked.slice((safePage - 1) * safePageSize, safePage * safePageSize);
+    const results = pageItems.map(({ docId, score }) => {
+      const doc = documents.get(docId);
+      const conv = doc.conversation;
+      const text = extractSearchableText(conv.messages[doc.messageIndex]);
+      return {
+        conversationId: conv.conversationId,
+        parentConversationId: conv.parentConversationId || null,
+        platform: conv.platform || 'claude',
+        source: conv.source || 'main',
+        project: conv.project,
+        messageIndex: doc.messageIndex,
+        role: doc.role,
+        timestamp: doc.timestamp,
+        score: Math.round(score * 1000) / 1000,
+        ...buildSnippet(text, positiveTerms)
+      };
+    });
+
+    return {
+      total: ranked.length,
+      page: safePage,
+      pageSize: safePageSize,
+      results
+    };
+  }
+
+  function getStats() {
+    return {
+      conversations: indexedConversations.size,
+      documents: documents.size,
+      terms: postings.size
+    };
+  }
+
+  return {
+    sync,
+    search,
+    getStats
+  };
+}
+
+export default {
+  tokenize,
+  parseQuery,
+  extractSearchableText,
+  getMessageRole,
+  buildSnippet,
+  createSearchIndex
+};
@@ -1,58 +1,136 @@
 import express from 'express';
 import cors from 'cors';
-import parser from './parsers/jsonl-parser.js';
+import { createConversationStore } from './parsers/conversation-store.js';
+import { createConversationIndex } from './parsers/conversation-index.js';
+import { createSearchIndex } from './search/search-index.js';
+import { createHistoryStore } from './parsers/history-store.js';
+import { createTodoStore } from './parsers/todo-store.js';
+import {
+  configureSourceRoots,
+  describeSource,
+  getSourceAdapter,
+  getSourceAdapters,
+  getSourceNames
+} from './sources/source-registry.js';
+import { loadSourceRoots, readConfigFile } from './sources/source-config.js';
 import analyzer from './analyzers/conversation-analyzer.js';
+import {
+  parseFilterParams,
+  parseDateParam,
+  hasActiveFilters,
+  getFilterKey,
+  applyConversationFilters
+} from './analyzers/conversation-filters.js';
+import { getDefaultTimeZone, isUserPrompt, isValidTimeZone } from './analyzers/helpers.js';
+import usageAnalyzer from './analyzers/usage-analyzer.js';
+import toolErrorAnalyzer from './analyzers/tool-error-analyzer.js';
+import toolLatencyAnalyzer from './analyzers/tool-latency-analyzer.js';
+import bashAnalyzer from './analyzers/bash-analyzer.js';
+import fileActivityAnalyzer from './analyzers/file-activity-analyzer.js';
+import codeChurnAnalyzer from './analyzers/code-churn-analyzer.js';
+import activeTimeAnalyzer from './analyzers/active-time-analyzer.js';
+import activityHeatmapAnalyzer from './analyzers/activity-heatmap-analyzer.js';
+import modelAnalyzer from './analyzers/model-analyzer.js';
+import subagentAnalyzer from './analyzers/subagent-analyzer.js';
+import threadAnalyzer from './analyzers/thread-analyzer.js';
+import compactionAnalyzer from './analyzers/compaction-analyzer.js';
+import frictionAnalyzer from './analyzers/friction-analyzer.js';
+import historyAnalyzer, { HISTORY_KINDS } from './analyzers/history-analyzer.js';
+import todoAnalyzer from './analyzers/todo-analyzer.js';
+import taskAnalyzer from './analyzers/task-analyzer.js';
+import { configureTaskClassification } from './classifiers/task-classifier.js';
 
 const app = express();
 const PORT = 3001;
-const SOURCES = ['claude', 'codex', 'cursor'];
+const SOURCES = getSourceNames();
+
+// Data roots from --<source>-root, ANALYTICS_<SOURCE>_ROOTS or the config file
+const { configFile, rootsBySource } = loadSourceRoots(SOURCES);
+configureSourceRoots(rootsBySource);
+Object.entries(rootsBySource).forEach(([source, roots]) => {
+  console.log(`Reading ${source} from ${roots.map(root => `${root.path} (${root.machine})`).join(', ')}`);
+});
+
+// Task categories, rules and the optional text model from the config file
+configureTaskClassification(readConfigFile(configFile).tasks);
 
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Cache for conversations (reload on startup or manually)
+// Cache for conversations (refreshed incrementally from the conversation store)
+const conversationIndex = createConversationIndex();
+const conversationStore = createConversationStore({ index: conversationIndex });
+const searchIndex = createSearchIndex();
+const historyStore = createHistoryStore();
+const todoStore = createTodoStore();
 let cachedConversations = [];
 let cachedConversationsBySource = {};
 let cachedAnalytics = null;
 let cachedAnalyticsBySource = {};
 let cachedSchemaAll = null;
 let cachedSchemaBySource = {};
-let cachedFingerprint = null;
 let lastLoadTime = null;
+let pendingLoad = null;
+const filteredSummaryCache = new Map();
+const FILTERED_SUMMARY_CACHE_SIZE = 50;
 
 /**
- * Load all conversations into memory
+ * Sync conversations with disk. Per-conversation results are kept across
+ * refreshes, so only new or changed conversations are analyzed again.
  */
-function loadConversations({ force = false } = {}) {
-  const currentFingerprint = parser.getConversationsFingerprint();
+async function refreshConversations({ force = false } = {}) {
+  const startTime = Date.now();
 
-  if (!force && cachedConversations && cachedFingerprint === currentFingerprint) {
-    return false;
+  if (force) {
+    conversationStore.reset();
   }
 
-  console.log('Loading conversations...');
-  const startTime = Date.now();
+  const { changedSources, changedFiles } = await conversationStore.refresh();
+  const sourcesToAnalyze = force || !cachedAnalytics ? SOURCES : changedSources;
+
+  if (sourcesToAnalyze.length === 0) {
+    return false;
+  }
 
-  cachedConversationsBySource = parser.getAllConversationsBySource();
+  cachedConversationsBySource = conversationStore.getConversationsBySource();
   cachedConversations = SOURCES.flatMap(source => cachedConversationsBySource[source] || []);
-  cachedAnalyticsBySource = SOURCES.reduce((acc, source) => {
-    acc[source] = analyzer.generateSummary(cachedConversationsBySource[source] || []);
-    return acc;
-  }, {});
+  searchIndex.sync(cachedConversations);
+  sourcesToAnalyze.forEach(source => {
+    delete cachedAnalyticsBySource[source];
+  });
   cachedAnalytics = analyzer.generateSummary(cachedConversations);
-  const schemaSnapshot = buildSchemaSnapshot(cachedConversationsBySource, cachedConversations);
+  filteredSummaryCache.clear();
+  const schemaSnapshot = buildSchemaSnapshot(cachedConversationsBySource, cachedConversations, sourcesToAnalyze);
   cachedSchemaBySource = schemaSnapshot.bySource;
   cachedSchemaAll = schemaSnapshot.all;
-  cachedFingerprint = currentFingerprint;
   lastLoadTime = new Date().toISOString();
 
   const loadTime = Date.now() - startTime;
-  console.log(`Loaded ${cachedConversations.length} conversations in ${loadTime}ms`);
+  console.log(
+    `Loaded ${cachedConversations.length} conversations in ${loadTime}ms ` +
+    `(${changedFiles} files changed, re-analyzed ${sourcesToAnalyze.join(', ')})`
+  );
 
   return true;
 }
 
+/**
+ * Load all conversations into memory. Concurrent callers share one refresh.
+ */
+function loadConversations(options = {}) {
+  if (pendingLoad) {
+    return options.force
+      ? pendingLoad.then(() => loadConversations(options))
+      : pendingLoad;
+  }
+
+  pendingLoad = refreshConversations(options).finally(() => {
+    pendingLoad = null;
+  });
+  return pendingLoad;
+}
+
 function normalizeSource(source) {
   if (!source || source === 'all') {
     return 'all';
@@ -67,11 +145,65 @@ function getConversationsForSource(source) {
   return cachedConversationsBySource[source] || [];
 }
 
+/**
+ * Summary of a source. The summary of all sources is computed on load; a
+ * single source reuses it when it holds every conversation, and is otherwise
+ * summarized on first request and kept until its conversations change.
+ */
 function getAnalyticsForSource(source) {
-  if (source === 'all') {
+  if (source === 'all' || !cachedAnalytics) {
     return cachedAnalytics;
   }
-  return cachedAnalyticsBySource[source] || null;
+  if (!cachedAnalyticsBySource[source]) {
+    const conversations = cachedConversationsBySource[source] || [];
+    cachedAnalyticsBySource[source] = conversations.length === cachedConversations.length
+      ? cachedAnalytics
+      : analyzer.generateSummary(conversations);
+  }
+  return cachedAnalyticsBySource[source];
+}
+
+/**
+ * Resolve the source and filter query parameters of an analytics request.
+ * Sends a 400 response and returns null when they are invalid.
+ */
+function resolveAnalyticsRequest(req, res) {
+  const source = normalizeSource(req.query.source);
+  if (source !== 'all' && !SOURCES.includes(source)) {
+    res.status(400).json({ error: `Invalid source "${source}"` });
+    return null;
+  }
+
+  const { filters, error } = parseFilterParams(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+
+  return {
+    source,
+    filters,
+    conversations: applyConversationFilters(getConversationsForSource(source), filters)
+  };
+}
+
+/**
+ * Summaries for unfiltered requests are precomputed on load; filtered ones
+ * are computed on demand and cached until the next reload
+ */
+function getSummaryForRequest({ source, filters, conversations }) {
+  if (!hasActiveFilters(filters)) {
+    return getAnalyticsForSource(source);
+  }
+
+  const cacheKey = `${source}|${getFilterKey(filters)}`;
+  if (!filteredSummaryCache.has(cacheKey)) {
+    if (filteredSummaryCache.size >= FILTERED_SUMMARY_CACHE_SIZE) {
+      filteredSummaryCache.delete(filteredSummaryCache.keys().next().value);
+    }
+    filteredSummaryCache.set(cacheKey, analyzer.generateSummary(conversations, { timeZone: filters.timeZone }));
+  }
+  return filteredSummaryCache.get(cacheKey);
 }
 
 function getSchemaForSource(source) {
@@ -139,6 +271,7 @@ function createSourceSchema(source, conversations) {
 
   return {
     source,
+    sourceInfo: source === 'all' ? null : describeSource(getSourceAdapter(source)),
     conversationCount: conversations.length,
     messageCount,
     conversationFields: sortCountMap(conversationFieldCounts),
@@ -167,9 +300,11 @@ function createUniqueFieldList(rawBySource, source, selector) {
     .sort();
 }
 
-function buildSchemaSnapshot(conversationsBySource, allConversations) {
+function buildSchemaSnapshot(conversationsBySource, allConversations, sourcesToRebuild = SOURCES) {
   const rawBySource = SOURCES.reduce((acc, source) => {
-    acc[source] = createSourceSchema(source, conversationsBySource[source] || []);
+    acc[source] = sourcesToRebuild.includes(source) || !cachedSchemaBySource[source]
+      ? createSourceSchema(source, conversationsBySource[source] || [])
+      : cachedSchemaBySource[source];
     return acc;
   }, {});
 
@@ -212,18 +347,56 @@ function extractMessageTextForSearch(msg) {
   return '';
 }
 
+function getConversationTitle(conv) {
+  const firstPrompt = conv.messages.find(isUserPrompt);
+  const text = firstPrompt ? extractMessageTextForSearch(firstPrompt).trim() : '';
+  return text.replace(/\s+/g, ' ').substring(0, 120) || null;
+}
+
+function countSubagentsByParent(conversations) {
+  const counts = {};
+  conversations.forEach(conv => {
+    if (conv.parentConversationId) {
+      incrementCount(counts, conv.parentConversationId);
+    }
+  });
+  return counts;
+}
+
+function toConversationListItem(conv, subagentCounts = {}) {
+  const timestamps = conv.messages.map(msg => msg.timestamp).filter(Boolean);
+  return {
+    conversationId: conv.conversationId,
+    parentConversationId: conv.parentConversationId || null,
+    platform: conv.platform || 'claude',
+    source: conv.source || 'main',
+    project: conv.project,
+    machine: conv.machine || null,
+    archived: Boolean(conv.archived),
+    title: getConversationTitle(conv),
+    messageCount: conv.messages.length,
+    subagentCount: subagentCounts[conv.conversationId] || 0,
+    firstMessage: timestamps[0],
+    lastMessage: timestamps[timestamps.length - 1]
+  };
+}
+
+const SEARCH_ROLES = ['user', 'assistant', 'tool_result', 'system'];
+
 function ensureConversationDataFresh(req, res, next) {
-  try {
-    loadConversations();
-    next();
-  } catch (error) {
-    console.error('Failed to refresh conversation data:', error);
-    res.status(500).json({ error: 'Failed to load conversation data' });
-  }
+  loadConversations()
+    .then(() => next())
+    .catch(error => {
+      console.error('Failed to refresh conversation data:', error);
+      res.status(500).json({ error: 'Failed to load conversation data' });
+    });
 }
 
-// Load conversations on startup
-loadConversations({ force: true });
+// Seed from the on-disk index, then load only files changed since the last run
+const indexLoadStart = Date.now();
+const indexedFileCount = await conversationStore.load();
+console.log(`Read ${indexedFileCount} indexed files from ${conversationIndex.dataDir} in ${Date.now() - indexLoadStart}ms`);
+await loadConversations();
 
 // API Routes
 
@@ -241,21 +414,42 @@ app.get('/api/health', ensureConversationDataFresh, (req, res) => {
     status: 'ok',
     conversationsLoaded: cachedConversations?.length || 0,
     conversationsBySource,
+    archivedConversations: cachedConversations.filter(conv => conv.archived).length,
+    duplicatesSkipped: conversationStore.getDuplicateCounts(),
+    dataDir: conversationIndex.dataDir,
+    configFile,
     lastLoadTime
   });
 });
 
+/**
+ * GET /api/sources
+ * List the registered sources with where they are read from and how many
+ * conversations each has loaded
+ */
+app.get('/api/sources', ensureConversationDataFresh, (req, res) => {
+  res.json(getSourceAdapters().map(adapter => {
+    const conversations = getConversationsForSource(adapter.name);
+    return {
+      ...describeSource(adapter),
+      conversationCount: conversations.length,
+      archivedConversations: conversations.filter(conv => conv.archived).length,
+      duplicatesSkipped: conversationStore.getDuplicateCounts()[adapter.name] || 0
+    };
+  }));
+});
+
 /**
  * GET /api/analytics/summary
  * Get overall analytics summary
  */
 app.get('/api/analytics/summary', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
   }
 
-  const summary = getAnalyticsForSource(source);
+  const summary = getSummaryForRequest(request);
   if (!summary) {
     return res.status(503).json({ error: 'Analytics not ready' });
   }
@@ -268,7 +462,17 @@ app.get('/api/analytics/summary', ensureConversationDataFresh, (req, res) => {
  * Get summary overview for all sources
  */
 app.get('/api/analytics/sources', ensureConversationDataFresh, (req, res) => {
-  function buildOverview(summary) {
+  const { filters, error } = parseFilterParams(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  function buildOverview(source) {
+    const summary = getSummaryForRequest({
+      source,
+      filters,
+      conversations: applyConversationFilters(getConversationsForSource(source), filters)
+    });
     const byDay = summary?.timeline?.byDay || [];
     const lastDay = byDay.length > 0 ? byDay[byDay.length - 1].date : null;
     const firstDay = byDay.length > 0 ? byDay[0].date : null;
@@ -282,9 +486,9 @@ app.get('/api/analytics/sources', ensureConversationDataFresh, (req, res) => {
   }
 
   res.json({
-    all: buildOverview(cachedAnalytics),
+    all: buildOverview('all'),
     sources: SOURCES.reduce((acc, source) => {
-      acc[source] = buildOverview(cachedAnalyticsBySource[source]);
+      acc[source] = buildOverview(source);
       return acc;
     }, {})
   });
@@ -295,9 +499,21 @@ app.get('/api/analytics/sources', ensureConversationDataFresh, (req, res) => {
  * Get schema-level field analysis by source
  */
 app.get('/api/analytics/schema', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { source, filters } = request;
+
+  if (hasActiveFilters(filters)) {
+    const filteredBySource = SOURCES.reduce((acc, name) => {
+      acc[name] = applyConversationFilters(getConversationsForSource(name), filters);
+      return acc;
+    }, {});
+    const snapshot = buildSchemaSnapshot(filteredBySource, SOURCES.flatMap(name => filteredBySource[name]), SOURCES);
+    return res.json(source === 'all'
+      ? { all: snapshot.all, sources: snapshot.bySource }
+      : snapshot.bySource[source]);
   }
 
   if (source === 'all') {
@@ -320,15 +536,11 @@ app.get('/api/analytics/schema', ensureConversationDataFresh, (req, res) => {
  * Get tool usage statistics
  */
 app.get('/api/analytics/tools', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
-  }
-
-  const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
   }
+  const { conversations } = request;
 
   const toolUsage = analyzer.analyzeToolUsage(conversations);
   res.json(toolUsage);
@@ -336,21 +548,17 @@ app.get('/api/analytics/tools', ensureConversationDataFresh, (req, res) => {
 
 /**
  * GET /api/analytics/tasks
- * Get task pattern analysis
+ * Get session task labels with confidence per category, project and day
  */
 app.get('/api/analytics/tasks', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
   }
+  const { filters, conversations } = request;
 
-  const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
-  }
-
-  const taskPatterns = analyzer.analyzeTaskPatterns(conversations);
-  res.json(taskPatterns);
+  const tasks = taskAnalyzer.analyzeTasks(conversations, { timeZone: filters.timeZone });
+  res.json(tasks);
 });
 
 /**
@@ -358,15 +566,11 @@ app.get('/api/analytics/tasks', ensureConversationDataFresh, (req, res) => {
  * Get project activity statistics
  */
 app.get('/api/analytics/projects', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
-  }
-
-  const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
   }
+  const { conversations } = request;
 
   const projectActivity = analyzer.analyzeProjectActivity(conversations);
   res.json(projectActivity);
@@ -377,54 +581,304 @@ app.get('/api/analytics/projects', ensureConversationDataFresh, (req, res) => {
  * Get conversation metrics
  */
 app.get('/api/analytics/metrics', ensureConversationDataFresh, (req, res) => {
-  const source = normalizeSource(req.query.source);
-  if (source !== 'all' && !SOURCES.includes(source)) {
-    return res.status(400).json({ error: `Invalid source "${source}"` });
-  }
-
-  const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
   }
+  const { conversations } = request;
 
   const metrics = analyzer.analyzeConversationMetrics(conversations);
   res.json(metrics);
 });
 
+/**
+ * GET /api/analytics/usage
+ * Get token usage and estimated cost statistics
+ */
+app.get('/api/analytics/usage', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const usage = usageAnalyzer.analyzeTokenUsage(conversations, undefined, { timeZone: filters.timeZone });
+  res.json(usage);
+});
+
+/**
+ * GET /api/analytics/tool-errors
+ * Get tool success and error rates, common errors and error trends
+ */
+app.get('/api/analytics/tool-errors', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const toolErrors = toolErrorAnalyzer.analyzeToolErrors(conversations, { timeZone: filters.timeZone });
+  res.json(toolErrors);
+});
+
+/**
+ * GET /api/analytics/tool-latency
+ * Get tool latency percentiles, slowest calls and latency trends
+ */
+app.get('/api/analytics/tool-latency', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const toolLatency = toolLatencyAnalyzer.analyzeToolLatency(conversations, { timeZone: filters.timeZone });
+  res.json(toolLatency);
+});
+
+/**
+ * GET /api/analytics/bash
+ * Get shell command programs, categories, failure rates and top commands per project
+ */
+app.get('/api/analytics/bash', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  const bashCommands = bashAnalyzer.analyzeBashCommands(conversations);
+  res.json(bashCommands);
+});
+
+/**
+ * GET /api/analytics/files
+ * Get per-file and per-directory read/edit activity and a file tree
+ */
+app.get('/api/analytics/files', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  const fileActivity = fileActivityAnalyzer.analyzeFileActivity(conversations);
+  res.json(fileActivity);
+});
+
+/**
+ * GET /api/analytics/churn
+ * Get lines of code added and removed by conversation, project, language and day
+ */
+app.get('/api/analytics/churn', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const codeChurn = codeChurnAnalyzer.analyzeCodeChurn(conversations, { timeZone: filters.timeZone });
+  res.json(codeChurn);
+});
+
+/**
+ * GET /api/analytics/active-time
+ * Get active, wait-on-user and wait-on-model time split at idle gaps.
+ * `idleGapMinutes` overrides the configured idle gap for this request.
+ */
+app.get('/api/analytics/active-time', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const { idleGapMinutes } = req.query;
+  if (idleGapMinutes !== undefined && !(Number(idleGapMinutes) > 0)) {
+    return res.status(400).json({ error: 'idleGapMinutes must be a positive number' });
+  }
+
+  const activeTime = activeTimeAnalyzer.analyzeActiveTime(conversations, {
+    idleGapMs: activeTimeAnalyzer.getIdleGapMs(idleGapMinutes),
+    timeZone: filters.timeZone
+  });
+  res.json(activeTime);
+});
+
+/**
+ * GET /api/analytics/heatmap
+ * Get sessions, prompts, tool uses and tokens by weekday and hour.
+ * Hours are bucketed in the `tz` filter's timezone.
+ */
+app.get('/api/analytics/heatmap', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const activityHeatmap = activityHeatmapAnalyzer.analyzeActivityHeatmap(conversations, {
+    timeZone: filters.timeZone
+  });
+  res.json(activityHeatmap);
+});
+
+/**
+ * GET /api/analytics/models
+ * Get turns, tool calls, tokens and tool error rates per model, the daily
+ * model mix and mid-session model switches
+ */
+app.get('/api/analytics/models', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const models = modelAnalyzer.analyzeModels(conversations, { timeZone: filters.timeZone });
+  res.json(models);
+});
+
+/**
+ * GET /api/analytics/subagents
+ * Get subagent depth, fan-out, duration, tokens and delegated share per
+ * session and subagent type
+ */
+app.get('/api/analytics/subagents', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  const subagents = subagentAnalyzer.analyzeSubagents(conversations);
+  res.json(subagents);
+});
+
+/**
+ * GET /api/analytics/threads
+ * Get branch points, retries, rewinds and abandoned messages reconstructed
+ * from the uuid/parentUuid message tree
+ */
+app.get('/api/analytics/threads', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  const threads = threadAnalyzer.analyzeThreads(conversations);
+  res.json(threads);
+});
+
+/**
+ * GET /api/analytics/compactions
+ * Get context compactions per session, the token and turn depth they
+ * happened at, and turn and tool error stats before and after them
+ */
+app.get('/api/analytics/compactions', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  const compactions = compactionAnalyzer.analyzeCompactions(conversations);
+  res.json(compactions);
+});
+
+/**
+ * GET /api/analytics/friction
+ * Get user interruptions, rejected tool calls and permission denials per
+ * tool, project, day and session
+ */
+app.get('/api/analytics/friction', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  const friction = frictionAnalyzer.analyzeFriction(conversations, { timeZone: filters.timeZone });
+  res.json(friction);
+});
+
+function sendTodoError(res, error) {
+  console.error('Failed to load todos:', error);
+  res.status(500).json({ error: 'Failed to load todos' });
+}
+
+/**
+ * GET /api/analytics/todos
+ * Get todo completion rates, open and dropped items, plan sizes and time to
+ * complete per project, day and session
+ */
+app.get('/api/analytics/todos', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { filters, conversations } = request;
+
+  todoStore.load()
+    .then(todoFiles => res.json(todoAnalyzer.analyzeTodos(conversations, todoFiles, { timeZone: filters.timeZone })))
+    .catch(error => sendTodoError(res, error));
+});
+
 /**
  * GET /api/conversations
  * List all conversations with basic info
  */
 app.get('/api/conversations', ensureConversationDataFresh, (req, res) => {
+  const request = resolveAnalyticsRequest(req, res);
+  if (!request) {
+    return;
+  }
+  const { conversations } = request;
+
+  // Return lightweight conversation list
+  const subagentCounts = countSubagentsByParent(conversations);
+  const conversationList = conversations.map(conv => toConversationListItem(conv, subagentCounts));
+
+  res.json(conversationList);
+});
+
+/**
+ * GET /api/conversations/:id
+ * Get a specific conversation with full details, its subagent runs and,
+ * for sessions, the tree of subagents linked to the Task calls that spawned them
+ */
+app.get('/api/conversations/:id', ensureConversationDataFresh, (req, res) => {
+  const { id } = req.params;
   const source = normalizeSource(req.query.source);
   if (source !== 'all' && !SOURCES.includes(source)) {
     return res.status(400).json({ error: `Invalid source "${source}"` });
   }
 
   const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
-  }
+  const conversation = conversations?.find(conv => conv.conversationId === id);
 
-  // Return lightweight conversation list
-  const conversationList = conversations.map(conv => ({
-    conversationId: conv.conversationId,
-    platform: conv.platform || 'claude',
-    source: conv.source || 'main',
-    project: conv.project,
-    messageCount: conv.messages.length,
-    firstMessage: conv.messages[0]?.timestamp,
-    lastMessage: conv.messages[conv.messages.length - 1]?.timestamp
-  }));
+  if (!conversation) {
+    return res.status(404).json({ error: 'Conversation not found' });
+  }
 
-  res.json(conversationList);
+  const subagents = conversations.filter(conv => conv.parentConversationId === id);
+  res.json({
+    ...conversation,
+    subagents: subagents.map(conv => toConversationListItem(conv)),
+    subagentTree: subagents.length > 0 && !conversation.parentConversationId
+      ? subagentAnalyzer.buildSubagentTree(conversation, subagents).tree
+      : null
+  });
 });
 
 /**
- * GET /api/conversations/:id
- * Get a specific conversation with full details
+ * GET /api/conversations/:id/todos
+ * Get the todo lists of a conversation and, for sessions, of its subagent
+ * runs: each TodoWrite state, the items with their outcome and the todo file
+ * linked to each agent
  */
-app.get('/api/conversations/:id', ensureConversationDataFresh, (req, res) => {
+app.get('/api/conversations/:id/todos', ensureConversationDataFresh, (req, res) => {
   const { id } = req.params;
   const source = normalizeSource(req.query.source);
   if (source !== 'all' && !SOURCES.includes(source)) {
@@ -438,25 +892,89 @@ app.get('/api/conversations/:id', ensureConversationDataFresh, (req, res) => {
     return res.status(404).json({ error: 'Conversation not found' });
   }
 
-  res.json(conversation);
+  const agents = [conversation, ...conversations.filter(conv => conv.parentConversationId === id)];
+  todoStore.load()
+    .then(todoFiles => res.json({
+      conversationId: id,
+      agents: agents
+        .map(conv => todoAnalyzer.analyzeConversationTodos(conv, todoFiles))
+        .filter(Boolean)
+    }))
+    .catch(error => sendTodoError(res, error));
 });
 
+/**
+ * Parse the filters of a history request, responding with 400 and returning
+ * null when they are invalid
+ */
+function resolveHistoryRequest(req, res) {
+  const { filters, error } = parseFilterParams(req.query);
+  if (error) {
+    res.status(400).json({ error });
+    return null;
+  }
+  return filters;
+}
+
+function sendHistoryError(res, error) {
+  console.error('Failed to load prompt history:', error);
+  res.status(500).json({ error: 'Failed to load prompt history' });
+}
+
 /**
  * GET /api/history
- * Get conversation history from history.jsonl
+ * Prompts from Claude Code's history.jsonl, newest first, with the date,
+ * project and machine filters, `q`, `kind` and pagination
  */
 app.get('/api/history', (req, res) => {
-  const history = parser.getHistory();
-  res.json(history);
+  const filters = resolveHistoryRequest(req, res);
+  if (!filters) {
+    return;
+  }
+  const kind = req.query.kind || 'all';
+  if (!HISTORY_KINDS.includes(kind)) {
+    return res.status(400).json({ error: `Invalid kind "${kind}", expected ${HISTORY_KINDS.join(', ')}` });
+  }
+
+  historyStore.load()
+    .then(entries => res.json(historyAnalyzer.listHistoryEntries(
+      historyAnalyzer.filterHistoryEntries(entries, filters),
+      {
+        query: req.query.q || '',
+        kind,
+        page: Number.parseInt(req.query.page, 10) || 1,
+        pageSize: Number.parseInt(req.query.pageSize, 10) || undefined
+      }
+    )))
+    .catch(error => sendHistoryError(res, error));
+});
+
+/**
+ * GET /api/analytics/history
+ * Slash commands, re-used prompts, pastes and prompts per project over time
+ * from Claude Code's history.jsonl
+ */
+app.get('/api/analytics/history', (req, res) => {
+  const filters = resolveHistoryRequest(req, res);
+  if (!filters) {
+    return;
+  }
+
+  historyStore.load()
+    .then(entries => res.json(historyAnalyzer.analyzeHistory(
+      historyAnalyzer.filterHistoryEntries(entries, filters),
+      { timeZone: filters.timeZone }
+    )))
+    .catch(error => sendHistoryError(res, error));
 });
 
 /**
  * POST /api/reload
  * Reload conversations from disk
  */
-app.post('/api/reload', (req, res) => {
+app.post('/api/reload', async (req, res) => {
   try {
-    loadConversations({ force: true });
+    await loadConversations({ force: true });
     res.json({
       success: true,
       conversationsLoaded: cachedConversations.length,
@@ -472,7 +990,8 @@ app.post('/api/reload', (req, res) => {
 
 /**
  * GET /api/search
- * Search conversations by keyword
+ * Ranked full-text search over messages. Supports "phrases", OR, NOT/-term,
+ * filters (source, project, role, from, to) and pagination (page, pageSize).
  */
 app.get('/api/search', ensureConversationDataFresh, (req, res) => {
   const { q } = req.query;
@@ -486,36 +1005,52 @@ app.get('/api/search', ensureConversationDataFresh, (req, res) => {
     return res.status(400).json({ error: `Invalid source "${source}"` });
   }
 
-  const conversations = getConversationsForSource(source);
-  if (!conversations) {
-    return res.status(503).json({ error: 'Data not loaded' });
+  const role = req.query.role || null;
+  if (role && !SEARCH_ROLES.includes(role)) {
+    return res.status(400).json({ error: `Invalid role "${role}"` });
   }
 
-  const query = q.toLowerCase();
-  const results = [];
+  const timeZone = req.query.tz || getDefaultTimeZone();
+  if (!isValidTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown time zone "${timeZone}"` });
+  }
 
-  conversations.forEach(conv => {
-    const matchingMessages = conv.messages.filter(msg => {
-      const content = extractMessageTextForSearch(msg);
-      return content.toLowerCase().includes(query);
-    });
+  const from = parseDateParam(req.query.from, { timeZone });
+  const to = parseDateParam(req.query.to, { endOfDay: true, timeZone });
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: 'Dates must be ISO 8601, e.g. 2025-01-31' });
+  }
+
+  const { total, page, pageSize, results } = searchIndex.search(q, {
+    filters: {
+      platforms: source === 'all' ? null : [source],
+      project: req.query.project || null,
+      role,
+      from,
+      to
+    },
+    page: Number.parseInt(req.query.page, 10) || 1,
+    pageSize: Number.parseInt(req.query.pageSize, 10) || undefined
+  });
 
-    if (matchingMessages.length > 0) {
-      const preview = extractMessageTextForSearch(matchingMessages[0]);
-      results.push({
-        conversationId: conv.conversationId,
-        platform: conv.platform || 'claude',
-        project: conv.project,
-        matches: matchingMessages.length,
-        preview: preview.substring(0, 200)
-      });
+  const titles = new Map();
+  const resultsWithTitles = results.map(result => {
+    const key = `${result.platform}:${result.conversationId}`;
+    if (!titles.has(key)) {
+      const conv = cachedConversations.find(item =>
+        item.conversationId === result.conversationId && (item.platform || 'claude') === result.platform);
+      titles.set(key, conv ? getConversationTitle(conv) : null);
     }
+    return { ...result, title: titles.get(key) };
   });
 
   res.json({
     query: q,
-    resultsCount: results.length,
-    results: results.slice(0, 50) // Limit to 50 results
+    resultsCount: total,
+    total,
+    page,
+    pageSize,
+    results: resultsWithTitles
   });
 });
 
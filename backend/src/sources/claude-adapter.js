@@ -0,0 +1,50 @@
+/**
+ * Claude Code session logs: one JSONL file per session under
+ * `~/.claude/projects/<project>/`, with subagent runs under
+ * `<sessionId>/subagents/`
+ */
+
+import path from 'path';
+import { CLAUDE_DIR, getClaudeConversationFiles, readJSONLStream } from '../parsers/jsonl-parser.js';
+
+function listFiles(root) {
+  return getClaudeConversationFiles(path.join(root, 'projects'))
+    .map(file => ({ ...file, kind: file.source }));
+}
+
+/**
+ * Claude conversations keep the raw records as messages, so a growing file
+ * only needs its new tail appended
+ */
+async function ingest(file, stats, cached) {
+  const canAppend = cached && stats.size > cached.size && cached.offset <= stats.size;
+  const { records, offset } = await readJSONLStream(file.path, {
+    start: canAppend ? cached.offset : 0
+  });
+
+  const messages = canAppend
+    ? cached.conversation.messages.concat(records)
+    : records;
+
+  const conversation = {
+    conversationId: file.conversationId,
+    ...(file.parentConversationId ? { parentConversationId: file.parentConversationId } : {}),
+    path: file.path,
+    messages,
+    source: file.kind,
+    platform: 'claude',
+    project: file.project
+  };
+
+  return { offset, conversation };
+}
+
+export default {
+  name: 'claude',
+  label: 'Claude Code',
+  description: 'Claude Code local history',
+  format: 'JSONL session logs',
+  defaultRoots: () => [CLAUDE_DIR],
+  listFiles,
+  ingest
+};
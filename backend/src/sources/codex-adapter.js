@@ -0,0 +1,355 @@
+/**
+ * Codex session logs: JSONL rollout files under `~/.codex/sessions/`,
+ * nested by date
+ */
+
+import path from 'path';
+import os from 'os';
+import { readJSONLStream, walkFilesRecursively } from '../parsers/jsonl-parser.js';
+
+const CODEX_DIR = path.join(os.homedir(), '.codex');
+
+function extractTextFromCodexContent(content) {
+  if (typeof content === 'string') {
+    return content.trim();
+  }
+
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  const parts = content.map(item => {
+    if (!item || typeof item !== 'object') {
+      return '';
+    }
+    if (typeof item.text === 'string') {
+      return item.text;
+    }
+    if (typeof item.input_text === 'string') {
+      return item.input_text;
+    }
+    if (typeof item.output_text === 'string') {
+      return item.output_text;
+    }
+    return '';
+  }).filter(Boolean);
+
+  return parts.join('\n').trim();
+}
+
+function parseCodexArguments(args) {
+  if (typeof args !== 'string') {
+    return args && typeof args === 'object' ? args : {};
+  }
+  try {
+    const parsed = JSON.parse(args);
+    return parsed && typeof parsed === 'object' ? parsed : { arguments: args };
+  } catch (e) {
+    return { arguments: args };
+  }
+}
+
+/**
+ * Codex tool output is either plain text or a JSON string carrying the
+ * output together with `metadata.exit_code` and `metadata.duration_seconds`
+ */
+function parseCodexToolOutput(output) {
+  let parsed = output;
+  if (typeof output === 'string') {
+    try {
+      parsed = JSON.parse(output);
+    } catch (e) {
+      parsed = output;
+    }
+  }
+
+  if (parsed && typeof parsed === 'object') {
+    const exitCode = parsed.metadata?.exit_code ?? parsed.exit_code;
+    const durationSeconds = parsed.metadata?.duration_seconds ?? parsed.duration_seconds;
+    return {
+      text: typeof parsed.output === 'string' ? parsed.output : JSON.stringify(parsed),
+      exitCode: Number.isInteger(exitCode) ? exitCode : null,
+      durationSeconds: typeof durationSeconds === 'number' ? durationSeconds : null
+    };
+  }
+
+  // Unified exec output is plain text with an exit code and wall time header
+  const text = typeof output === 'string' ? output : '';
+  const exitMatch = text.match(/^(?:Exit code:|Process exited with code) (\d+)/m);
+  const durationMatch = text.match(/^Wall time: ([\d.]+) seconds/m);
+  const outputMatch = text.match(/(?:^|\n)Output:\n([\s\S]*)$/);
+  return {
+    text: exitMatch && outputMatch ? outputMatch[1] : text,
+    exitCode: exitMatch ? Number(exitMatch[1]) : null,
+    durationSeconds: durationMatch ? Number(durationMatch[1]) : null
+  };
+}
+
+function extractReasoningText(payload) {
+  const parts = [payload.summary, payload.content]
+    .filter(Array.isArray)
+    .flat()
+    .map(item => (typeof item?.text === 'string' ? item.text : ''))
+    .filter(Boolean);
+  return parts.join('\n\n').trim();
+}
+
+/**
+ * Map a Codex `token_count` usage record onto the Claude usage fields.
+ * Codex counts cached input as part of `input_tokens`.
+ */
+function toClaudeUsage(usage) {
+  if (!usage || typeof usage !== 'object') {
+    return null;
+  }
+  const inputTokens = Number(usage.input_tokens) || 0;
+  const cachedTokens = Number(usage.cached_input_tokens) || 0;
+  return {
+    input_tokens: Math.max(inputTokens - cachedTokens, 0),
+    output_tokens: Number(usage.output_tokens) || 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: cachedTokens,
+    reasoning_output_tokens: Number(usage.reasoning_output_tokens) || 0
+  };
+}
+
+function getSandboxMode(policy) {
+  if (typeof policy === 'string') {
+    return policy;
+  }
+  return policy?.type || policy?.mode || null;
+}
+
+function toToolInput(payload) {
+  if (payload.type === 'function_call') {
+    return parseCodexArguments(payload.arguments);
+  }
+  if (payload.type === 'local_shell_call') {
+    const action = payload.action || {};
+    return {
+      command: action.command,
+      workdir: action.working_directory,
+      timeout_ms: action.timeout_ms
+    };
+  }
+  return { input: payload.input };
+}
+
+/**
+ * Build a normalized conversation from the records of a Codex session file.
+ * Records are mapped onto the Claude Code shape: reasoning becomes thinking
+ * blocks, tool calls and outputs become tool_use/tool_result blocks sharing
+ * the Codex `call_id`, and each `token_count` event attaches its usage and a
+ * response id to the assistant records written since the previous one.
+ * Every `turn_context` is listed in `metadata.turns` with the index of the
+ * first message it applies to, its model and its approval, sandbox and
+ * reasoning settings; the top-level settings are those of the latest turn.
+ */
+export function buildCodexConversation(filePath, entries, stats) {
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const fallbackTimestamp = new Date(stats.mtimeMs).toISOString();
+
+  const sessionMeta = entries.find(entry => entry.type === 'session_meta');
+  const sessionPayload = sessionMeta?.payload || {};
+  const project = sessionPayload.cwd || 'unknown';
+  const conversationId = sessionPayload.id || path.basename(filePath, '.jsonl');
+  const messages = [];
+  const recordTypeCounts = {};
+  const responseItemTypeCounts = {};
+  const eventTypeCounts = {};
+  // turn_context records carry the model and settings for the turns that follow them
+  let currentModel = null;
+  let firstModel = null;
+  let turnSettings = {};
+  const turns = [];
+  // Assistant records of the response that has not been given a token count yet
+  let pendingResponse = [];
+  let responseCount = 0;
+  let tokenUsage = null;
+  let modelContextWindow = null;
+
+  const pushAssistant = (timestamp, content) => {
+    const record = {
+      type: 'assistant',
+      timestamp,
+      message: currentModel ? { model: currentModel, content } : { content }
+    };
+    messages.push(record);
+    pendingResponse.push(record);
+  };
+
+  entries.forEach(entry => {
+    recordTypeCounts[entry.type] = (recordTypeCounts[entry.type] || 0) + 1;
+    const timestamp = entry.timestamp || fallbackTimestamp;
+
+    if (entry.type === 'turn_context') {
+      const payload = entry.payload || {};
+      if (payload.model) {
+        currentModel = payload.model;
+        firstModel = firstModel || currentModel;
+      }
+      turnSettings = {
+        approvalPolicy: payload.approval_policy || turnSettings.approvalPolicy || null,
+        sandboxMode: getSandboxMode(payload.sandbox_policy) || turnSettings.sandboxMode || null,
+        reasoningEffort: payload.effort || turnSettings.reasoningEffort || null
+      };
+      turns.push({ messageIndex: messages.length, timestamp, model: currentModel, ...turnSettings });
+      return;
+    }
+
+    if (entry.type === 'response_item') {
+      const payload = entry.payload || {};
+      responseItemTypeCounts[payload.type || 'unknown'] = (responseItemTypeCounts[payload.type || 'unknown'] || 0) + 1;
+
+      if (payload.type === 'message') {
+        const role = payload.role;
+        const messageType = role === 'user'
+          ? 'user'
+          : role === 'assistant'
+            ? 'assistant'
+            : 'system';
+        const text = extractTextFromCodexContent(payload.content);
+        if (!text) {
+          return;
+        }
+        if (messageType === 'assistant') {
+          pushAssistant(timestamp, text);
+          return;
+        }
+        if (messageType === 'user') {
+          pendingResponse = [];
+        }
+        messages.push({ type: messageType, timestamp, message: { content: text } });
+        return;
+      }
+
+      if (payload.type === 'reasoning') {
+        const text = extractReasoningText(payload);
+        if (text) {
+          pushAssistant(timestamp, [{ type: 'thinking', thinking: text }]);
+        }
+        return;
+      }
+
+      if (['function_call', 'custom_tool_call', 'local_shell_call'].includes(payload.type)) {
+        const name = payload.type === 'local_shell_call' ? 'local_shell' : payload.name;
+        if (name) {
+          pushAssistant(timestamp, [{
+            type: 'tool_use',
+            id: payload.call_id || payload.id,
+            name,
+            input: toToolInput(payload)
+          }]);
+        }
+        return;
+      }
+
+      if (payload.type === 'function_call_output' || payload.type === 'custom_tool_call_output') {
+        const output = parseCodexToolOutput(payload.output);
+        messages.push({
+          type: 'user',
+          timestamp,
+          message: {
+            content: [{
+              type: 'tool_result',
+              tool_use_id: payload.call_id,
+              content: output.text,
+              is_error: output.exitCode !== null && output.exitCode !== 0
+            }]
+          },
+          toolUseResult: {
+            exitCode: output.exitCode,
+            durationSeconds: output.durationSeconds
+          }
+        });
+      }
+    }
+
+    if (entry.type === 'event_msg') {
+      const eventType = entry.payload?.type || 'unknown';
+      eventTypeCounts[eventType] = (eventTypeCounts[eventType] || 0) + 1;
+
+      const info = eventType === 'token_count' ? entry.payload.info : null;
+      const usage = toClaudeUsage(info?.last_token_usage);
+      if (!usage || pendingResponse.length === 0) {
+        return;
+      }
+      responseCount++;
+      pendingResponse.forEach(record => {
+        record.message.id = `${conversationId}:response-${responseCount}`;
+        record.message.usage = usage;
+      });
+      pendingResponse = [];
+      tokenUsage = info.total_token_usage || tokenUsage;
+      modelContextWindow = info.model_context_window || modelContextWindow;
+    }
+  });
+
+  if (messages.length === 0) {
+    messages.push({
+      type: 'system',
+      timestamp: fallbackTimestamp,
+      message: { content: 'Session metadata only' }
+    });
+  }
+
+  return {
+    conversationId,
+    project,
+    path: filePath,
+    source: 'main',
+    platform: 'codex',
+    messages,
+    metadata: {
+      cliVersion: sessionPayload.cli_version || null,
+      model: firstModel,
+      modelProvider: sessionPayload.model_provider || null,
+      originator: sessionPayload.originator || null,
+      sourceClient: sessionPayload.source || null,
+      ...turnSettings,
+      turns,
+      totalTokenUsage: tokenUsage,
+      modelContextWindow,
+      recordTypeCounts,
+      responseItemTypeCounts,
+      eventTypeCounts
+    }
+  };
+}
+
+function listFiles(root) {
+  return walkFilesRecursively(path.join(root, 'sessions'), filePath => filePath.endsWith('.jsonl'))
+    .map(filePath => ({ path: filePath }));
+}
+
+/**
+ * Codex conversations are derived from the whole record list, so the raw
+ * records are kept to rebuild the conversation after appending a tail
+ */
+async function ingest(file, stats, cached) {
+  // Records are not persisted in the index, so an indexed file is re-read in full
+  const canAppend = cached?.entries && stats.size > cached.size && cached.offset <= stats.size;
+  const { records, offset } = await readJSONLStream(file.path, {
+    start: canAppend ? cached.offset : 0
+  });
+
+  const entries = canAppend ? cached.entries.concat(records) : records;
+  return {
+    offset,
+    entries,
+    conversation: buildCodexConversation(file.path, entries, stats)
+  };
+}
+
+export default {
+  name: 'codex',
+  label: 'Codex',
+  description: 'Codex desktop session logs',
+  format: 'JSONL rollout files',
+  defaultRoots: () => [CODEX_DIR],
+  listFiles,
+  ingest
+};
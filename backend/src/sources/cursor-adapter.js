@@ -0,0 +1,366 @@
+/**
+ * Cursor agent transcripts: plain-text files under
+ * `~/.cursor/projects/<project>/agent-transcripts/`, with times and models
+ * from Cursor's state databases when they are on this machine
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { walkFilesRecursively } from '../parsers/jsonl-parser.js';
+import { getCursorComposerState, loadCursorState } from './cursor-state.js';
+
+const CURSOR_DIR = path.join(os.homedir(), '.cursor');
+// Cursor's state databases, read when the first transcript of a refresh needs them
+let refreshState = null;
+
+function normalizeCursorText(text) {
+  return text
+    .replace(/<user_query>/g, '')
+    .replace(/<\/user_query>/g, '')
+    .trim();
+}
+
+function parseCursorTranscriptBlocks(content) {
+  const lines = content.split('\n');
+  const blocks = [];
+  let role = null;
+  let buffer = [];
+
+  function flush() {
+    if (!role) {
+      return;
+    }
+    const text = buffer.join('\n').trim();
+    if (text) {
+      blocks.push({ role, text });
+    }
+    buffer = [];
+  }
+
+  lines.forEach(line => {
+    if (line.trim() === 'user:') {
+      flush();
+      role = 'user';
+      return;
+    }
+
+    if (line.trim() === 'assistant:') {
+      flush();
+      role = 'assistant';
+      return;
+    }
+
+    if (role) {
+      buffer.push(line);
+    }
+  });
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Split a transcript block into text, `[Tool call]` and `[Tool result]`
+ * items. Indented lines after a tool line belong to that call or result.
+ */
+function parseCursorBlockItems(text) {
+  const items = [];
+  let current = null;
+  let textLines = [];
+
+  function flushText() {
+    const itemText = textLines.join('\n').trim();
+    if (itemText) {
+      items.push({ kind: 'text', text: itemText });
+    }
+    textLines = [];
+  }
+
+  text.split('\n').forEach(line => {
+    const toolMatch = line.match(/^\[Tool (call|result)\]\s*([A-Za-z0-9_.-]+)/);
+    if (toolMatch) {
+      flushText();
+      current = { kind: toolMatch[1], name: toolMatch[2], lines: [] };
+      items.push(current);
+      return;
+    }
+    if (current && (/^\s/.test(line) || line.trim() === '')) {
+      current.lines.push(line);
+      return;
+    }
+    current = null;
+    textLines.push(line);
+  });
+
+  flushText();
+  return items;
+}
+
+/**
+ * Tool arguments written as indented `key: value` lines; deeper lines
+ * continue the previous value
+ */
+function parseCursorToolInput(lines) {
+  const input = {};
+  let key = null;
+  lines.forEach(line => {
+    const match = line.match(/^\s{1,2}([A-Za-z0-9_]+): ?(.*)$/);
+    if (match) {
+      key = match[1];
+      input[key] = match[2];
+    } else if (key && line.trim()) {
+      input[key] += `\n${line.trim()}`;
+    }
+  });
+  return input;
+}
+
+function parseCursorToolResult(lines) {
+  return lines.map(line => line.replace(/^ {1,2}/, '')).join('\n').trim();
+}
+
+/**
+ * Known times from Cursor's state, matched in order within each turn: a
+ * prompt takes the time of the next user message, a tool call the time of
+ * the next state tool call with the same name, and assistant text the time
+ * of the next assistant message with text. Tool calls and text are not
+ * matched past the next user message.
+ */
+function getStateAnchors(messages, state) {
+  const anchors = messages.map(() => null);
+  if (!state) {
+    return anchors;
+  }
+
+  const { bubbles } = state;
+  let position = 0;
+
+  function findBubble(matches, { withinTurn = true } = {}) {
+    for (let index = position; index < bubbles.length; index++) {
+      if (matches(bubbles[index])) {
+        position = index + 1;
+        return bubbles[index];
+      }
+      if (withinTurn && bubbles[index].role === 'user') {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  messages.forEach((msg, index) => {
+    let bubble = null;
+    if (msg.isPrompt) {
+      bubble = findBubble(candidate => candidate.role === 'user', { withinTurn: false });
+    } else if (msg.type === 'assistant') {
+      const toolUse = Array.isArray(msg.message.content) && msg.message.content[0]?.type === 'tool_use'
+        ? msg.message.content[0]
+        : null;
+      bubble = toolUse
+        ? findBubble(candidate => candidate.toolName === toolUse.name)
+        : findBubble(candidate => candidate.role === 'assistant' && !candidate.toolName && candidate.hasText);
+    }
+    anchors[index] = bubble?.time ?? null;
+  });
+
+  return anchors;
+}
+
+/**
+ * Fill unknown times by spreading messages evenly between the known ones,
+ * using the start and end of the conversation for leading and trailing gaps
+ */
+function interpolateTimes(anchors, startMs, endMs) {
+  const times = anchors.slice();
+  if (times.length === 0) {
+    return times;
+  }
+  times[0] = times[0] ?? startMs;
+  times[times.length - 1] = times[times.length - 1] ?? Math.max(endMs, times[0]);
+
+  let previous = 0;
+  for (let index = 1; index < times.length; index++) {
+    if (times[index] === null) {
+      continue;
+    }
+    // Anchors matched out of order are pulled forward to keep times increasing
+    times[index] = Math.max(times[index], times[previous]);
+    const step = (times[index] - times[previous]) / (index - previous);
+    for (let gap = previous + 1; gap < index; gap++) {
+      times[gap] = Math.round(times[previous] + step * (gap - previous));
+    }
+    previous = index;
+  }
+  return times;
+}
+
+/**
+ * Model of each turn: the first model named by an assistant message after
+ * the turn's user message, indexed from 1 for the first prompt
+ */
+function getTurnModels(state) {
+  const turnModels = [];
+  let turn = 0;
+  state?.bubbles.forEach(bubble => {
+    if (bubble.role === 'user') {
+      turn++;
+    } else if (bubble.model && !turnModels[turn]) {
+      turnModels[turn] = bubble.model;
+    }
+  });
+  return turnModels;
+}
+
+/**
+ * Build a normalized conversation from the text of a Cursor agent transcript.
+ * `[Tool call]`/`[Tool result]` pairs become tool_use/tool_result blocks.
+ * With `state` from Cursor's state databases, prompts, tool calls and
+ * assistant text get their real times and assistant messages their model.
+ * Other times are interpolated within the composer's lifetime, or the file's
+ * creation-to-modification window when Cursor's state is not available.
+ * When that window is empty, as for a transcript written in one go, only
+ * the last message is dated, by the file's modification time; the others
+ * have no timestamp rather than made-up ones.
+ */
+export function buildCursorConversation(filePath, content, stats, state = null) {
+  const projectIndex = filePath.indexOf(`${path.sep}projects${path.sep}`);
+  const afterProjects = projectIndex >= 0
+    ? filePath.slice(projectIndex + `${path.sep}projects${path.sep}`.length)
+    : filePath;
+  const project = afterProjects.split(path.sep)[0] || 'unknown';
+  const conversationId = path.basename(filePath, '.txt');
+  const blocks = parseCursorTranscriptBlocks(content);
+  const messages = [];
+  const pendingCalls = [];
+  let toolCallCount = 0;
+  let toolResultCount = 0;
+
+  blocks.forEach(block => {
+    parseCursorBlockItems(block.text).forEach(item => {
+      if (item.kind === 'text') {
+        const text = block.role === 'user' ? normalizeCursorText(item.text) : item.text;
+        if (text) {
+          messages.push({ type: block.role, isPrompt: block.role === 'user', message: { content: text } });
+        }
+        return;
+      }
+
+      if (item.kind === 'call') {
+        toolCallCount++;
+        const id = `${conversationId}:tool-${toolCallCount}`;
+        pendingCalls.push({ id, name: item.name });
+        messages.push({
+          type: 'assistant',
+          message: {
+            content: [{ type: 'tool_use', id, name: item.name, input: parseCursorToolInput(item.lines) }]
+          }
+        });
+        return;
+      }
+
+      toolResultCount++;
+      const callIndex = pendingCalls.findIndex(call => call.name === item.name);
+      const call = callIndex >= 0 ? pendingCalls.splice(callIndex, 1)[0] : null;
+      const text = parseCursorToolResult(item.lines);
+      messages.push({
+        type: 'user',
+        message: {
+          content: [{
+            type: 'tool_result',
+            tool_use_id: call?.id || null,
+            content: text,
+            is_error: /^error\b/i.test(text)
+          }]
+        }
+      });
+    });
+  });
+
+  const fileStartMs = Math.min(...[stats.birthtimeMs, stats.ctimeMs, stats.mtimeMs].filter(time => time > 0));
+  const startMs = state?.createdAt ?? fileStartMs;
+  const endMs = Math.max(state?.lastUpdatedAt ?? stats.mtimeMs, startMs);
+
+  if (messages.length === 0) {
+    messages.push({
+      type: 'system',
+      message: { content: 'Transcript metadata only' }
+    });
+  }
+
+  const anchors = getStateAnchors(messages, state);
+  const hasAnchors = anchors.some(anchor => anchor !== null);
+  const timesKnown = hasAnchors || endMs > startMs;
+  const times = timesKnown
+    ? interpolateTimes(anchors, startMs, endMs)
+    : messages.map((msg, index) => (index === messages.length - 1 ? endMs : null));
+  const turnModels = getTurnModels(state);
+  let turn = 0;
+  messages.forEach((msg, index) => {
+    if (msg.isPrompt) {
+      turn++;
+    }
+    delete msg.isPrompt;
+    if (times[index] !== null) {
+      msg.timestamp = new Date(times[index]).toISOString();
+    }
+    const model = turnModels[turn] || state?.model;
+    if (msg.type === 'assistant' && model) {
+      msg.message.model = model;
+    }
+  });
+
+  return {
+    conversationId,
+    project,
+    path: filePath,
+    source: 'main',
+    platform: 'cursor',
+    messages,
+    metadata: {
+      composerId: state?.composerId || null,
+      composerName: state?.name || null,
+      model: state?.model || turnModels.find(Boolean) || null,
+      timestampSource: hasAnchors ? 'state' : timesKnown ? 'interpolated' : 'unknown',
+      blockCount: blocks.length,
+      toolCallCount,
+      toolResultCount,
+      fileSizeBytes: stats.size
+    }
+  };
+}
+
+function listFiles(root) {
+  return walkFilesRecursively(
+    path.join(root, 'projects'),
+    filePath => filePath.includes(`${path.sep}agent-transcripts${path.sep}`) && filePath.endsWith('.txt')
+  ).map(filePath => ({ path: filePath }));
+}
+
+function beginRefresh() {
+  refreshState = null;
+}
+
+async function ingest(file, stats) {
+  const content = await fs.promises.readFile(file.path, 'utf-8');
+  if (!refreshState) {
+    refreshState = loadCursorState();
+  }
+  // Transcripts are named after the composer that wrote them
+  const state = await getCursorComposerState(path.basename(file.path, '.txt'), await refreshState);
+  return {
+    offset: stats.size,
+    conversation: buildCursorConversation(file.path, content, stats, state)
+  };
+}
+
+export default {
+  name: 'cursor',
+  label: 'Cursor',
+  description: 'Cursor agent transcripts',
+  format: 'Plain-text agent transcripts',
+  defaultRoots: () => [CURSOR_DIR],
+  listFiles,
+  beginRefresh,
+  ingest
+};
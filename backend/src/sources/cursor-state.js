@@ -0,0 +1,238 @@
+/**
+ * Read Cursor's local state databases (`state.vscdb`) for composer
+ * timestamps, message times and model names. The databases are SQLite and
+ * are read with `node:sqlite`, built into Node 22.13 and newer; on older Node
+ * versions, or when Cursor is not installed on this machine, nothing is
+ * found and transcript times come from the transcript file instead.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+// Composers listed by each workspace database, reloaded when the database changes
+const workspaceComposerCache = new Map();
+let sqlitePromise = null;
+let warnedUnavailable = false;
+
+/**
+ * Cursor's `User` data directory for this platform. Override with
+ * ANALYTICS_CURSOR_USER_DIR.
+ */
+export function resolveCursorUserDir(env = process.env) {
+  if (env.ANALYTICS_CURSOR_USER_DIR) {
+    return env.ANALYTICS_CURSOR_USER_DIR;
+  }
+  if (process.platform === 'darwin') {
+    return path.join(os.homedir(), 'Library', 'Application Support', 'Cursor', 'User');
+  }
+  if (process.platform === 'win32') {
+    return path.join(env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'Cursor', 'User');
+  }
+  return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'Cursor', 'User');
+}
+
+function loadSqlite() {
+  if (!sqlitePromise) {
+    sqlitePromise = import('node:sqlite').catch(() => null);
+  }
+  return sqlitePromise;
+}
+
+async function queryDatabase(dbPath, sql, params = []) {
+  if (!fs.existsSync(dbPath)) {
+    return [];
+  }
+  const sqlite = await loadSqlite();
+  if (!sqlite) {
+    if (!warnedUnavailable) {
+      warnedUnavailable = true;
+      console.warn(`Found ${dbPath} but node:sqlite is unavailable (it needs Node 22.13+); Cursor message times will be approximate`);
+    }
+    return [];
+  }
+
+  let db = null;
+  try {
+    db = new sqlite.DatabaseSync(dbPath, { readOnly: true });
+    return db.prepare(sql).all(...params);
+  } catch (error) {
+    console.error(`Error reading Cursor state ${dbPath}:`, error.message);
+    return [];
+  } finally {
+    db?.close();
+  }
+}
+
+function parseValue(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const text = typeof value === 'string' ? value : Buffer.from(value).toString('utf-8');
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Epoch milliseconds from an ISO string or a seconds/milliseconds number
+ */
+function toMs(value) {
+  if (typeof value === 'number' && value > 0) {
+    return value < 1e12 ? value * 1000 : value;
+  }
+  if (typeof value === 'string') {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+  return null;
+}
+
+/**
+ * Composers listed in the `composer.composerData` entry of every workspace
+ * database, by composer id
+ */
+async function getWorkspaceComposers(userDir) {
+  const workspaceDir = path.join(userDir, 'workspaceStorage');
+  const composers = new Map();
+
+  let workspaces;
+  try {
+    workspaces = await fs.promises.readdir(workspaceDir);
+  } catch (error) {
+    return composers;
+  }
+
+  for (const workspace of workspaces) {
+    const dbPath = path.join(workspaceDir, workspace, 'state.vscdb');
+    let stats;
+    try {
+      stats = await fs.promises.stat(dbPath);
+    } catch (error) {
+      continue;
+    }
+
+    let cached = workspaceComposerCache.get(dbPath);
+    if (!cached || cached.mtimeMs !== stats.mtimeMs) {
+      const [row] = await queryDatabase(dbPath, "SELECT value FROM ItemTable WHERE key = 'composer.composerData'");
+      const data = parseValue(row?.value);
+      cached = {
+        mtimeMs: stats.mtimeMs,
+        composers: Array.isArray(data?.allComposers) ? data.allComposers : []
+      };
+      workspaceComposerCache.set(dbPath, cached);
+    }
+    cached.composers
+      .filter(composer => composer?.composerId)
+      .forEach(composer => composers.set(composer.composerId, composer));
+  }
+
+  return composers;
+}
+
+/**
+ * Bounds of the keys starting with `prefix`, for a range query that can use
+ * the key index (LIKE is case-insensitive and scans the whole table)
+ */
+function getPrefixRange(prefix) {
+  const last = prefix.charCodeAt(prefix.length - 1);
+  return [prefix, `${prefix.slice(0, -1)}${String.fromCharCode(last + 1)}`];
+}
+
+function toBubble(bubble) {
+  return {
+    role: bubble.type === 1 ? 'user' : 'assistant',
+    time: toMs(bubble.createdAt) ?? toMs(bubble.timingInfo?.clientStartTime),
+    model: bubble.modelInfo?.modelName || null,
+    toolName: bubble.toolFormerData?.name || null,
+    hasText: typeof bubble.text === 'string' && bubble.text.trim() !== ''
+  };
+}
+
+/**
+ * Messages of a composer in conversation order. Older Cursor versions keep
+ * them inline in `conversation`; newer ones store each bubble under its own
+ * `bubbleId:<composerId>:<bubbleId>` key, ordered by the composer's headers.
+ */
+async function getComposerBubbles(globalDb, composerId, composerData) {
+  if (Array.isArray(composerData.conversation) && composerData.conversation.length > 0) {
+    return composerData.conversation;
+  }
+
+  const prefix = `bubbleId:${composerId}:`;
+  const rows = await queryDatabase(
+    globalDb,
+    'SELECT key, value FROM cursorDiskKV WHERE key >= ? AND key < ?',
+    getPrefixRange(prefix)
+  );
+  const bubblesById = new Map(
+    rows
+      .map(row => [row.key.slice(prefix.length), parseValue(row.value)])
+      .filter(([, bubble]) => bubble)
+  );
+
+  const headers = Array.isArray(composerData.fullConversationHeadersOnly)
+    ? composerData.fullConversationHeadersOnly
+    : [];
+  if (headers.length > 0) {
+    return headers.map(header => bubblesById.get(header.bubbleId)).filter(Boolean);
+  }
+  return Array.from(bubblesById.values())
+    .sort((a, b) => (toMs(a.createdAt) || 0) - (toMs(b.createdAt) || 0));
+}
+
+/**
+ * What Cursor's state databases list, read once per refresh: the composers
+ * of every workspace database and the ids of the composers stored in the
+ * global database. Look composers up in it with `getCursorComposerState`.
+ */
+export async function loadCursorState(userDir = resolveCursorUserDir()) {
+  const globalDb = path.join(userDir, 'globalStorage', 'state.vscdb');
+  const prefix = 'composerData:';
+  const rows = await queryDatabase(
+    globalDb,
+    'SELECT key FROM cursorDiskKV WHERE key >= ? AND key < ?',
+    getPrefixRange(prefix)
+  );
+  return {
+    globalDb,
+    composerIds: new Set(rows.map(row => row.key.slice(prefix.length))),
+    workspaceComposers: await getWorkspaceComposers(userDir)
+  };
+}
+
+/**
+ * What Cursor's state databases know about one composer (agent
+ * conversation), or null when none mention it. Bubbles are
+ * `{ role, time, model, toolName, hasText }` in conversation order.
+ */
+export async function getCursorComposerState(composerId, cursorState) {
+  const workspaceComposer = cursorState.workspaceComposers.get(composerId);
+  const inGlobalDb = cursorState.composerIds.has(composerId);
+  if (!inGlobalDb && !workspaceComposer) {
+    return null;
+  }
+
+  const { globalDb } = cursorState;
+  const [row] = inGlobalDb
+    ? await queryDatabase(globalDb, 'SELECT value FROM cursorDiskKV WHERE key = ?', [`composerData:${composerId}`])
+    : [];
+  const composerData = parseValue(row?.value);
+  const bubbles = composerData ? await getComposerBubbles(globalDb, composerId, composerData) : [];
+  return {
+    composerId,
+    name: composerData?.name || workspaceComposer?.name || null,
+    createdAt: toMs(composerData?.createdAt) ?? toMs(workspaceComposer?.createdAt),
+    lastUpdatedAt: toMs(composerData?.lastUpdatedAt) ?? toMs(workspaceComposer?.lastUpdatedAt),
+    model: composerData?.modelConfig?.modelName || null,
+    bubbles: bubbles.map(toBubble)
+  };
+}
+
+export default {
+  resolveCursorUserDir,
+  loadCursorState,
+  getCursorComposerState
+};
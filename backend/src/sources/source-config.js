@@ -0,0 +1,136 @@
+/**
+ * Resolve the data roots each source is read from. Roots come from, in order
+ * of precedence, `--<source>-root` command line options,
+ * `ANALYTICS_<SOURCE>_ROOTS` environment variables and the `sources` section
+ * of the config file. The first of these that names roots for a source
+ * replaces its default root.
+ *
+ * Every root can carry a machine label, written `machine=path` on the
+ * command line and in environment variables:
+ *
+ *   node src/server.js --claude-root alice=/mnt/backups/alice/.claude
+ *   ANALYTICS_CODEX_ROOTS="ci=/srv/ci/.codex:/home/me/.codex"
+ */
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { resolveDataDir } from '../parsers/conversation-index.js';
+
+export function resolveConfigFile({ argv = process.argv.slice(2), env = process.env } = {}) {
+  const index = argv.indexOf('--config');
+  if (index >= 0 && argv[index + 1]) {
+    return path.resolve(argv[index + 1]);
+  }
+  return env.ANALYTICS_CONFIG || path.join(resolveDataDir(), 'config.json');
+}
+
+function expandHome(rootPath) {
+  return rootPath === '~' || rootPath.startsWith(`~${path.sep}`) || rootPath.startsWith('~/')
+    ? path.join(os.homedir(), rootPath.slice(1))
+    : rootPath;
+}
+
+/**
+ * Machine label for a root without one: this machine for roots inside the
+ * home directory, otherwise the root path itself
+ */
+export function getDefaultMachine(rootPath) {
+  const relative = path.relative(os.homedir(), rootPath);
+  return !relative.startsWith('..') && !path.isAbsolute(relative) ? os.hostname() : rootPath;
+}
+
+/**
+ * Normalize a root given as a path, a `machine=path` string or a
+ * `{ path, machine }` object. Relative paths resolve against `baseDir`.
+ */
+export function parseRoot(value, baseDir = process.cwd()) {
+  let rootPath;
+  let machine = null;
+  if (typeof value === 'string') {
+    const match = value.match(/^([^=/\\]+)=(.+)$/);
+    rootPath = match ? match[2] : value;
+    machine = match ? match[1] : null;
+  } else if (value && typeof value.path === 'string') {
+    rootPath = value.path;
+    machine = typeof value.machine === 'string' && value.machine ? value.machine : null;
+  } else {
+    return null;
+  }
+
+  const resolvedPath = path.resolve(baseDir, expandHome(rootPath.trim()));
+  return {
+    path: resolvedPath,
+    machine: machine || getDefaultMachine(resolvedPath)
+  };
+}
+
+/**
+ * Parsed config file, or an empty object when it is missing or invalid
+ */
+export function readConfigFile(configFile) {
+  let content;
+  try {
+    content = fs.readFileSync(configFile, 'utf-8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`Error reading config file ${configFile}:`, error);
+    }
+    return {};
+  }
+
+  try {
+    const config = JSON.parse(content);
+    return config && typeof config === 'object' ? config : {};
+  } catch (error) {
+    console.error(`Error parsing config file ${configFile}:`, error.message);
+    return {};
+  }
+}
+
+function parseRootList(values, baseDir) {
+  const roots = values.map(value => parseRoot(value, baseDir)).filter(Boolean);
+  return roots.length > 0 ? roots : null;
+}
+
+/**
+ * Configured roots per source name, as `{ path, machine }` lists. Sources
+ * without configured roots are left out and read from their defaults.
+ */
+export function loadSourceRoots(sourceNames, { argv = process.argv.slice(2), env = process.env } = {}) {
+  const configFile = resolveConfigFile({ argv, env });
+  const config = readConfigFile(configFile);
+  const configSources = config.sources && typeof config.sources === 'object' ? config.sources : {};
+  const rootsBySource = {};
+
+  Object.keys(configSources)
+    .filter(name => !sourceNames.includes(name))
+    .forEach(name => console.warn(`Ignoring roots for unknown source "${name}" in ${configFile}`));
+
+  sourceNames.forEach(name => {
+    const flag = `--${name}-root`;
+    const cliValues = argv
+      .map((arg, index) => (arg === flag ? argv[index + 1] : null))
+      .filter(Boolean);
+    const envValue = env[`ANALYTICS_${name.toUpperCase()}_ROOTS`];
+    const envValues = envValue ? envValue.split(path.delimiter).filter(Boolean) : [];
+    const configValues = Array.isArray(configSources[name]?.roots) ? configSources[name].roots : [];
+
+    const roots = parseRootList(cliValues) ||
+      parseRootList(envValues) ||
+      parseRootList(configValues, path.dirname(configFile));
+    if (roots) {
+      rootsBySource[name] = roots;
+    }
+  });
+
+  return { configFile, rootsBySource };
+}
+
+export default {
+  resolveConfigFile,
+  getDefaultMachine,
+  parseRoot,
+  readConfigFile,
+  loadSourceRoots
+};
@@ -0,0 +1,129 @@
+/**
+ * Registry of source adapters. Each coding assistant is read through an
+ * adapter, and the server, store and schema endpoints only know sources by
+ * the names registered here.
+ *
+ * An adapter is an object with:
+ * - `name`: source id used in `?source=` and `conversation.platform`
+ * - `label`, `description`: shown by `/api/sources` and the frontend
+ * - `format`: short description of the files the source writes
+ * - `defaultRoots()`: data directories read when none are configured
+ * - `listFiles(root)`: files to ingest below one data directory, as
+ *   `{ path, ... }` objects; extra fields are passed back to `ingest`
+ * - `fingerprint(file, stats)` (optional): string that changes whenever the
+ *   file has to be re-read; size and mtime by default
+ * - `beginRefresh()` (optional): called at the start of every refresh, before
+ *   any `ingest`, e.g. to drop state read for the previous refresh
+ * - `ingest(file, stats, cached)`: read a file into `{ offset, conversation }`
+ *   in the normalized conversation shape. `cached` is the previous result for
+ *   the same file, so growing logs can be read from `cached.offset`. Any other
+ *   fields returned are kept in memory for the next call.
+ *
+ * Roots configured through `source-config.js` replace an adapter's defaults.
+ */
+
+import claudeAdapter from './claude-adapter.js';
+import codexAdapter from './codex-adapter.js';
+import cursorAdapter from './cursor-adapter.js';
+import { getDefaultMachine } from './source-config.js';
+
+const REQUIRED_FIELDS = ['name', 'label', 'defaultRoots', 'listFiles', 'ingest'];
+const adapters = new Map();
+let configuredRoots = {};
+
+export function defaultFingerprint(file, stats) {
+  return `${stats.size}:${stats.mtimeMs}`;
+}
+
+/**
+ * Add an adapter to the registry. Adapters are listed in registration order.
+ */
+export function registerSourceAdapter(adapter) {
+  const missing = REQUIRED_FIELDS.filter(field => !adapter?.[field]);
+  if (missing.length > 0) {
+    throw new Error(`Source adapter "${adapter?.name || 'unknown'}" is missing ${missing.join(', ')}`);
+  }
+  if (adapter.name === 'all') {
+    throw new Error('Source adapter name "all" is reserved');
+  }
+  if (adapters.has(adapter.name)) {
+    throw new Error(`Source adapter "${adapter.name}" is already registered`);
+  }
+  adapters.set(adapter.name, {
+    description: '',
+    format: '',
+    fingerprint: defaultFingerprint,
+    ...adapter
+  });
+}
+
+export function getSourceAdapter(name) {
+  return adapters.get(name) || null;
+}
+
+export function getSourceAdapters() {
+  return Array.from(adapters.values());
+}
+
+export function getSourceNames() {
+  return Array.from(adapters.keys());
+}
+
+/**
+ * Replace the configured roots, as returned by `loadSourceRoots`
+ */
+export function configureSourceRoots(rootsBySource = {}) {
+  configuredRoots = rootsBySource;
+}
+
+/**
+ * Data roots read for a source, as `{ path, machine }` objects
+ */
+export function getSourceRoots(adapter) {
+  return configuredRoots[adapter.name] ||
+    adapter.defaultRoots().map(rootPath => ({ path: rootPath, machine: getDefaultMachine(rootPath) }));
+}
+
+/**
+ * List every file across all registered sources and roots without reading
+ * them. Files are tagged with the source, root and machine they came from.
+ */
+export function listSourceFiles() {
+  return getSourceAdapters().flatMap(adapter =>
+    getSourceRoots(adapter).flatMap(root =>
+      adapter.listFiles(root.path).map(file => ({
+        ...file,
+        source: adapter.name,
+        root: root.path,
+        machine: root.machine
+      }))
+    )
+  );
+}
+
+/**
+ * Public description of a source for `/api/sources` and schema responses
+ */
+export function describeSource(adapter) {
+  return {
+    name: adapter.name,
+    label: adapter.label,
+    description: adapter.description,
+    format: adapter.format,
+    roots: getSourceRoots(adapter)
+  };
+}
+
+[claudeAdapter, codexAdapter, cursorAdapter].forEach(registerSourceAdapter);
+
+export default {
+  defaultFingerprint,
+  registerSourceAdapter,
+  getSourceAdapter,
+  getSourceAdapters,
+  getSourceNames,
+  configureSourceRoots,
+  getSourceRoots,
+  listSourceFiles,
+  describeSource
+};
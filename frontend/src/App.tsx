@@ -1,19 +1,69 @@
-import { useState } from 'react'
 import { Dashboard } from './components/Dashboard'
 import { SummaryPage } from './components/SummaryPage'
-import type { AnalyticsSource } from './lib/api'
-
-type View = 'summary' | Exclude<AnalyticsSource, 'all'>;
+import { ConversationExplorer } from './components/ConversationExplorer'
+import { SearchPage } from './components/SearchPage'
+import { HistoryPage } from './components/HistoryPage'
+import { navigate, useHashView } from './lib/router'
 
 function App() {
-  const [view, setView] = useState<View>('summary');
+  const view = useHashView();
+  const openSummary = () => navigate({ name: 'summary', filters: {} });
 
   return (
     <div className="min-h-screen bg-background">
-      {view === 'summary' ? (
-        <SummaryPage onOpenSource={source => setView(source)} />
-      ) : (
-        <Dashboard source={view} onBack={() => setView('summary')} />
+      {view.name === 'summary' && (
+        <SummaryPage
+          filters={view.filters}
+          onFiltersChange={filters => navigate({ name: 'summary', filters })}
+          onOpenSource={source => navigate({ name: 'source', source, filters: view.filters })}
+          onOpenConversations={() => navigate({ name: 'conversations', source: 'all', conversationId: null, messageIndex: null })}
+          onOpenSearch={() => navigate({ name: 'search', q: '', source: 'all', project: '', role: '', from: '', to: '', page: 1 })}
+          onOpenHistory={() => navigate({ name: 'history', q: '', kind: 'all', project: '', from: '', to: '', page: 1 })}
+        />
+      )}
+      {view.name === 'source' && (
+        <Dashboard
+          source={view.source}
+          filters={view.filters}
+          onFiltersChange={filters => navigate({ name: 'source', source: view.source, filters })}
+          onBack={() => navigate({ name: 'summary', filters: view.filters })}
+          onOpenConversations={() => navigate({ name: 'conversations', source: view.source, conversationId: null, messageIndex: null })}
+          onOpenConversation={(conversationId, messageIndex) => navigate({
+            name: 'conversations',
+            source: view.source,
+            conversationId,
+            messageIndex: messageIndex ?? null
+          })}
+        />
+      )}
+      {view.name === 'conversations' && (
+        <ConversationExplorer
+          source={view.source}
+          conversationId={view.conversationId}
+          messageIndex={view.messageIndex}
+          onNavigate={({ source, conversationId }) => navigate({ name: 'conversations', source, conversationId, messageIndex: null })}
+          onBack={openSummary}
+        />
+      )}
+      {view.name === 'search' && (
+        <SearchPage
+          params={view}
+          onSearch={params => navigate({ name: 'search', ...params })}
+          onOpenResult={result => navigate({
+            name: 'conversations',
+            source: 'all',
+            conversationId: result.conversationId,
+            messageIndex: result.messageIndex
+          })}
+          onBack={openSummary}
+        />
+      )}
+      {view.name === 'history' && (
+        <HistoryPage
+          params={view}
+          onChange={params => navigate({ name: 'history', ...params })}
+          onBack={openSummary}
+        />
       )}
     </div>
   )
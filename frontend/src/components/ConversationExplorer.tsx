@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  fetchConversation,
+  fetchConversations,
+  type AnalyticsSource,
+  type ConversationDetail,
+  type ConversationListItem
+} from '@/lib/api';
+import { useSources } from '@/lib/sources';
+import { TodoPanel } from './TodoPanel';
+import { TranscriptView } from './TranscriptView';
+
+const LIST_PAGE_SIZE = 100;
+const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+type SortKey = 'lastMessage' | 'firstMessage' | 'messageCount' | 'project';
+
+const SORT_OPTIONS: Array<{ key: SortKey; label: string }> = [
+  { key: 'lastMessage', label: 'Last activity' },
+  { key: 'firstMessage', label: 'Started' },
+  { key: 'messageCount', label: 'Messages' },
+  { key: 'project', label: 'Project' }
+];
+
+function formatDate(timestamp?: string) {
+  if (!timestamp) {
+    return 'Unknown date';
+  }
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? timestamp : DATE_FORMATTER.format(date);
+}
+
+function compareConversations(a: ConversationListItem, b: ConversationListItem, sortKey: SortKey) {
+  if (sortKey === 'messageCount') {
+    return a.messageCount - b.messageCount;
+  }
+  if (sortKey === 'project') {
+    return (a.project || '').localeCompare(b.project || '');
+  }
+  return (a[sortKey] || '').localeCompare(b[sortKey] || '');
+}
+
+interface ConversationExplorerProps {
+  source: AnalyticsSource;
+  conversationId: string | null;
+  messageIndex: number | null;
+  onNavigate: (selection: { source: AnalyticsSource; conversationId: string | null }) => void;
+  onBack: () => void;
+}
+
+export function ConversationExplorer({
+  source,
+  conversationId: selectedId,
+  messageIndex,
+  onNavigate,
+  onBack
+}: ConversationExplorerProps) {
+  const [conversations, setConversations] = useState<ConversationListItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+  const [query, setQuery] = useState('');
+  const [sortKey, setSortKey] = useState<SortKey>('lastMessage');
+  const [sortDescending, setSortDescending] = useState(true);
+  const [showSubagents, setShowSubagents] = useState(false);
+  const [visibleCount, setVisibleCount] = useState(LIST_PAGE_SIZE);
+  const [detail, setDetail] = useState<ConversationDetail | null>(null);
+  const [detailError, setDetailError] = useState<string | null>(null);
+  const sources = useSources();
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchConversations(source)
+      .then(data => {
+        if (!cancelled) {
+          setConversations(data);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load conversations');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [source]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      return;
+    }
+    let cancelled = false;
+    setDetail(null);
+    setDetailError(null);
+    fetchConversation(selectedId)
+      .then(data => {
+        if (!cancelled) {
+          setDetail(data);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setDetailError(err instanceof Error ? err.message : 'Failed to load conversation');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedId]);
+
+  const filteredConversations = useMemo(() => {
+    const lowerQuery = query.trim().toLowerCase();
+    return conversations
+      .filter(conv => showSubagents || conv.source !== 'subagent')
+      .filter(conv => !lowerQuery || [conv.title, conv.project, conv.conversationId]
+        .some(value => value?.toLowerCase().includes(lowerQuery)))
+      .sort((a, b) => {
+        const result = compareConversations(a, b, sortKey);
+        return sortDescending ? -result : result;
+      });
+  }, [conversations, query, showSubagents, sortKey, sortDescending]);
+
+  const visibleConversations = filteredConversations.slice(0, visibleCount);
+
+  return (
+    <div className="container mx-auto p-6 space-y-6">
+      <div className="space-y-2">
+        <button
+          onClick={onBack}
+          className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+        >
+          Back to Summary
+        </button>
+        <h1 className="text-4xl font-bold">Conversation Explorer</h1>
+        <p className="text-muted-foreground">Browse sessions and open the full transcript behind the numbers</p>
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-[400px_1fr] text-left">
+        <Card className="h-fit">
+          <CardHeader>
+            <CardTitle>Conversations</CardTitle>
+            <CardDescription>
+              {loading ? 'Loading...' : `${filteredConversations.length} of ${conversations.length} conversations`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            <input
+              value={query}
+              onChange={event => {
+                setQuery(event.target.value);
+                setVisibleCount(LIST_PAGE_SIZE);
+              }}
+              placeholder="Filter by prompt, project or ID"
+              className="w-full px-3 py-2 border rounded-md text-sm"
+            />
+            <div className="flex flex-wrap gap-2 text-sm">
+              <select
+                value={source}
+                onChange={event => onNavigate({ source: event.target.value as AnalyticsSource, conversationId: selectedId })}
+                className="px-2 py-1 border rounded-md"
+              >
+                <option value="all">All sources</option>
+                {sources.map(option => (
+                  <option key={option.name} value={option.name}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={sortKey}
+                onChange={event => setSortKey(event.target.value as SortKey)}
+                className="px-2 py-1 border rounded-md"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => setSortDescending(value => !value)}
+                className="px-2 py-1 border rounded-md hover:bg-secondary transition-colors"
+                title="Toggle sort direction"
+              >
+                {sortDescending ? '↓' : '↑'}
+              </button>
+              <label className="flex items-center gap-1 text-xs text-muted-foreground">
+                <input
+                  type="checkbox"
+                  checked={showSubagents}
+                  onChange={event => setShowSubagents(event.target.checked)}
+                />
+                Subagent runs
+              </label>
+            </div>
+
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            <div className="space-y-1 max-h-[70vh] overflow-y-auto">
+              {visibleConversations.map(conv => (
+                <button
+                  key={`${conv.platform}:${conv.conversationId}`}
+                  onClick={() => onNavigate({ source, conversationId: conv.conversationId })}
+                  className={`w-full text-left p-2 rounded-md border transition-colors ${
+                    conv.conversationId === selectedId ? 'border-blue-500 bg-blue-50' : 'hover:bg-secondary'
+                  }`}
+                >
+                  <p className="text-sm font-medium truncate">{conv.title || conv.conversationId}</p>
+                  <p className="text-xs text-muted-foreground truncate">
+                    {conv.platform} · {conv.project}
+                    {conv.machine && ` · ${conv.machine}`}
+                  </p>
+                  <p className="text-xs text-muted-foreground">
+                    {formatDate(conv.lastMessage)} · {conv.messageCount} messages
+                    {conv.subagentCount > 0 && ` · ${conv.subagentCount} subagents`}
+                    {conv.source === 'subagent' && ' · subagent'}
+                    {conv.archived && ' · archived'}
+                  </p>
+                </button>
+              ))}
+            </div>
+
+            {filteredConversations.length > visibleCount && (
+              <button
+                onClick={() => setVisibleCount(count => count + LIST_PAGE_SIZE)}
+                className="w-full px-3 py-2 rounded-md border hover:bg-secondary transition-colors text-sm"
+              >
+                Show more
+              </button>
+            )}
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Transcript</CardTitle>
+            <CardDescription>
+              {detail
+                ? `${detail.platform} · ${detail.project} · ${detail.messages.length} records`
+                : 'Select a conversation to view its transcript'}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {detailError && <p className="text-sm text-red-600">{detailError}</p>}
+            {selectedId && !detail && !detailError && (
+              <p className="text-sm text-muted-foreground">Loading transcript...</p>
+            )}
+            {detail && (
+              <div className="space-y-3">
+                <TodoPanel conversationId={detail.conversationId} />
+                <TranscriptView
+                  key={detail.conversationId}
+                  conversation={detail}
+                  focusMessageIndex={messageIndex ?? undefined}
+                />
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
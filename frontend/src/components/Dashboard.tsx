@@ -3,21 +3,46 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import {
   fetchAnalyticsSummary,
   fetchSourceSchema,
+  fetchTodos,
+  type ActivityHeatmapMetric,
+  type AnalyticsFilters,
   type AnalyticsSummary,
-  type AnalyticsSource,
-  type SourceSchema
+  type SourceName,
+  type FileActivityStats,
+  type SourceSchema,
+  type TodoAnalysis
 } from '@/lib/api';
-import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, ComposedChart, Line } from 'recharts';
+import { getSourceLabel, useSources } from '@/lib/sources';
+import { formatDuration } from '@/lib/utils';
+import { FilterBar } from './FilterBar';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, ComposedChart, Line, Treemap } from 'recharts';
 import { Activity, TrendingUp, MessageSquare, Wrench } from 'lucide-react';
 
 const COLORS = ['#3b82f6', '#8b5cf6', '#06b6d4', '#10b981', '#f59e0b', '#ef4444', '#ec4899', '#6366f1'];
 const REFRESH_INTERVAL_MS = 30000;
 const SCHEMA_LIST_LIMIT = 8;
+const MODEL_MIX_LIMIT = 6;
+const HEATMAP_METRICS: Array<{ value: ActivityHeatmapMetric; label: string }> = [
+  { value: 'sessions', label: 'Sessions' },
+  { value: 'prompts', label: 'Prompts' },
+  { value: 'toolUses', label: 'Tool Uses' },
+  { value: 'tokens', label: 'Tokens' }
+];
 const TIMELINE_LABEL_FORMATTER = new Intl.DateTimeFormat('en-US', {
   month: 'short',
   day: 'numeric'
 });
 
+const COST_FORMATTER = new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 2
+});
+const TOKEN_FORMATTER = new Intl.NumberFormat('en-US', {
+  notation: 'compact',
+  maximumFractionDigits: 1
+});
+
 function formatTimelineDate(dateString: string) {
   const [year, month, day] = dateString.split('-').map(Number);
   if (!year || !month || !day) {
@@ -27,16 +52,31 @@ function formatTimelineDate(dateString: string) {
 }
 
 interface DashboardProps {
-  source: Exclude<AnalyticsSource, 'all'>;
+  source: SourceName;
+  filters: AnalyticsFilters;
+  onFiltersChange: (filters: AnalyticsFilters) => void;
   onBack: () => void;
+  onOpenConversations: () => void;
+  onOpenConversation: (conversationId: string, messageIndex?: number) => void;
 }
 
-export function Dashboard({ source, onBack }: DashboardProps) {
+export function Dashboard({
+  source,
+  filters,
+  onFiltersChange,
+  onBack,
+  onOpenConversations,
+  onOpenConversation
+}: DashboardProps) {
   const [analytics, setAnalytics] = useState<AnalyticsSummary | null>(null);
   const [schema, setSchema] = useState<SourceSchema | null>(null);
+  const [todos, setTodos] = useState<TodoAnalysis | null>(null);
+  const [todosError, setTodosError] = useState<string | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
-  const sourceName = source.charAt(0).toUpperCase() + source.slice(1);
+  const [heatmapMetric, setHeatmapMetric] = useState<ActivityHeatmapMetric>('sessions');
+  const sources = useSources();
+  const sourceName = getSourceLabel(sources, source);
 
   useEffect(() => {
     loadAnalytics();
@@ -46,16 +86,17 @@ export function Dashboard({ source, onBack }: DashboardProps) {
     }, REFRESH_INTERVAL_MS);
 
     return () => window.clearInterval(intervalId);
-  }, [source]);
+  }, [source, filters]);
 
   async function loadAnalytics(showLoadingState = true) {
+    loadTodos(showLoadingState);
     try {
       if (showLoadingState) {
         setLoading(true);
       }
       const [summaryData, schemaData] = await Promise.all([
-        fetchAnalyticsSummary(source),
-        fetchSourceSchema(source)
+        fetchAnalyticsSummary(source, filters),
+        fetchSourceSchema(source, filters)
       ]);
       setAnalytics(summaryData);
       setSchema(schemaData);
@@ -69,6 +110,19 @@ export function Dashboard({ source, onBack }: DashboardProps) {
     }
   }
 
+  // Todos load on their own so a failing todo endpoint only affects the todo card
+  async function loadTodos(showLoadingState = true) {
+    if (showLoadingState) {
+      setTodos(null);
+    }
+    try {
+      setTodos(await fetchTodos(source, filters));
+      setTodosError(null);
+    } catch (err) {
+      setTodosError(err instanceof Error ? err.message : 'Failed to load todos');
+    }
+  }
+
   if (loading) {
     return (
       <div className="flex items-center justify-center min-h-screen">
@@ -112,9 +166,13 @@ export function Dashboard({ source, onBack }: DashboardProps) {
     .slice(0, 10)
     .map(([name, count]) => ({ name, count }));
 
-  const taskData = Object.entries(analytics.taskPatterns)
-    .filter(([_, count]) => count > 0)
-    .map(([name, value]) => ({ name, value }));
+  const taskClassification = analytics.taskClassification;
+  const taskData = Object.values(taskClassification.byCategory)
+    .filter(stats => stats.sessions > 0)
+    .map(stats => ({ name: stats.label, value: stats.sessions }));
+  const taskCategoryLabels = Object.fromEntries(
+    taskClassification.categories.map(category => [category.id, category.label])
+  );
 
   const projectData = Object.entries(analytics.projectActivity)
     .sort((a, b) => b[1].conversationCount - a[1].conversationCount)
@@ -131,6 +189,135 @@ export function Dashboard({ source, onBack }: DashboardProps) {
   }));
 
   const latestTimelinePoint = timelineData[timelineData.length - 1];
+  const activityHeatmap = analytics.activityHeatmap;
+  const heatmapMax = activityHeatmap.max[heatmapMetric];
+  const activeTime = analytics.activeTime;
+  const activeTimeByDayData = timelineData.map(point => ({
+    label: point.label,
+    date: point.date,
+    waitOnModelHours: point.waitOnModelMs / 3600000,
+    waitOnUserHours: point.waitOnUserMs / 3600000
+  }));
+  const activeTimeByProject = Object.entries(activeTime.byProject).slice(0, 6);
+  const usage = analytics.usage;
+  const usageByDayData = usage.byDay.map(point => ({
+    ...point,
+    label: formatTimelineDate(point.date)
+  }));
+  const usageByModelData = Object.entries(usage.byModel)
+    .slice(0, 8)
+    .map(([name, totals]) => ({
+      name,
+      cost: totals.estimatedCost,
+      tokens: totals.totalTokens
+    }));
+  const usageByProject = Object.entries(usage.byProject).slice(0, 6);
+  const toolErrors = analytics.toolErrors;
+  const toolReliabilityData = Object.entries(toolErrors.byTool)
+    .filter(([, counts]) => counts.completed > 0)
+    .slice(0, 10)
+    .map(([name, counts]) => ({
+      name,
+      successes: counts.successes,
+      errors: counts.errors,
+      errorRate: counts.errorRate
+    }));
+  const toolErrorsByDayData = toolErrors.byDay
+    .filter(point => point.completed > 0)
+    .map(point => ({
+      ...point,
+      label: formatTimelineDate(point.date)
+    }));
+  const toolErrorsByProject = Object.entries(toolErrors.byProject)
+    .filter(([, counts]) => counts.errors > 0)
+    .slice(0, 6);
+  const errorTrend = toolErrors.trend;
+  const toolLatency = analytics.toolLatency;
+  const toolLatencyData = Object.entries(toolLatency.byTool)
+    .slice(0, 10)
+    .map(([name, stats]) => ({ name, ...stats }));
+  const latencyByDayData = toolLatency.byDay.map(point => ({
+    ...point,
+    label: formatTimelineDate(point.date)
+  }));
+  const latencyByCommand = Object.entries(toolLatency.byCommand).slice(0, 10);
+  const bashCommands = analytics.bashCommands;
+  const commandCategoryData = Object.entries(bashCommands.byCategory).map(([name, counts]) => ({
+    name,
+    succeeded: counts.completed - counts.failed,
+    failed: counts.failed,
+    failureRate: counts.failureRate
+  }));
+  const commandsByProject = Object.entries(bashCommands.byProject).slice(0, 6);
+  const codeChurn = analytics.codeChurn;
+  const churnByDayData = timelineData.map(point => ({
+    label: point.label,
+    date: point.date,
+    linesAdded: point.linesAdded,
+    linesRemoved: -point.linesRemoved,
+    netLines: point.cumulativeLinesAdded - point.cumulativeLinesRemoved
+  }));
+  const churnByLanguage = Object.entries(codeChurn.byLanguage).slice(0, 8);
+  const fileActivity = analytics.fileActivity;
+  const fileHighlights = [
+    {
+      title: 'Hot Files',
+      description: 'Edited in the most sessions',
+      files: fileActivity.hotFiles,
+      detail: (file: FileActivityStats) => `${file.editSessionCount} sessions · ${file.edits + file.writes} edits`
+    },
+    {
+      title: 'Read but Never Edited',
+      description: 'Re-read without changes',
+      files: fileActivity.readOnlyFiles,
+      detail: (file: FileActivityStats) => `${file.reads} reads · ${file.sessionCount} sessions`
+    },
+    {
+      title: 'Failed Edits',
+      description: 'Edits that returned an error',
+      files: fileActivity.failedEditFiles,
+      detail: (file: FileActivityStats) => `${file.failedEdits} of ${file.edits + file.writes} edits failed`
+    }
+  ];
+  const models = analytics.models;
+  const modelEntries = Object.entries(models.byModel);
+  const modelMixNames = modelEntries.slice(0, MODEL_MIX_LIMIT).map(([model]) => model);
+  const modelMixData = models.byDay.map(day => {
+    const point: Record<string, string | number> = { label: formatTimelineDate(day.date), Other: 0 };
+    modelMixNames.forEach(model => {
+      point[model] = 0;
+    });
+    Object.entries(day.turns).forEach(([model, turns]) => {
+      const key = modelMixNames.includes(model) ? model : 'Other';
+      point[key] = Number(point[key]) + turns;
+    });
+    return point;
+  });
+  const subagents = analytics.subagents;
+  const subagentTypes = Object.entries(subagents.byType).slice(0, 8);
+  const threads = analytics.threads;
+  const threadProjects = Object.entries(threads.byProject)
+    .filter(([, stats]) => stats.abandonedBranches > 0)
+    .slice(0, 8);
+  const compactions = analytics.compactions;
+  const compactionPhases = [
+    { label: 'Before first compaction', stats: compactions.phases.beforeCompaction },
+    { label: 'After compaction', stats: compactions.phases.afterCompaction },
+    { label: 'Never compacted', stats: compactions.phases.uncompacted }
+  ];
+  const maxDepthBucket = Math.max(1, ...compactions.depthBuckets.map(bucket => bucket.compactions));
+  const friction = analytics.friction;
+  const frictionData = friction.byDay.map(day => ({
+    label: formatTimelineDate(day.date),
+    Interruptions: day.interruption,
+    Rejections: day.rejection,
+    'Permission Denials': day.permissionDenial
+  }));
+  const todoData = todos?.byDay.map(day => ({
+    label: formatTimelineDate(day.date),
+    Created: day.created,
+    Completed: day.completed
+  })) || [];
   const conversationFieldPreview = schema?.conversationFields.slice(0, SCHEMA_LIST_LIMIT) || [];
   const metadataFieldPreview = schema?.metadataFields.slice(0, SCHEMA_LIST_LIMIT) || [];
   const messageTypePreview = schema?.messageTypes.slice(0, SCHEMA_LIST_LIMIT) || [];
@@ -142,16 +329,31 @@ export function Dashboard({ source, onBack }: DashboardProps) {
     <div className="container mx-auto p-6 space-y-6">
       {/* Header */}
       <div className="space-y-2">
-        <button
-          onClick={onBack}
-          className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
-        >
-          Back to Summary
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={onBack}
+            className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+          >
+            Back to Summary
+          </button>
+          <button
+            onClick={onOpenConversations}
+            className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+          >
+            Browse {sourceName} Conversations
+          </button>
+        </div>
         <h1 className="text-4xl font-bold">{sourceName} Analytics</h1>
         <p className="text-muted-foreground">Detailed insights for {sourceName} conversations</p>
       </div>
 
+      <FilterBar
+        filters={filters}
+        onChange={onFiltersChange}
+        projectOptions={Object.keys(analytics.projectActivity)}
+        modelOptions={Object.keys(analytics.usage.byModel)}
+      />
+
       {/* Overview Cards */}
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
         <Card>
@@ -241,6 +443,121 @@ export function Dashboard({ source, onBack }: DashboardProps) {
         </CardContent>
       </Card>
 
+      {/* Activity Heatmap */}
+      <Card>
+        <CardHeader>
+          <div className="flex flex-wrap items-start justify-between gap-3">
+            <div className="space-y-1.5">
+              <CardTitle>Activity by Hour and Weekday</CardTitle>
+              <CardDescription>
+                {activityHeatmap.totals[heatmapMetric].toLocaleString()} {HEATMAP_METRICS.find(metric => metric.value === heatmapMetric)?.label.toLowerCase()} in {activityHeatmap.timeZone}
+              </CardDescription>
+            </div>
+            <div className="flex gap-1">
+              {HEATMAP_METRICS.map(metric => (
+                <button
+                  key={metric.value}
+                  type="button"
+                  onClick={() => setHeatmapMetric(metric.value)}
+                  className={`px-2 py-1 text-xs border rounded-md transition-colors ${
+                    heatmapMetric === metric.value ? 'bg-primary text-primary-foreground' : 'hover:bg-secondary'
+                  }`}
+                >
+                  {metric.label}
+                </button>
+              ))}
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          <div className="overflow-x-auto">
+            <div className="grid gap-1 min-w-[640px]" style={{ gridTemplateColumns: '2.5rem repeat(24, minmax(0, 1fr))' }}>
+              <div />
+              {Array.from({ length: 24 }, (_, hour) => (
+                <div key={hour} className="text-[10px] text-muted-foreground text-center">
+                  {hour % 3 === 0 ? hour : ''}
+                </div>
+              ))}
+              {activityHeatmap.weekdays.map((weekday, weekdayIndex) => (
+                <div key={weekday} className="contents">
+                  <div className="text-xs text-muted-foreground self-center">{weekday}</div>
+                  {activityHeatmap.cells
+                    .filter(cell => cell.weekday === weekdayIndex)
+                    .map(cell => (
+                      <div
+                        key={cell.hour}
+                        title={`${weekday} ${String(cell.hour).padStart(2, '0')}:00 · ${cell[heatmapMetric].toLocaleString()}`}
+                        className="h-6 rounded-sm border"
+                        style={{
+                          backgroundColor: '#3b82f6',
+                          opacity: heatmapMax > 0 && cell[heatmapMetric] > 0
+                            ? 0.15 + 0.85 * (cell[heatmapMetric] / heatmapMax)
+                            : 0.05
+                        }}
+                      />
+                    ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Active Time */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Active Time</CardTitle>
+          <CardDescription>
+            Time inside work segments, split wherever a conversation is idle for more than {formatDuration(activeTime.idleGapMs)}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          <div className="grid gap-4 md:grid-cols-4">
+            {[
+              { label: 'Active', value: activeTime.totals.activeMs },
+              { label: 'Waiting on Model & Tools', value: activeTime.totals.waitOnModelMs },
+              { label: 'Waiting on User', value: activeTime.totals.waitOnUserMs },
+              { label: 'Wall Clock', value: activeTime.totals.wallClockMs }
+            ].map(item => (
+              <div key={item.label} className="p-3 border rounded-lg">
+                <p className="text-xs text-muted-foreground">{item.label}</p>
+                <p className="text-lg font-semibold">{formatDuration(item.value)}</p>
+              </div>
+            ))}
+          </div>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <p className="text-sm font-medium mb-2">Daily Active Hours</p>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={activeTimeByDayData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" minTickGap={24} />
+                  <YAxis tickFormatter={value => `${Number(value).toFixed(1)}h`} />
+                  <Tooltip formatter={value => formatDuration(Number(value) * 3600000)} />
+                  <Legend />
+                  <Bar dataKey="waitOnModelHours" stackId="active" fill="#8b5cf6" name="Model & Tools" />
+                  <Bar dataKey="waitOnUserHours" stackId="active" fill="#3b82f6" name="User" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+            <div>
+              <p className="text-sm font-medium mb-2">Active Time by Project</p>
+              <div className="space-y-1">
+                {activeTimeByProject.map(([project, totals]) => (
+                  <div key={project} className="flex items-center justify-between text-xs">
+                    <span className="font-mono truncate mr-4">{project}</span>
+                    <span className="text-muted-foreground whitespace-nowrap">
+                      {formatDuration(totals.activeMs)} active · {totals.segments} segments · {formatDuration(totals.wallClockMs)} wall clock
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
       {/* Tool Usage Chart */}
       <Card>
         <CardHeader>
@@ -261,6 +578,1022 @@ export function Dashboard({ source, onBack }: DashboardProps) {
         </CardContent>
       </Card>
 
+      {/* Tool Reliability */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Tool Reliability</CardTitle>
+          <CardDescription>
+            {toolErrors.totals.errors.toLocaleString()} failed of {toolErrors.totals.completed.toLocaleString()} tool calls with a recorded result ({toolErrors.totals.errorRate}% error rate)
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {toolErrors.totals.completed === 0 ? (
+            <p className="text-sm text-muted-foreground">No tool results recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Outcomes by Tool</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={toolReliabilityData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip
+                        labelFormatter={(value, payload) => {
+                          if (payload && payload.length > 0) {
+                            return `${value} (${payload[0].payload.errorRate}% errors)`;
+                          }
+                          return String(value);
+                        }}
+                      />
+                      <Legend />
+                      <Bar dataKey="successes" stackId="outcome" fill="#10b981" name="Succeeded" />
+                      <Bar dataKey="errors" stackId="outcome" fill="#ef4444" name="Failed" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Daily Error Rate</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={toolErrorsByDayData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" minTickGap={24} />
+                      <YAxis yAxisId="left" allowDecimals={false} />
+                      <YAxis yAxisId="right" orientation="right" unit="%" />
+                      <Tooltip />
+                      <Legend />
+                      <Bar yAxisId="left" dataKey="errors" fill="#ef4444" name="Failed Calls" />
+                      <Line yAxisId="right" type="monotone" dataKey="errorRate" stroke="#f59e0b" strokeWidth={2} dot={false} name="Error Rate %" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                  {errorTrend?.change !== null && errorTrend?.change !== undefined && (
+                    <p className="text-xs text-muted-foreground mt-2">
+                      Last {errorTrend.windowDays} days: {errorTrend.currentErrorRate}% vs {errorTrend.previousErrorRate}% the {errorTrend.windowDays} days before
+                      ({errorTrend.change > 0 ? '+' : ''}{errorTrend.change} points)
+                    </p>
+                  )}
+                </div>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Common Errors</p>
+                  <div className="space-y-2">
+                    {toolErrors.topErrors.slice(0, 8).map(error => (
+                      <div key={error.message} className="text-xs">
+                        <p className="font-mono break-words">{error.message}</p>
+                        <p className="text-muted-foreground">
+                          {error.count}× · {Object.keys(error.tools).join(', ')}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Errors by Project</p>
+                  <div className="space-y-1">
+                    {toolErrorsByProject.map(([project, counts]) => (
+                      <div key={project} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{project}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {counts.errors} of {counts.completed} · {counts.errorRate}%
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Tool Latency */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Tool Latency</CardTitle>
+          <CardDescription>
+            {formatDuration(toolLatency.totals.totalDurationMs)} spent waiting on {toolLatency.totals.calls.toLocaleString()} timed tool calls (median {formatDuration(toolLatency.totals.p50)}, p90 {formatDuration(toolLatency.totals.p90)})
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {toolLatency.totals.calls === 0 ? (
+            <p className="text-sm text-muted-foreground">No timed tool calls recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Latency by Tool</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={toolLatencyData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis tickFormatter={value => formatDuration(Number(value))} />
+                      <Tooltip formatter={value => formatDuration(Number(value))} />
+                      <Legend />
+                      <Bar dataKey="p50" fill="#3b82f6" name="p50" />
+                      <Bar dataKey="p90" fill="#8b5cf6" name="p90" />
+                      <Bar dataKey="p99" fill="#ef4444" name="p99" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Daily Latency</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={latencyByDayData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" minTickGap={24} />
+                      <YAxis yAxisId="left" tickFormatter={value => formatDuration(Number(value))} />
+                      <YAxis yAxisId="right" orientation="right" tickFormatter={value => formatDuration(Number(value))} />
+                      <Tooltip formatter={value => formatDuration(Number(value))} />
+                      <Legend />
+                      <Bar yAxisId="right" dataKey="totalDurationMs" fill="#06b6d4" name="Total Time" />
+                      <Line yAxisId="left" type="monotone" dataKey="p50" stroke="#3b82f6" strokeWidth={2} dot={false} name="p50" />
+                      <Line yAxisId="left" type="monotone" dataKey="p90" stroke="#f59e0b" strokeWidth={2} dot={false} name="p90" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Bash Commands by Total Time</p>
+                  <div className="space-y-1">
+                    {latencyByCommand.length === 0 && (
+                      <p className="text-xs text-muted-foreground">No timed Bash commands</p>
+                    )}
+                    {latencyByCommand.map(([command, stats]) => (
+                      <div key={command} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{command}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {stats.calls}× · {formatDuration(stats.totalDurationMs)} total · p50 {formatDuration(stats.p50)} · p90 {formatDuration(stats.p90)}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Slowest Calls</p>
+                  <div className="space-y-1">
+                    {toolLatency.slowestCalls.slice(0, 10).map(call => (
+                      <button
+                        key={`${call.conversationId}:${call.messageIndex}:${call.timestamp}`}
+                        onClick={() => onOpenConversation(call.conversationId, call.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">
+                          {call.tool}{call.command && `: ${call.command}`}
+                        </span>
+                        <span className={`whitespace-nowrap ${call.isError ? 'text-red-600' : 'text-muted-foreground'}`}>
+                          {formatDuration(call.durationMs)}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Shell Commands */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Shell Commands</CardTitle>
+          <CardDescription>
+            {bashCommands.totals.count.toLocaleString()} commands across {bashCommands.totals.uniquePrograms} programs, {bashCommands.totals.failureRate}% failed
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {bashCommands.totals.count === 0 ? (
+            <p className="text-sm text-muted-foreground">No shell commands recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Commands by Category</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={commandCategoryData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip
+                        labelFormatter={(value, payload) => {
+                          if (payload && payload.length > 0) {
+                            return `${value} (${payload[0].payload.failureRate}% failed)`;
+                          }
+                          return String(value);
+                        }}
+                      />
+                      <Legend />
+                      <Bar dataKey="succeeded" stackId="outcome" fill="#10b981" name="Succeeded" />
+                      <Bar dataKey="failed" stackId="outcome" fill="#ef4444" name="Failed" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Top Commands</p>
+                  <div className="space-y-1">
+                    {bashCommands.topCommands.slice(0, 10).map(command => (
+                      <div key={command.command} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{command.command}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {command.category} · {command.count}× · {command.failureRate}% failed
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Top Commands by Project</p>
+                  <div className="space-y-2">
+                    {commandsByProject.map(([project, counts]) => (
+                      <div key={project} className="text-xs">
+                        <p className="font-mono truncate">{project}</p>
+                        <p className="text-muted-foreground">
+                          {counts.topCommands.map(command => `${command.command} (${command.count})`).join(', ')}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Recent Failures</p>
+                  <div className="space-y-1">
+                    {bashCommands.recentFailures.length === 0 && (
+                      <p className="text-xs text-muted-foreground">No failed commands</p>
+                    )}
+                    {bashCommands.recentFailures.slice(0, 8).map(failure => (
+                      <button
+                        key={`${failure.conversationId}:${failure.messageIndex}`}
+                        onClick={() => onOpenConversation(failure.conversationId, failure.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{failure.command}</span>
+                        <span className="text-red-600 whitespace-nowrap">
+                          {failure.exitCode !== null ? `exit ${failure.exitCode}` : 'error'}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Code Churn */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Code Churn</CardTitle>
+          <CardDescription>
+            +{codeChurn.totals.linesAdded.toLocaleString()} / -{codeChurn.totals.linesRemoved.toLocaleString()} lines across {codeChurn.totals.filesChanged.toLocaleString()} files from successful edits
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {codeChurn.totals.fileEdits === 0 ? (
+            <p className="text-sm text-muted-foreground">No file edits recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <ResponsiveContainer width="100%" height={300}>
+                <ComposedChart data={churnByDayData} stackOffset="sign">
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="label" minTickGap={24} />
+                  <YAxis yAxisId="left" tickFormatter={value => TOKEN_FORMATTER.format(Number(value))} />
+                  <YAxis yAxisId="right" orientation="right" tickFormatter={value => TOKEN_FORMATTER.format(Number(value))} />
+                  <Tooltip formatter={value => Math.abs(Number(value)).toLocaleString()} />
+                  <Legend />
+                  <Bar yAxisId="left" dataKey="linesAdded" stackId="churn" fill="#10b981" name="Lines Added" />
+                  <Bar yAxisId="left" dataKey="linesRemoved" stackId="churn" fill="#ef4444" name="Lines Removed" />
+                  <Line yAxisId="right" type="monotone" dataKey="netLines" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Cumulative Net Lines" />
+                </ComposedChart>
+              </ResponsiveContainer>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">By Language</p>
+                  <div className="space-y-1">
+                    {churnByLanguage.map(([language, churn]) => (
+                      <div key={language} className="flex items-center justify-between text-xs">
+                        <span className="truncate mr-4">{language}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          <span className="text-green-600">+{churn.linesAdded.toLocaleString()}</span>
+                          {' / '}
+                          <span className="text-red-600">-{churn.linesRemoved.toLocaleString()}</span>
+                          {' · '}{churn.fileEdits} edits
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Largest Changes by Conversation</p>
+                  <div className="space-y-1">
+                    {codeChurn.byConversation.slice(0, 8).map(conversation => (
+                      <button
+                        key={conversation.conversationId}
+                        onClick={() => onOpenConversation(conversation.conversationId)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{conversation.project} · {conversation.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          <span className="text-green-600">+{conversation.linesAdded.toLocaleString()}</span>
+                          {' / '}
+                          <span className="text-red-600">-{conversation.linesRemoved.toLocaleString()}</span>
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* File Activity */}
+      <Card>
+        <CardHeader>
+          <CardTitle>File Activity</CardTitle>
+          <CardDescription>
+            {fileActivity.totals.reads.toLocaleString()} reads, {fileActivity.totals.edits.toLocaleString()} edits and {fileActivity.totals.writes.toLocaleString()} writes across {fileActivity.totals.files.toLocaleString()} files
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {fileActivity.totals.files === 0 ? (
+            <p className="text-sm text-muted-foreground">No file operations recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm font-medium mb-2">Activity Map</p>
+                <p className="text-xs text-muted-foreground mb-2">Area is reads + edits + writes; click a project or directory to zoom in</p>
+                <ResponsiveContainer width="100%" height={360}>
+                  <Treemap
+                    data={fileActivity.tree.children || []}
+                    dataKey="value"
+                    nameKey="name"
+                    type="nest"
+                    stroke="#fff"
+                    fill="#3b82f6"
+                    isAnimationActive={false}
+                  >
+                    <Tooltip />
+                  </Treemap>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-3">
+                {fileHighlights.map(highlight => (
+                  <div key={highlight.title}>
+                    <p className="text-sm font-medium">{highlight.title}</p>
+                    <p className="text-xs text-muted-foreground mb-2">{highlight.description}</p>
+                    <div className="space-y-1">
+                      {highlight.files.length === 0 && (
+                        <p className="text-xs text-muted-foreground">None</p>
+                      )}
+                      {highlight.files.slice(0, 8).map(file => (
+                        <div key={`${file.project}:${file.path}`} className="text-xs">
+                          <p className="font-mono truncate" title={`${file.project}: ${file.path}`}>{file.path}</p>
+                          <p className="text-muted-foreground">{highlight.detail(file)}</p>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Most Active Directories</p>
+                <div className="space-y-1">
+                  {fileActivity.directories.slice(0, 8).map(directory => (
+                    <div key={`${directory.project}:${directory.path}`} className="flex items-center justify-between text-xs">
+                      <span className="font-mono truncate mr-4">{directory.path}</span>
+                      <span className="text-muted-foreground whitespace-nowrap">
+                        {directory.reads} reads · {directory.edits + directory.writes} edits · {directory.searches} searches
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Models */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Models</CardTitle>
+          <CardDescription>
+            {models.totals.models} models · {models.totals.switches} mid-session switches in {models.totals.conversationsWithSwitches} conversations
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {modelEntries.length === 0 ? (
+            <p className="text-sm text-muted-foreground">No assistant turns recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div>
+                <p className="text-sm font-medium mb-2">Daily Model Mix (assistant turns)</p>
+                <ResponsiveContainer width="100%" height={260}>
+                  <BarChart data={modelMixData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" minTickGap={24} />
+                    <YAxis />
+                    <Tooltip />
+                    <Legend />
+                    {modelMixNames.map((model, index) => (
+                      <Bar key={model} dataKey={model} stackId="models" fill={COLORS[index % COLORS.length]} name={model} />
+                    ))}
+                    {modelEntries.length > MODEL_MIX_LIMIT && (
+                      <Bar dataKey="Other" stackId="models" fill="#94a3b8" name="Other" />
+                    )}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Model Comparison</p>
+                <div className="overflow-x-auto">
+                  <div className="grid grid-cols-[minmax(12rem,2fr)_repeat(6,minmax(5rem,1fr))] gap-x-4 gap-y-1 text-xs min-w-[720px]">
+                    {['Model', 'Conversations', 'Turns', 'Turns / Prompt', 'Tool Calls / Turn', 'Tool Error Rate', 'Tokens / Turn'].map(heading => (
+                      <span key={heading} className="font-medium text-muted-foreground">{heading}</span>
+                    ))}
+                    {modelEntries.map(([model, stats]) => (
+                      <div key={model} className="contents">
+                        <span className="font-mono truncate" title={model}>{model}</span>
+                        <span>{stats.conversations.toLocaleString()}</span>
+                        <span>{stats.turns.toLocaleString()}</span>
+                        <span>{stats.prompts > 0 ? stats.turnsPerPrompt : '—'}</span>
+                        <span>{stats.toolCallsPerTurn}</span>
+                        <span className={stats.toolErrorRate > 10 ? 'text-red-600' : ''}>
+                          {stats.completedToolCalls > 0 ? `${stats.toolErrorRate}%` : '—'}
+                        </span>
+                        <span>{stats.totalTokens > 0 ? TOKEN_FORMATTER.format(stats.tokensPerTurn) : '—'}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Common Switches</p>
+                  <div className="space-y-1">
+                    {models.transitions.length === 0 && (
+                      <p className="text-xs text-muted-foreground">No mid-session model switches</p>
+                    )}
+                    {models.transitions.slice(0, 8).map(transition => (
+                      <div key={`${transition.from}:${transition.to}`} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{transition.from} → {transition.to}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">{transition.count}×</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Recent Switches</p>
+                  <div className="space-y-1">
+                    {models.recentSwitches.length === 0 && (
+                      <p className="text-xs text-muted-foreground">None</p>
+                    )}
+                    {models.recentSwitches.slice(0, 8).map(modelSwitch => (
+                      <button
+                        key={`${modelSwitch.conversationId}:${modelSwitch.messageIndex}`}
+                        onClick={() => onOpenConversation(modelSwitch.conversationId, modelSwitch.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{modelSwitch.from} → {modelSwitch.to}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {modelSwitch.project} · {new Date(modelSwitch.timestamp).toLocaleString()}
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Subagents */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Subagents</CardTitle>
+          <CardDescription>
+            {subagents.totals.subagentRuns.toLocaleString()} subagent runs in {subagents.totals.sessionsWithSubagents.toLocaleString()} sessions, {subagents.totals.linkedRuns.toLocaleString()} linked to the Task call that spawned them
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {subagents.totals.subagentRuns === 0 ? (
+            <p className="text-sm text-muted-foreground">No subagent runs recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-5">
+                {[
+                  { label: 'Tokens Delegated', value: `${subagents.totals.delegatedTokenShare}%` },
+                  { label: 'Tool Calls Delegated', value: `${subagents.totals.delegatedToolCallShare}%` },
+                  { label: 'Avg Run Duration', value: formatDuration(subagents.totals.avgDurationMs) },
+                  { label: 'Max Depth', value: subagents.totals.maxDepth },
+                  { label: 'Fan-out (avg / max)', value: `${subagents.totals.avgFanOut} / ${subagents.totals.maxFanOut}` }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                    <p className="text-lg font-semibold">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">By Subagent Type</p>
+                  <div className="space-y-1">
+                    {subagentTypes.map(([type, stats]) => (
+                      <div key={type} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{type}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {stats.runs} runs · avg {formatDuration(stats.avgDurationMs)} · {TOKEN_FORMATTER.format(stats.avgTokens)} tokens
+                          {stats.failedRuns > 0 && <span className="text-red-600"> · {stats.failureRate}% failed</span>}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Delegating Sessions</p>
+                  <div className="space-y-1">
+                    {subagents.sessions.slice(0, 8).map(session => (
+                      <button
+                        key={session.conversationId}
+                        onClick={() => onOpenConversation(session.conversationId)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{session.project} · {session.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {session.subagentRuns} runs · depth {session.maxDepth} · {session.delegatedTokenShare}% of tokens
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Branches & Retries */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Branches & Retries</CardTitle>
+          <CardDescription>
+            {threads.totals.abandonedBranches.toLocaleString()} abandoned branches in {threads.totals.branchedConversations.toLocaleString()} of {threads.totals.conversations.toLocaleString()} conversations with a message tree
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {threads.totals.abandonedBranches === 0 ? (
+            <p className="text-sm text-muted-foreground">No retries or rewinds recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-5">
+                {[
+                  { label: 'Retries', value: threads.totals.retries.toLocaleString() },
+                  { label: 'Rewinds', value: threads.totals.rewinds.toLocaleString() },
+                  { label: 'Branch Points', value: threads.totals.branchPoints.toLocaleString() },
+                  { label: 'Abandoned Messages', value: threads.totals.abandonedMessages.toLocaleString() },
+                  { label: 'Abandoned Share', value: `${threads.totals.abandonedShare}%` }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                    <p className="text-lg font-semibold">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">By Project</p>
+                  <div className="space-y-1">
+                    {threadProjects.map(([project, stats]) => (
+                      <div key={project} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{project}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {stats.retries} retries · {stats.rewinds} rewinds · {stats.abandonedShare}% abandoned
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Branched Conversations</p>
+                  <div className="space-y-1">
+                    {threads.byConversation.slice(0, 8).map(conversation => (
+                      <button
+                        key={conversation.conversationId}
+                        onClick={() => onOpenConversation(conversation.conversationId, conversation.branches[0]?.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{conversation.project} · {conversation.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {conversation.retries} retries · {conversation.rewinds} rewinds · {conversation.abandonedMessages} abandoned
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Context Compaction */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Context Compaction</CardTitle>
+          <CardDescription>
+            {compactions.totals.compactions.toLocaleString()} compactions in {compactions.totals.compactedSessions.toLocaleString()} of {compactions.totals.sessions.toLocaleString()} Claude Code sessions
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {compactions.totals.compactions === 0 ? (
+            <p className="text-sm text-muted-foreground">No context compactions recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-5">
+                {[
+                  { label: 'Sessions Compacted', value: `${compactions.totals.compactionRate}%` },
+                  { label: 'Auto / Manual', value: `${compactions.totals.autoCompactions} / ${compactions.totals.manualCompactions}` },
+                  { label: 'Median Context at Compaction', value: TOKEN_FORMATTER.format(compactions.totals.medianPreTokens) },
+                  { label: 'Median Turns Before', value: compactions.totals.medianTurnsBeforeCompaction },
+                  { label: 'Per Compacted Session', value: compactions.totals.avgCompactionsPerCompactedSession }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                    <p className="text-lg font-semibold">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Before and After Compaction</p>
+                <div className="overflow-x-auto">
+                  <div className="grid grid-cols-[minmax(12rem,2fr)_repeat(5,minmax(5rem,1fr))] gap-x-4 gap-y-1 text-xs min-w-[640px]">
+                    {['Phase', 'Sessions', 'Turns', 'Turns / Prompt', 'Tool Calls / Turn', 'Tool Error Rate'].map(heading => (
+                      <span key={heading} className="font-medium text-muted-foreground">{heading}</span>
+                    ))}
+                    {compactionPhases.map(({ label, stats }) => (
+                      <div key={label} className="contents">
+                        <span>{label}</span>
+                        <span>{stats.sessions.toLocaleString()}</span>
+                        <span>{stats.turns.toLocaleString()}</span>
+                        <span>{stats.prompts > 0 ? stats.turnsPerPrompt : '—'}</span>
+                        <span>{stats.toolCallsPerTurn}</span>
+                        <span className={stats.toolErrorRate > 10 ? 'text-red-600' : ''}>
+                          {stats.completedToolCalls > 0 ? `${stats.toolErrorRate}%` : '—'}
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Context Size at Compaction</p>
+                  <div className="space-y-2">
+                    {compactions.depthBuckets.map(bucket => (
+                      <div key={bucket.label} className="space-y-1">
+                        <div className="flex items-center justify-between text-xs">
+                          <span className="font-mono">{bucket.label} tokens</span>
+                          <span className="text-muted-foreground">{bucket.compactions}</span>
+                        </div>
+                        <div className="w-full bg-secondary rounded-full h-2">
+                          <div
+                            className="bg-primary h-2 rounded-full"
+                            style={{ width: `${(bucket.compactions / maxDepthBucket) * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Compacted Sessions</p>
+                  <div className="space-y-1">
+                    {compactions.sessions.slice(0, 8).map(session => (
+                      <button
+                        key={session.conversationId}
+                        onClick={() => onOpenConversation(session.conversationId, session.events[0]?.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{session.project} · {session.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {session.compactions}× · first at turn {session.firstCompactionTurn} · {session.turns} turns
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Friction */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Interruptions & Rejections</CardTitle>
+          <CardDescription>
+            {friction.totals.total.toLocaleString()} times the user stopped the agent, in {friction.totals.sessionsWithFriction.toLocaleString()} of {friction.totals.sessions.toLocaleString()} conversations
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {friction.totals.total === 0 ? (
+            <p className="text-sm text-muted-foreground">No interruptions, rejections or permission denials recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-5">
+                {[
+                  { label: 'Interruptions', value: friction.totals.interruption.toLocaleString() },
+                  { label: 'Rejected Tool Calls', value: friction.totals.rejection.toLocaleString() },
+                  { label: 'Permission Denials', value: friction.totals.permissionDenial.toLocaleString() },
+                  { label: 'Per 100 Prompts', value: friction.totals.eventsPerHundredPrompts },
+                  { label: 'Tool Calls Declined', value: `${friction.totals.rejectionRate}%` }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                    <p className="text-lg font-semibold">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Per Day</p>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={frictionData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" minTickGap={24} />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip />
+                    <Legend />
+                    {['Interruptions', 'Rejections', 'Permission Denials'].map((kind, index) => (
+                      <Bar key={kind} dataKey={kind} stackId="friction" fill={COLORS[index % COLORS.length]} />
+                    ))}
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-3">
+                <div>
+                  <p className="text-sm font-medium mb-2">By Tool</p>
+                  <div className="space-y-1">
+                    {Object.entries(friction.byTool).slice(0, 8).map(([tool, counts]) => (
+                      <div key={tool} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{tool}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {counts.total} of {counts.calls} calls · {counts.frictionRate}%
+                        </span>
+                      </div>
+                    ))}
+                    {friction.totals.interruptedTextResponses > 0 && (
+                      <div className="flex items-center justify-between text-xs">
+                        <span className="truncate mr-4 text-muted-foreground">Text responses</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {friction.totals.interruptedTextResponses} interrupted
+                        </span>
+                      </div>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">By Project</p>
+                  <div className="space-y-1">
+                    {Object.entries(friction.byProject).slice(0, 8).map(([project, counts]) => (
+                      <div key={project} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{project}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {counts.total} · {counts.eventsPerHundredPrompts} per 100 prompts
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Friction</p>
+                  <div className="space-y-1">
+                    {friction.sessions.slice(0, 8).map(session => (
+                      <button
+                        key={session.conversationId}
+                        onClick={() => onOpenConversation(session.conversationId, session.events[0]?.messageIndex)}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{session.project} · {session.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {session.interruption} int · {session.rejection} rej · {session.permissionDenial} denied
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Todos */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Planned Work</CardTitle>
+          <CardDescription>
+            {todos
+              ? `${todos.totals.items.toLocaleString()} todo items in ${todos.totals.conversationsWithTodos.toLocaleString()} of ${todos.totals.conversations.toLocaleString()} conversations, ${todos.totals.completionRate}% completed`
+              : 'Todo lists kept with TodoWrite'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {todosError ? (
+            <div className="flex items-center justify-between gap-4">
+              <p className="text-sm text-red-600">{todosError}</p>
+              <button
+                onClick={() => loadTodos()}
+                className="px-3 py-1 text-sm border rounded-md hover:bg-secondary transition-colors"
+              >
+                Retry
+              </button>
+            </div>
+          ) : !todos ? (
+            <p className="text-sm text-muted-foreground">Loading todo lists...</p>
+          ) : todos.totals.items === 0 ? (
+            <p className="text-sm text-muted-foreground">No TodoWrite lists recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-5">
+                {[
+                  { label: 'Plans', value: todos.totals.plans.toLocaleString() },
+                  { label: 'Items per Plan', value: todos.totals.avgItemsPerPlan },
+                  { label: 'Left Open', value: (todos.totals.pending + todos.totals.in_progress).toLocaleString() },
+                  { label: 'Dropped', value: todos.totals.dropped.toLocaleString() },
+                  {
+                    label: 'Median Time to Complete',
+                    value: todos.totals.medianTimeToCompleteMs !== null ? formatDuration(todos.totals.medianTimeToCompleteMs) : '—'
+                  }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label}</p>
+                    <p className="text-lg font-semibold">{item.value}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Items Created and Completed per Day</p>
+                <ResponsiveContainer width="100%" height={220}>
+                  <BarChart data={todoData}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="label" minTickGap={24} />
+                    <YAxis allowDecimals={false} />
+                    <Tooltip />
+                    <Legend />
+                    <Bar dataKey="Created" fill={COLORS[0]} />
+                    <Bar dataKey="Completed" fill={COLORS[3]} />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">By Project</p>
+                  <div className="space-y-1">
+                    {Object.entries(todos.byProject).slice(0, 8).map(([project, counts]) => (
+                      <div key={project} className="flex items-center justify-between text-xs">
+                        <span className="font-mono truncate mr-4">{project}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {counts.completed} of {counts.items} done · {counts.completionRate}%
+                        </span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Most Unfinished Work</p>
+                  <div className="space-y-1">
+                    {todos.sessions.filter(session => session.abandoned > 0).slice(0, 8).map(session => (
+                      <button
+                        key={session.conversationId}
+                        onClick={() => onOpenConversation(session.conversationId)}
+                        title={session.openItems.map(item => item.content).join('\n')}
+                        className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                      >
+                        <span className="font-mono truncate mr-4">{session.project} · {session.conversationId.slice(0, 8)}</span>
+                        <span className="text-muted-foreground whitespace-nowrap">
+                          {session.abandoned} of {session.items} unfinished
+                        </span>
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            </>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Token Usage & Cost */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Token Usage & Estimated Cost</CardTitle>
+          <CardDescription>
+            {TOKEN_FORMATTER.format(usage.totals.totalTokens)} tokens across {usage.totals.requests.toLocaleString()} model responses, estimated {COST_FORMATTER.format(usage.totals.estimatedCost)}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-6">
+          {usage.totals.requests === 0 ? (
+            <p className="text-sm text-muted-foreground">No token usage recorded for {sourceName} conversations</p>
+          ) : (
+            <>
+              <div className="grid gap-4 md:grid-cols-4">
+                {[
+                  { label: 'Input', value: usage.totals.inputTokens },
+                  { label: 'Output', value: usage.totals.outputTokens },
+                  { label: 'Cache Writes', value: usage.totals.cacheCreationTokens },
+                  { label: 'Cache Reads', value: usage.totals.cacheReadTokens }
+                ].map(item => (
+                  <div key={item.label} className="p-3 border rounded-lg">
+                    <p className="text-xs text-muted-foreground">{item.label} Tokens</p>
+                    <p className="text-lg font-semibold">{TOKEN_FORMATTER.format(item.value)}</p>
+                  </div>
+                ))}
+              </div>
+
+              <div className="grid gap-4 md:grid-cols-2">
+                <div>
+                  <p className="text-sm font-medium mb-2">Daily Estimated Cost</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <ComposedChart data={usageByDayData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="label" minTickGap={24} />
+                      <YAxis yAxisId="left" tickFormatter={value => COST_FORMATTER.format(Number(value))} />
+                      <YAxis yAxisId="right" orientation="right" tickFormatter={value => TOKEN_FORMATTER.format(Number(value))} />
+                      <Tooltip
+                        formatter={(value, name) => [
+                          name === 'Cost' ? COST_FORMATTER.format(Number(value)) : TOKEN_FORMATTER.format(Number(value)),
+                          name
+                        ]}
+                      />
+                      <Legend />
+                      <Bar yAxisId="left" dataKey="estimatedCost" fill="#10b981" name="Cost" />
+                      <Line yAxisId="right" type="monotone" dataKey="totalTokens" stroke="#8b5cf6" strokeWidth={2} dot={false} name="Tokens" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+                <div>
+                  <p className="text-sm font-medium mb-2">Cost by Model</p>
+                  <ResponsiveContainer width="100%" height={260}>
+                    <BarChart data={usageByModelData} layout="vertical" margin={{ left: 40 }}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis type="number" tickFormatter={value => COST_FORMATTER.format(Number(value))} />
+                      <YAxis type="category" dataKey="name" width={160} tick={{ fontSize: 11 }} />
+                      <Tooltip formatter={value => COST_FORMATTER.format(Number(value))} />
+                      <Bar dataKey="cost" fill="#3b82f6" name="Cost" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium mb-2">Top Projects by Cost</p>
+                <div className="space-y-1">
+                  {usageByProject.map(([project, totals]) => (
+                    <div key={project} className="flex items-center justify-between text-xs">
+                      <span className="font-mono truncate mr-4">{project}</span>
+                      <span className="text-muted-foreground whitespace-nowrap">
+                        {TOKEN_FORMATTER.format(totals.totalTokens)} tokens · {COST_FORMATTER.format(totals.estimatedCost)}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+
+              {usage.unpricedModels.length > 0 && (
+                <p className="text-xs text-muted-foreground">
+                  No price configured for: {usage.unpricedModels.join(', ')}
+                </p>
+              )}
+            </>
+          )}
+        </CardContent>
+      </Card>
+
       {/* Workflow Recommendations - Full Width */}
       <Card>
         <CardHeader>
@@ -300,11 +1633,13 @@ export function Dashboard({ source, onBack }: DashboardProps) {
       </Card>
 
       <div className="grid gap-4 md:grid-cols-2">
-        {/* Task Patterns */}
+        {/* Task Mix */}
         <Card>
           <CardHeader>
-            <CardTitle>Task Patterns</CardTitle>
-            <CardDescription>Types of tasks you work on</CardDescription>
+            <CardTitle>Task Mix</CardTitle>
+            <CardDescription>
+              Sessions by primary task label · {taskClassification.totals.classified.toLocaleString()} of {taskClassification.totals.sessions.toLocaleString()} classified by {taskClassification.classifiers.join(' + ')}
+            </CardDescription>
           </CardHeader>
           <CardContent>
             <ResponsiveContainer width="100%" height={300}>
@@ -330,6 +1665,50 @@ export function Dashboard({ source, onBack }: DashboardProps) {
             </ResponsiveContainer>
           </CardContent>
         </Card>
+
+        {/* Task Labels */}
+        <Card>
+          <CardHeader>
+            <CardTitle>Task Labels</CardTitle>
+            <CardDescription>
+              {taskClassification.totals.multiLabel.toLocaleString()} sessions with several labels · {taskClassification.totals.lowConfidence.toLocaleString()} below 50% confidence · average confidence {Math.round(taskClassification.totals.avgConfidence * 100)}%
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="space-y-1">
+              {Object.entries(taskClassification.byCategory)
+                .filter(([, stats]) => stats.labelled > 0)
+                .map(([id, stats]) => (
+                  <div key={id} className="flex items-center justify-between text-xs">
+                    <span className="truncate mr-4">{stats.label}</span>
+                    <span className="text-muted-foreground whitespace-nowrap">
+                      {stats.sessions} primary · {stats.labelled} labelled · {Math.round(stats.avgConfidence * 100)}% confidence
+                    </span>
+                  </div>
+                ))}
+            </div>
+            <div>
+              <p className="text-sm font-medium mb-2">Recent Sessions</p>
+              <div className="space-y-1">
+                {taskClassification.sessions.slice(0, 8).map(session => (
+                  <button
+                    key={session.conversationId}
+                    onClick={() => onOpenConversation(session.conversationId)}
+                    title={session.labels.flatMap(label => label.signals).join('\n')}
+                    className="w-full flex items-center justify-between text-xs text-left p-1 rounded hover:bg-secondary transition-colors"
+                  >
+                    <span className="truncate mr-4">{session.prompt || session.conversationId}</span>
+                    <span className="text-muted-foreground whitespace-nowrap">
+                      {session.labels
+                        .map(label => `${taskCategoryLabels[label.category] || label.category} ${Math.round(label.confidence * 100)}%`)
+                        .join(' · ')}
+                    </span>
+                  </button>
+                ))}
+              </div>
+            </div>
+          </CardContent>
+        </Card>
       </div>
 
       {/* Project Activity */}
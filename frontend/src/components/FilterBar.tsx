@@ -0,0 +1,168 @@
+import { useEffect, useState } from 'react';
+import type { AnalyticsFilters, SubagentMode, ThreadMode } from '@/lib/api';
+import { useSources } from '@/lib/sources';
+
+const SUBAGENT_OPTIONS: Array<{ value: SubagentMode; label: string }> = [
+  { value: 'include', label: 'Sessions + subagents' },
+  { value: 'exclude', label: 'Sessions only' },
+  { value: 'only', label: 'Subagent runs only' }
+];
+
+const THREAD_OPTIONS: Array<{ value: ThreadMode; label: string }> = [
+  { value: 'all', label: 'All records' },
+  { value: 'main', label: 'Main path only' }
+];
+
+const BROWSER_TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+// Offer the browser's own timezone first
+const TIME_ZONE_OPTIONS = [
+  BROWSER_TIME_ZONE,
+  ...Intl.supportedValuesOf('timeZone').filter(timeZone => timeZone !== BROWSER_TIME_ZONE)
+];
+
+function hasFilters(filters: AnalyticsFilters) {
+  return Object.values(filters).some(value => value && value !== 'include');
+}
+
+interface FilterBarProps {
+  filters: AnalyticsFilters;
+  onChange: (filters: AnalyticsFilters) => void;
+  projectOptions?: string[];
+  modelOptions?: string[];
+}
+
+export function FilterBar({ filters, onChange, projectOptions = [], modelOptions = [] }: FilterBarProps) {
+  const [draft, setDraft] = useState<AnalyticsFilters>(filters);
+  const sources = useSources();
+  const machineOptions = Array.from(new Set(sources.flatMap(source => source.roots.map(root => root.machine))));
+
+  useEffect(() => {
+    setDraft(filters);
+  }, [filters]);
+
+  function update(key: keyof AnalyticsFilters, value: string) {
+    setDraft(current => ({ ...current, [key]: value || undefined }));
+  }
+
+  return (
+    <form
+      className="flex flex-wrap items-end gap-3 p-3 border rounded-lg text-sm"
+      onSubmit={event => {
+        event.preventDefault();
+        onChange(draft);
+      }}
+    >
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        From
+        <input
+          type="date"
+          value={draft.from || ''}
+          onChange={event => update('from', event.target.value)}
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        To
+        <input
+          type="date"
+          value={draft.to || ''}
+          onChange={event => update('to', event.target.value)}
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        />
+      </label>
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        Project
+        <input
+          list="filter-project-options"
+          value={draft.project || ''}
+          onChange={event => update('project', event.target.value)}
+          placeholder="All projects"
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        />
+        <datalist id="filter-project-options">
+          {projectOptions.map(project => <option key={project} value={project} />)}
+        </datalist>
+      </label>
+      {machineOptions.length > 1 && (
+        <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+          Machine
+          <input
+            list="filter-machine-options"
+            value={draft.machine || ''}
+            onChange={event => update('machine', event.target.value)}
+            placeholder="All machines"
+            className="px-2 py-1 border rounded-md text-sm text-foreground"
+          />
+          <datalist id="filter-machine-options">
+            {machineOptions.map(machine => <option key={machine} value={machine} />)}
+          </datalist>
+        </label>
+      )}
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        Model
+        <input
+          list="filter-model-options"
+          value={draft.model || ''}
+          onChange={event => update('model', event.target.value)}
+          placeholder="All models"
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        />
+        <datalist id="filter-model-options">
+          {modelOptions.map(model => <option key={model} value={model} />)}
+        </datalist>
+      </label>
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        Timezone
+        <input
+          list="filter-timezone-options"
+          value={draft.tz || ''}
+          onChange={event => update('tz', event.target.value)}
+          placeholder="Server default"
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        />
+        <datalist id="filter-timezone-options">
+          {TIME_ZONE_OPTIONS.map(timeZone => <option key={timeZone} value={timeZone} />)}
+        </datalist>
+      </label>
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        Runs
+        <select
+          value={draft.subagent || 'include'}
+          onChange={event => update('subagent', event.target.value === 'include' ? '' : event.target.value)}
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        >
+          {SUBAGENT_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <label className="flex flex-col gap-1 text-xs text-muted-foreground">
+        Thread
+        <select
+          value={draft.thread || 'all'}
+          onChange={event => update('thread', event.target.value === 'all' ? '' : event.target.value)}
+          className="px-2 py-1 border rounded-md text-sm text-foreground"
+        >
+          {THREAD_OPTIONS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+      <button
+        type="submit"
+        className="px-3 py-1.5 bg-primary text-primary-foreground rounded-md hover:bg-primary/90"
+      >
+        Apply
+      </button>
+      {hasFilters(filters) && (
+        <button
+          type="button"
+          onClick={() => onChange({})}
+          className="px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+        >
+          Clear filters
+        </button>
+      )}
+    </form>
+  );
+}
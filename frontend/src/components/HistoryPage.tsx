@@ -0,0 +1,390 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import {
+  fetchHistory,
+  fetchHistoryAnalytics,
+  type HistoryAnalysis,
+  type HistoryKind,
+  type HistoryResponse
+} from '@/lib/api';
+import type { HistoryParams } from '@/lib/router';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+
+const PAGE_SIZE = 50;
+const COLORS = ['#3b82f6', '#8b5cf6', '#06b6d4', '#10b981', '#f59e0b', '#94a3b8'];
+const KIND_OPTIONS: Array<{ value: HistoryKind; label: string }> = [
+  { value: 'all', label: 'All prompts' },
+  { value: 'command', label: 'Slash commands' },
+  { value: 'custom', label: 'Custom commands' },
+  { value: 'paste', label: 'With pasted content' }
+];
+const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+function formatTimestamp(timestamp: string | null) {
+  return timestamp ? DATE_FORMATTER.format(new Date(timestamp)) : 'Unknown date';
+}
+
+interface HistoryPageProps {
+  params: HistoryParams;
+  onChange: (params: HistoryParams) => void;
+  onBack: () => void;
+}
+
+export function HistoryPage({ params, onChange, onBack }: HistoryPageProps) {
+  const [draft, setDraft] = useState<HistoryParams>(params);
+  const [analysis, setAnalysis] = useState<HistoryAnalysis | null>(null);
+  const [response, setResponse] = useState<HistoryResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    setDraft(params);
+  }, [params]);
+
+  const { q, kind, project, from, to, page } = params;
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchHistoryAnalytics({ project, from, to })
+      .then(data => {
+        if (!cancelled) {
+          setAnalysis(data);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load prompt history');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [project, from, to]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchHistory({ q, kind, project, from, to, page, pageSize: PAGE_SIZE })
+      .then(data => {
+        if (!cancelled) {
+          setResponse(data);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load prompt history');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [q, kind, project, from, to, page]);
+
+  const totalPages = response ? Math.max(1, Math.ceil(response.total / response.pageSize)) : 1;
+  const timelineData = analysis?.byDay.map(day => ({ date: day.date, ...day.projects })) || [];
+  const timelineKeys = analysis
+    ? [...analysis.timelineProjects, ...(analysis.byDay.some(day => day.projects.other) ? ['other'] : [])]
+    : [];
+  const maxCommandCount = analysis?.commands[0]?.count || 1;
+
+  return (
+    <div className="container mx-auto p-6 space-y-6 text-left">
+      <div className="space-y-2">
+        <button
+          onClick={onBack}
+          className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+        >
+          Back to Summary
+        </button>
+        <h1 className="text-4xl font-bold">Prompt History</h1>
+        <p className="text-muted-foreground">
+          Every prompt typed into Claude Code, from ~/.claude/history.jsonl
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <form
+            className="flex flex-wrap gap-2 text-sm"
+            onSubmit={event => {
+              event.preventDefault();
+              onChange({ ...draft, page: 1 });
+            }}
+          >
+            <input
+              value={draft.q}
+              onChange={event => setDraft({ ...draft, q: event.target.value })}
+              placeholder="Prompt contains..."
+              className="flex-1 min-w-[12rem] px-3 py-1.5 border rounded-md"
+            />
+            <select
+              value={draft.kind}
+              onChange={event => setDraft({ ...draft, kind: event.target.value as HistoryKind })}
+              className="px-2 py-1 border rounded-md"
+            >
+              {KIND_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <input
+              list="history-project-options"
+              value={draft.project}
+              onChange={event => setDraft({ ...draft, project: event.target.value })}
+              placeholder="Project"
+              className="px-2 py-1 border rounded-md"
+            />
+            <datalist id="history-project-options">
+              {Object.keys(analysis?.byProject || {}).map(name => <option key={name} value={name} />)}
+            </datalist>
+            <label className="flex items-center gap-1 text-xs text-muted-foreground">
+              From
+              <input
+                type="date"
+                value={draft.from}
+                onChange={event => setDraft({ ...draft, from: event.target.value })}
+                className="px-2 py-1 border rounded-md text-sm"
+              />
+            </label>
+            <label className="flex items-center gap-1 text-xs text-muted-foreground">
+              To
+              <input
+                type="date"
+                value={draft.to}
+                onChange={event => setDraft({ ...draft, to: event.target.value })}
+                className="px-2 py-1 border rounded-md text-sm"
+              />
+            </label>
+            <button
+              type="submit"
+              className="px-3 py-1.5 bg-primary text-primary-foreground rounded-md hover:bg-primary/90"
+            >
+              Apply
+            </button>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {analysis && (
+        <>
+          <div className="grid gap-4 md:grid-cols-5">
+            <div className="p-3 border rounded-lg">
+              <p className="text-xs text-muted-foreground">Prompts</p>
+              <p className="text-2xl font-bold">{analysis.totals.prompts.toLocaleString()}</p>
+              <p className="text-xs text-muted-foreground">
+                {analysis.totals.projects} projects · {analysis.totals.activeDays} days
+              </p>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <p className="text-xs text-muted-foreground">Slash Commands</p>
+              <p className="text-2xl font-bold">{analysis.totals.commands.toLocaleString()}</p>
+              <p className="text-xs text-muted-foreground">{analysis.totals.commandShare}% of prompts</p>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <p className="text-xs text-muted-foreground">Custom Commands</p>
+              <p className="text-2xl font-bold">{analysis.totals.customCommands.toLocaleString()}</p>
+              <p className="text-xs text-muted-foreground">
+                {analysis.commands.filter(command => command.kind === 'custom').length} distinct
+              </p>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <p className="text-xs text-muted-foreground">Prompts With Pastes</p>
+              <p className="text-2xl font-bold">{analysis.totals.promptsWithPastes.toLocaleString()}</p>
+              <p className="text-xs text-muted-foreground">
+                {analysis.totals.pasteShare}% · avg {analysis.totals.avgPastedLines} lines
+              </p>
+            </div>
+            <div className="p-3 border rounded-lg">
+              <p className="text-xs text-muted-foreground">Re-used Prompts</p>
+              <p className="text-2xl font-bold">{analysis.totals.reusedPrompts.toLocaleString()}</p>
+              <p className="text-xs text-muted-foreground">
+                {analysis.totals.reuseRate}% · {analysis.totals.nearDuplicateClusters} near-duplicate groups
+              </p>
+            </div>
+          </div>
+
+          <Card>
+            <CardHeader>
+              <CardTitle>Prompts per Project</CardTitle>
+              <CardDescription>Daily prompts for the busiest projects</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <ResponsiveContainer width="100%" height={260}>
+                <BarChart data={timelineData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="date" tick={{ fontSize: 11 }} />
+                  <YAxis allowDecimals={false} />
+                  <Tooltip />
+                  <Legend />
+                  {timelineKeys.map((key, index) => (
+                    <Bar key={key} dataKey={key} stackId="projects" fill={COLORS[index % COLORS.length]} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </CardContent>
+          </Card>
+
+          <div className="grid gap-4 md:grid-cols-2">
+            <Card>
+              <CardHeader>
+                <CardTitle>Slash Commands</CardTitle>
+                <CardDescription>Built-in and custom commands by use</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {analysis.commands.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No slash commands in this range</p>
+                )}
+                {analysis.commands.slice(0, 15).map(command => (
+                  <div key={command.command} className="space-y-1">
+                    <div className="flex items-center justify-between text-xs">
+                      <span className="font-mono">
+                        {command.command}
+                        {command.kind === 'custom' && (
+                          <span className="ml-2 px-1.5 py-0.5 rounded bg-secondary font-sans">custom</span>
+                        )}
+                      </span>
+                      <span className="text-muted-foreground">
+                        {command.count} uses · {command.projects} projects
+                      </span>
+                    </div>
+                    <div className="w-full bg-secondary rounded-full h-2">
+                      <div
+                        className="bg-primary h-2 rounded-full"
+                        style={{ width: `${(command.count / maxCommandCount) * 100}%` }}
+                      />
+                    </div>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Pasted Content</CardTitle>
+                <CardDescription>
+                  {analysis.totals.textPastes} text pastes ({analysis.totals.pastedLines.toLocaleString()} lines),{' '}
+                  {analysis.totals.imagePastes} images
+                </CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {analysis.pastes.sizeBuckets.map(bucket => (
+                  <div key={bucket.label} className="flex items-center justify-between text-xs">
+                    <span>{bucket.label}</span>
+                    <span className="text-muted-foreground">{bucket.pastes} pastes</span>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Re-used Prompts</CardTitle>
+                <CardDescription>Prompts typed more than once</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-2">
+                {analysis.reusedPrompts.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No repeated prompts</p>
+                )}
+                {analysis.reusedPrompts.map(item => (
+                  <div key={item.prompt} className="flex items-center justify-between gap-4 text-xs">
+                    <span className="truncate" title={item.prompt}>{item.prompt}</span>
+                    <span className="whitespace-nowrap text-muted-foreground">
+                      {item.count}× · {item.projects} projects
+                    </span>
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+
+            <Card>
+              <CardHeader>
+                <CardTitle>Near-duplicate Prompts</CardTitle>
+                <CardDescription>Groups of prompts worded almost the same way</CardDescription>
+              </CardHeader>
+              <CardContent className="space-y-3">
+                {analysis.nearDuplicates.length === 0 && (
+                  <p className="text-sm text-muted-foreground">No near-duplicate prompts</p>
+                )}
+                {analysis.nearDuplicates.map(cluster => (
+                  <div key={cluster.example} className="text-xs space-y-0.5">
+                    <div className="flex items-center justify-between gap-4">
+                      <span className="truncate font-medium" title={cluster.example}>{cluster.example}</span>
+                      <span className="whitespace-nowrap text-muted-foreground">
+                        {cluster.variants} variants · {cluster.uses} uses
+                      </span>
+                    </div>
+                    {cluster.samples.map(sample => (
+                      <p key={sample} className="truncate text-muted-foreground" title={sample}>{sample}</p>
+                    ))}
+                  </div>
+                ))}
+              </CardContent>
+            </Card>
+          </div>
+        </>
+      )}
+
+      {response && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Prompts</CardTitle>
+            <CardDescription>
+              {loading ? 'Loading...' : `${response.total.toLocaleString()} prompts, newest first`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {response.entries.length === 0 && (
+              <p className="text-sm text-muted-foreground">No prompts match these filters</p>
+            )}
+            {response.entries.map((entry, index) => (
+              <div key={`${entry.timestamp}:${index}`} className="p-3 border rounded-lg space-y-1">
+                <div className="flex items-center justify-between gap-4 text-xs text-muted-foreground">
+                  <span className="truncate" title={entry.projectPath || entry.project}>
+                    {entry.project} · {entry.machine}
+                    {entry.command && ` · ${entry.commandKind === 'custom' ? 'custom command' : 'command'}`}
+                    {entry.pastes.length > 0 && ` · ${entry.pastes.length} pasted`}
+                  </span>
+                  <span className="whitespace-nowrap">{formatTimestamp(entry.timestamp)}</span>
+                </div>
+                <p className="text-sm whitespace-pre-wrap break-words">{entry.display}</p>
+              </div>
+            ))}
+
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between pt-2 text-sm">
+                <button
+                  disabled={page <= 1}
+                  onClick={() => onChange({ ...params, page: page - 1 })}
+                  className="px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-muted-foreground">Page {page} of {totalPages}</span>
+                <button
+                  disabled={page >= totalPages}
+                  onClick={() => onChange({ ...params, page: page + 1 })}
+                  className="px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
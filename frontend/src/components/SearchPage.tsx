@@ -0,0 +1,242 @@
+import { useEffect, useState } from 'react';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/components/ui/card';
+import { searchConversations, type AnalyticsSource, type SearchResponse, type SearchResult } from '@/lib/api';
+import type { SearchParams } from '@/lib/router';
+import { useSources } from '@/lib/sources';
+
+const PAGE_SIZE = 20;
+const ROLE_OPTIONS = [
+  { value: '', label: 'Any role' },
+  { value: 'user', label: 'User prompts' },
+  { value: 'assistant', label: 'Assistant' },
+  { value: 'tool_result', label: 'Tool results' },
+  { value: 'system', label: 'System' }
+];
+const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+function HighlightedSnippet({ result }: { result: SearchResult }) {
+  const parts: Array<{ text: string; highlighted: boolean }> = [];
+  let cursor = 0;
+  result.highlights.forEach(([start, end]) => {
+    if (start > cursor) {
+      parts.push({ text: result.snippet.slice(cursor, start), highlighted: false });
+    }
+    parts.push({ text: result.snippet.slice(start, end), highlighted: true });
+    cursor = end;
+  });
+  parts.push({ text: result.snippet.slice(cursor), highlighted: false });
+
+  return (
+    <p className="text-sm break-words">
+      {parts.map((part, index) => part.highlighted
+        ? <mark key={index} className="bg-yellow-200 rounded px-0.5">{part.text}</mark>
+        : <span key={index}>{part.text}</span>)}
+    </p>
+  );
+}
+
+interface SearchPageProps {
+  params: SearchParams;
+  onSearch: (params: SearchParams) => void;
+  onOpenResult: (result: SearchResult) => void;
+  onBack: () => void;
+}
+
+export function SearchPage({ params, onSearch, onOpenResult, onBack }: SearchPageProps) {
+  const [draft, setDraft] = useState<SearchParams>(params);
+  const [response, setResponse] = useState<SearchResponse | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const sources = useSources();
+
+  useEffect(() => {
+    setDraft(params);
+  }, [params]);
+
+  const { q, source, project, role, from, to, page } = params;
+
+  useEffect(() => {
+    if (!q.trim()) {
+      setResponse(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    searchConversations(q, { source, project, role, from, to, page, pageSize: PAGE_SIZE })
+      .then(data => {
+        if (!cancelled) {
+          setResponse(data);
+          setError(null);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Search failed');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [q, source, project, role, from, to, page]);
+
+  const totalPages = response ? Math.max(1, Math.ceil(response.total / response.pageSize)) : 1;
+
+  return (
+    <div className="container mx-auto p-6 space-y-6 text-left">
+      <div className="space-y-2">
+        <button
+          onClick={onBack}
+          className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+        >
+          Back to Summary
+        </button>
+        <h1 className="text-4xl font-bold">Search Conversations</h1>
+        <p className="text-muted-foreground">
+          Use "exact phrases", OR between alternatives, and -term or NOT term to exclude
+        </p>
+      </div>
+
+      <Card>
+        <CardContent className="pt-6">
+          <form
+            className="space-y-3"
+            onSubmit={event => {
+              event.preventDefault();
+              onSearch({ ...draft, page: 1 });
+            }}
+          >
+            <div className="flex gap-2">
+              <input
+                value={draft.q}
+                onChange={event => setDraft({ ...draft, q: event.target.value })}
+                placeholder='e.g. "migration script" postgres -test'
+                className="flex-1 px-3 py-2 border rounded-md text-sm"
+                autoFocus
+              />
+              <button
+                type="submit"
+                className="px-4 py-2 bg-primary text-primary-foreground rounded-md hover:bg-primary/90 text-sm"
+              >
+                Search
+              </button>
+            </div>
+            <div className="flex flex-wrap gap-2 text-sm">
+              <select
+                value={draft.source}
+                onChange={event => setDraft({ ...draft, source: event.target.value as AnalyticsSource })}
+                className="px-2 py-1 border rounded-md"
+              >
+                <option value="all">All sources</option>
+                {sources.map(option => (
+                  <option key={option.name} value={option.name}>{option.label}</option>
+                ))}
+              </select>
+              <select
+                value={draft.role}
+                onChange={event => setDraft({ ...draft, role: event.target.value })}
+                className="px-2 py-1 border rounded-md"
+              >
+                {ROLE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                value={draft.project}
+                onChange={event => setDraft({ ...draft, project: event.target.value })}
+                placeholder="Project"
+                className="px-2 py-1 border rounded-md"
+              />
+              <label className="flex items-center gap-1 text-xs text-muted-foreground">
+                From
+                <input
+                  type="date"
+                  value={draft.from}
+                  onChange={event => setDraft({ ...draft, from: event.target.value })}
+                  className="px-2 py-1 border rounded-md text-sm"
+                />
+              </label>
+              <label className="flex items-center gap-1 text-xs text-muted-foreground">
+                To
+                <input
+                  type="date"
+                  value={draft.to}
+                  onChange={event => setDraft({ ...draft, to: event.target.value })}
+                  className="px-2 py-1 border rounded-md text-sm"
+                />
+              </label>
+            </div>
+          </form>
+        </CardContent>
+      </Card>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {response && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Results</CardTitle>
+            <CardDescription>
+              {loading ? 'Searching...' : `${response.total.toLocaleString()} matching messages`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {response.results.length === 0 && (
+              <p className="text-sm text-muted-foreground">No messages match this query</p>
+            )}
+            {response.results.map(result => (
+              <button
+                key={`${result.platform}:${result.conversationId}:${result.messageIndex}`}
+                onClick={() => onOpenResult(result)}
+                className="w-full text-left p-3 border rounded-lg hover:bg-secondary transition-colors space-y-1"
+              >
+                <div className="flex items-center justify-between gap-4 text-xs text-muted-foreground">
+                  <span className="truncate">
+                    <span className="font-medium text-foreground">{result.title || result.conversationId}</span>
+                    {' · '}{result.platform} · {result.project}
+                    {result.source === 'subagent' && ' · subagent'}
+                  </span>
+                  <span className="whitespace-nowrap">
+                    {result.role} · {result.timestamp ? DATE_FORMATTER.format(new Date(result.timestamp)) : 'Unknown date'}
+                  </span>
+                </div>
+                <HighlightedSnippet result={result} />
+              </button>
+            ))}
+
+            {totalPages > 1 && (
+              <div className="flex items-center justify-between pt-2 text-sm">
+                <button
+                  disabled={page <= 1}
+                  onClick={() => onSearch({ ...params, page: page - 1 })}
+                  className="px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span className="text-muted-foreground">Page {page} of {totalPages}</span>
+                <button
+                  disabled={page >= totalPages}
+                  onClick={() => onSearch({ ...params, page: page + 1 })}
+                  className="px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
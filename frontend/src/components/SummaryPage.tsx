@@ -3,19 +3,16 @@ import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '@/com
 import {
   fetchAnalyticsSummary,
   fetchSourceOverviews,
+  type AnalyticsFilters,
   type AnalyticsSummary,
-  type AnalyticsSource,
+  type SourceName,
   type SourceOverviewResponse
 } from '@/lib/api';
+import { useSources } from '@/lib/sources';
+import { FilterBar } from './FilterBar';
 import { ResponsiveContainer, ComposedChart, CartesianGrid, XAxis, YAxis, Tooltip, Legend, Bar, Line } from 'recharts';
 
 const REFRESH_INTERVAL_MS = 30000;
-const SOURCES: Array<Exclude<AnalyticsSource, 'all'>> = ['claude', 'codex', 'cursor'];
-const SOURCE_DESCRIPTIONS: Record<Exclude<AnalyticsSource, 'all'>, string> = {
-  claude: 'Claude Code local history',
-  codex: 'Codex desktop session logs',
-  cursor: 'Cursor agent transcripts'
-};
 
 const DATE_FORMATTER = new Intl.DateTimeFormat('en-US', { month: 'short', day: 'numeric' });
 
@@ -27,25 +24,34 @@ function formatTimelineDate(dateString: string) {
   return DATE_FORMATTER.format(new Date(Date.UTC(year, month - 1, day)));
 }
 
-function formatSourceName(source: Exclude<AnalyticsSource, 'all'>) {
-  return source.charAt(0).toUpperCase() + source.slice(1);
-}
-
 interface SummaryPageProps {
-  onOpenSource: (source: Exclude<AnalyticsSource, 'all'>) => void;
+  filters: AnalyticsFilters;
+  onFiltersChange: (filters: AnalyticsFilters) => void;
+  onOpenSource: (source: SourceName) => void;
+  onOpenConversations: () => void;
+  onOpenSearch: () => void;
+  onOpenHistory: () => void;
 }
 
-export function SummaryPage({ onOpenSource }: SummaryPageProps) {
+export function SummaryPage({
+  filters,
+  onFiltersChange,
+  onOpenSource,
+  onOpenConversations,
+  onOpenSearch,
+  onOpenHistory
+}: SummaryPageProps) {
   const [allSummary, setAllSummary] = useState<AnalyticsSummary | null>(null);
   const [sourceOverviews, setSourceOverviews] = useState<SourceOverviewResponse | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
+  const sources = useSources();
 
   useEffect(() => {
     loadSummary();
     const intervalId = window.setInterval(() => loadSummary(false), REFRESH_INTERVAL_MS);
     return () => window.clearInterval(intervalId);
-  }, []);
+  }, [filters]);
 
   async function loadSummary(showLoadingState = true) {
     try {
@@ -54,8 +60,8 @@ export function SummaryPage({ onOpenSource }: SummaryPageProps) {
       }
 
       const [summaryData, overviewsData] = await Promise.all([
-        fetchAnalyticsSummary('all'),
-        fetchSourceOverviews()
+        fetchAnalyticsSummary('all', filters),
+        fetchSourceOverviews(filters)
       ]);
 
       setAllSummary(summaryData);
@@ -112,8 +118,35 @@ export function SummaryPage({ onOpenSource }: SummaryPageProps) {
       <div className="space-y-2">
         <h1 className="text-4xl font-bold">AI Coding Assistant Analytics</h1>
         <p className="text-muted-foreground">Cross-tool summary before diving into source-specific details</p>
+        <div className="flex gap-2">
+          <button
+            onClick={onOpenConversations}
+            className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+          >
+            Browse Conversations
+          </button>
+          <button
+            onClick={onOpenSearch}
+            className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+          >
+            Search
+          </button>
+          <button
+            onClick={onOpenHistory}
+            className="text-sm px-3 py-1.5 border rounded-md hover:bg-secondary transition-colors"
+          >
+            Prompt History
+          </button>
+        </div>
       </div>
 
+      <FilterBar
+        filters={filters}
+        onChange={onFiltersChange}
+        projectOptions={Object.keys(allSummary.projectActivity)}
+        modelOptions={Object.keys(allSummary.usage.byModel)}
+      />
+
       <div className="grid gap-4 md:grid-cols-2 lg:grid-cols-4">
         <Card>
           <CardHeader className="pb-2">
@@ -163,7 +196,7 @@ export function SummaryPage({ onOpenSource }: SummaryPageProps) {
       <Card>
         <CardHeader>
           <CardTitle>Combined Timeline</CardTitle>
-          <CardDescription>Daily progression across Claude, Codex, and Cursor</CardDescription>
+          <CardDescription>Daily progression across {sources.map(source => source.label).join(', ') || 'all sources'}</CardDescription>
         </CardHeader>
         <CardContent>
           <ResponsiveContainer width="100%" height={320}>
@@ -183,29 +216,39 @@ export function SummaryPage({ onOpenSource }: SummaryPageProps) {
       </Card>
 
       <div className="grid gap-4 md:grid-cols-3">
-        {SOURCES.map(source => {
-          const data = sourceOverviews.sources[source];
+        {sources.map(source => {
+          const data = sourceOverviews.sources[source.name];
           return (
-            <Card key={source}>
+            <Card key={source.name}>
               <CardHeader>
-                <CardTitle>{formatSourceName(source)}</CardTitle>
-                <CardDescription>{SOURCE_DESCRIPTIONS[source]}</CardDescription>
+                <CardTitle>{source.label}</CardTitle>
+                <CardDescription>{source.description}</CardDescription>
               </CardHeader>
               <CardContent className="space-y-3">
                 <div>
-                  <p className="text-2xl font-bold">{data.overview?.totalConversations ?? 0}</p>
+                  <p className="text-2xl font-bold">{data?.overview?.totalConversations ?? 0}</p>
                   <p className="text-xs text-muted-foreground">Conversation files</p>
                 </div>
                 <div className="text-sm text-muted-foreground">
-                  {data.firstDay && data.lastDay
+                  {data?.firstDay && data.lastDay
                     ? `${data.firstDay} to ${data.lastDay}`
                     : 'No timeline data yet'}
                 </div>
+                <div className="space-y-1 text-xs text-muted-foreground">
+                  {source.roots.map(root => (
+                    <p key={root.path} className="truncate" title={root.path}>
+                      {root.machine} · {root.path}
+                    </p>
+                  ))}
+                  {source.duplicatesSkipped > 0 && (
+                    <p>{source.duplicatesSkipped} duplicate sessions skipped</p>
+                  )}
+                </div>
                 <button
-                  onClick={() => onOpenSource(source)}
+                  onClick={() => onOpenSource(source.name)}
                   className="w-full px-3 py-2 rounded-md border hover:bg-secondary transition-colors text-sm"
                 >
-                  Open {formatSourceName(source)} Details
+                  Open {source.label} Details
                 </button>
               </CardContent>
             </Card>
@@ -0,0 +1,120 @@
+import { useEffect, useState } from 'react';
+import {
+  fetchConversationTodos,
+  type AgentTodos,
+  type ConversationTodos,
+  type TodoOutcome
+} from '@/lib/api';
+import { formatDuration } from '@/lib/utils';
+
+const OUTCOME_LABELS: Record<TodoOutcome, { label: string; className: string }> = {
+  completed: { label: 'done', className: 'text-green-700' },
+  in_progress: { label: 'in progress', className: 'text-amber-600' },
+  pending: { label: 'pending', className: 'text-muted-foreground' },
+  dropped: { label: 'dropped', className: 'text-red-600' }
+};
+
+function scrollToMessage(conversationId: string, messageIndex: number) {
+  document
+    .getElementById(`message-${conversationId}-${messageIndex}`)
+    ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+}
+
+function AgentTodoList({ agent }: { agent: AgentTodos }) {
+  const { totals } = agent;
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-xs">
+        <span className="font-medium">
+          {agent.source === 'subagent' ? `Subagent ${agent.agentId || agent.conversationId}` : 'Main agent'}
+        </span>
+        <span className="text-muted-foreground">
+          {totals.completed} of {totals.items} done · {totals.plans} {totals.plans === 1 ? 'plan' : 'plans'}
+          {totals.medianTimeToCompleteMs !== null && ` · median ${formatDuration(totals.medianTimeToCompleteMs)} to complete`}
+        </span>
+      </div>
+
+      {agent.snapshots.some(snapshot => snapshot.messageIndex !== null) && (
+        <div className="flex flex-wrap gap-1">
+          {agent.snapshots.map((snapshot, index) => (
+            <button
+              key={index}
+              type="button"
+              disabled={snapshot.messageIndex === null}
+              onClick={() => snapshot.messageIndex !== null && scrollToMessage(agent.conversationId, snapshot.messageIndex)}
+              title="Jump to this TodoWrite call"
+              className="px-1.5 py-0.5 border rounded text-xs enabled:hover:bg-secondary transition-colors"
+            >
+              {snapshot.counts.completed}/{snapshot.counts.total}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <ul className="space-y-1">
+        {agent.items.map((item, index) => (
+          <li key={index} className="flex items-center justify-between gap-4 text-xs">
+            <span className={`truncate ${item.outcome === 'dropped' ? 'line-through' : ''}`} title={item.content}>
+              {item.content}
+            </span>
+            <span className="whitespace-nowrap">
+              <span className={OUTCOME_LABELS[item.outcome].className}>{OUTCOME_LABELS[item.outcome].label}</span>
+              {item.timeToCompleteMs !== null && (
+                <span className="text-muted-foreground"> · {formatDuration(item.timeToCompleteMs)}</span>
+              )}
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {agent.file && (
+        <p className="text-xs text-muted-foreground">
+          Todo file {agent.file.file} · {agent.file.machine}
+        </p>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Todo lists kept by a session's agents, with each TodoWrite state and the
+ * outcome of every item. Renders nothing when no agent kept todos.
+ */
+export function TodoPanel({ conversationId }: { conversationId: string }) {
+  const [todos, setTodos] = useState<ConversationTodos | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTodos(null);
+    setError(null);
+    fetchConversationTodos(conversationId)
+      .then(data => {
+        if (!cancelled) {
+          setTodos(data);
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          setError(err instanceof Error ? err.message : 'Failed to load todos');
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [conversationId]);
+
+  if (error) {
+    return <p className="text-xs text-red-600">{error}</p>;
+  }
+  if (!todos || todos.agents.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="border rounded-lg p-3 space-y-3">
+      <p className="text-sm font-medium">Todos</p>
+      {todos.agents.map(agent => <AgentTodoList key={agent.conversationId} agent={agent} />)}
+    </div>
+  );
+}
@@ -0,0 +1,293 @@
+import { useEffect, useState } from 'react';
+import {
+  fetchConversation,
+  type ConversationDetail,
+  type ConversationListItem,
+  type SubagentTreeNode,
+  type TranscriptContentBlock,
+  type TranscriptMessage
+} from '@/lib/api';
+import { formatDuration } from '@/lib/utils';
+
+const MESSAGE_PAGE_SIZE = 200;
+const TIMESTAMP_FORMATTER = new Intl.DateTimeFormat('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+function formatTimestamp(timestamp?: string) {
+  if (!timestamp) {
+    return '';
+  }
+  const date = new Date(timestamp);
+  return Number.isNaN(date.getTime()) ? timestamp : TIMESTAMP_FORMATTER.format(date);
+}
+
+function formatJSON(value: unknown) {
+  if (typeof value === 'string') {
+    return value;
+  }
+  try {
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+}
+
+function getMessageBlocks(msg: TranscriptMessage): TranscriptContentBlock[] {
+  const content = msg.message?.content;
+  if (typeof content === 'string') {
+    return content.trim() ? [{ type: 'text', text: content }] : [];
+  }
+  if (Array.isArray(content)) {
+    return content.filter(item => item && typeof item === 'object');
+  }
+  if (msg.type === 'summary' && msg.summary) {
+    return [{ type: 'text', text: msg.summary }];
+  }
+  if (msg.subtype === 'compact_boundary') {
+    const { trigger, preTokens } = msg.compactMetadata || {};
+    const details = [trigger, preTokens ? `${preTokens.toLocaleString()} tokens` : null].filter(Boolean).join(', ');
+    return [{ type: 'text', text: `${msg.content || 'Conversation compacted'}${details ? ` (${details})` : ''}` }];
+  }
+  return [];
+}
+
+function getToolResultText(block: TranscriptContentBlock) {
+  if (typeof block.content === 'string') {
+    return block.content;
+  }
+  if (Array.isArray(block.content)) {
+    return block.content
+      .map(item => item.type === 'text' ? item.text || '' : `[${item.type}]`)
+      .join('\n');
+  }
+  return '';
+}
+
+function getRoleLabel(msg: TranscriptMessage, blocks: TranscriptContentBlock[]) {
+  if (msg.type === 'user' && blocks.length > 0 && blocks.every(block => block.type === 'tool_result')) {
+    return { label: 'Tool Result', className: 'border-slate-300 bg-slate-50' };
+  }
+  if (msg.type === 'user' && msg.isCompactSummary) {
+    return { label: 'Compaction Summary', className: 'border-amber-300 bg-amber-50' };
+  }
+  if (msg.type === 'user') {
+    return { label: msg.isMeta ? 'User (meta)' : 'User', className: 'border-blue-300 bg-blue-50' };
+  }
+  if (msg.type === 'assistant') {
+    return { label: 'Assistant', className: 'border-violet-300 bg-white' };
+  }
+  if (msg.subtype === 'compact_boundary') {
+    return { label: 'Compaction', className: 'border-amber-300 bg-amber-50' };
+  }
+  return { label: msg.type, className: 'border-dashed bg-secondary/40' };
+}
+
+function ContentBlock({ block }: { block: TranscriptContentBlock }) {
+  if (block.type === 'text') {
+    return <p className="text-sm whitespace-pre-wrap break-words">{block.text}</p>;
+  }
+
+  if (block.type === 'thinking') {
+    return (
+      <details className="text-xs">
+        <summary className="cursor-pointer text-muted-foreground">Thinking</summary>
+        <p className="mt-1 whitespace-pre-wrap break-words italic text-muted-foreground">{block.thinking}</p>
+      </details>
+    );
+  }
+
+  if (block.type === 'tool_use') {
+    return (
+      <details className="text-xs border rounded-md bg-secondary/50">
+        <summary className="cursor-pointer px-2 py-1 font-mono">
+          🔧 {block.name}
+        </summary>
+        <pre className="px-2 py-1 overflow-x-auto whitespace-pre-wrap break-words">{formatJSON(block.input)}</pre>
+      </details>
+    );
+  }
+
+  if (block.type === 'tool_result') {
+    const text = getToolResultText(block);
+    return (
+      <details className={`text-xs border rounded-md ${block.is_error ? 'border-red-300 bg-red-50' : 'bg-secondary/30'}`}>
+        <summary className="cursor-pointer px-2 py-1 font-mono">
+          {block.is_error ? '✗ Error' : '✓ Result'}
+          <span className="text-muted-foreground"> · {text.split('\n')[0].substring(0, 80)}</span>
+        </summary>
+        <pre className="px-2 py-1 max-h-80 overflow-auto whitespace-pre-wrap break-words">{text}</pre>
+      </details>
+    );
+  }
+
+  return <p className="text-xs text-muted-foreground font-mono">[{block.type}]</p>;
+}
+
+function SubagentRun({ subagent }: { subagent: ConversationListItem }) {
+  const [open, setOpen] = useState(false);
+  const [detail, setDetail] = useState<ConversationDetail | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!open || detail) {
+      return;
+    }
+    fetchConversation(subagent.conversationId)
+      .then(setDetail)
+      .catch(err => setError(err instanceof Error ? err.message : 'Failed to load subagent run'));
+  }, [open, detail, subagent.conversationId]);
+
+  return (
+    <details
+      className="border rounded-lg border-cyan-300"
+      onToggle={event => setOpen((event.target as HTMLDetailsElement).open)}
+    >
+      <summary className="cursor-pointer px-3 py-2 text-sm">
+        <span className="font-medium">Subagent</span>
+        <span className="text-muted-foreground"> · {subagent.title || subagent.conversationId} · {subagent.messageCount} messages</span>
+      </summary>
+      <div className="px-3 pb-3">
+        {error && <p className="text-xs text-red-600">{error}</p>}
+        {!detail && !error && <p className="text-xs text-muted-foreground">Loading...</p>}
+        {detail && <TranscriptView conversation={detail} />}
+      </div>
+    </details>
+  );
+}
+
+const SUBAGENT_STATUS_CLASSES: Record<string, string> = {
+  completed: 'text-green-700',
+  failed: 'text-red-600',
+  running: 'text-amber-600'
+};
+
+function SubagentTreeItem({ node }: { node: SubagentTreeNode }) {
+  const spawnedBy = node.spawnedBy;
+  return (
+    <li className="space-y-1">
+      <button
+        type="button"
+        disabled={!spawnedBy}
+        onClick={() => spawnedBy && document
+          .getElementById(`message-${spawnedBy.conversationId}-${spawnedBy.messageIndex}`)
+          ?.scrollIntoView({ behavior: 'smooth', block: 'center' })}
+        title={spawnedBy ? 'Jump to the Task call that spawned this run' : 'No matching Task call found'}
+        className="w-full flex items-center justify-between gap-4 text-xs text-left p-1 rounded enabled:hover:bg-secondary transition-colors"
+      >
+        <span className="truncate">
+          <span className="font-medium">{node.subagentType || 'subagent'}</span>
+          <span className="text-muted-foreground"> · {node.description || node.agentId || node.conversationId}</span>
+          {node.status && <span className={SUBAGENT_STATUS_CLASSES[node.status]}> · {node.status}</span>}
+        </span>
+        <span className="text-muted-foreground whitespace-nowrap">
+          {formatDuration(node.durationMs)} · {node.toolCalls} tool calls · {node.totalTokens.toLocaleString()} tokens
+        </span>
+      </button>
+      {node.children.length > 0 && (
+        <ul className="pl-4 border-l space-y-1">
+          {node.children.map(child => <SubagentTreeItem key={child.conversationId} node={child} />)}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+function SubagentTree({ tree }: { tree: SubagentTreeNode }) {
+  const delegatedTokens = tree.subtreeTokens - tree.totalTokens;
+  const delegatedToolCalls = tree.subtreeToolCalls - tree.toolCalls;
+  const share = (part: number, total: number) => (total > 0 ? Math.round((part / total) * 100) : 0);
+
+  return (
+    <div className="border rounded-lg p-3 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="font-medium">Subagent Tree</span>
+        <span className="text-xs text-muted-foreground">
+          {share(delegatedTokens, tree.subtreeTokens)}% of tokens and {share(delegatedToolCalls, tree.subtreeToolCalls)}% of tool calls delegated
+        </span>
+      </div>
+      <ul className="space-y-1">
+        {tree.children.map(child => <SubagentTreeItem key={child.conversationId} node={child} />)}
+      </ul>
+    </div>
+  );
+}
+
+interface TranscriptViewProps {
+  conversation: ConversationDetail;
+  focusMessageIndex?: number;
+}
+
+export function TranscriptView({ conversation, focusMessageIndex }: TranscriptViewProps) {
+  const renderedMessages = conversation.messages
+    .map((msg, index) => ({ msg, index, blocks: getMessageBlocks(msg) }))
+    .filter(item => item.blocks.length > 0);
+  const focusPosition = focusMessageIndex === undefined
+    ? -1
+    : renderedMessages.findIndex(item => item.index === focusMessageIndex);
+  const [visibleCount, setVisibleCount] = useState(
+    Math.max(MESSAGE_PAGE_SIZE, focusPosition + MESSAGE_PAGE_SIZE / 2)
+  );
+  const visibleMessages = renderedMessages.slice(0, visibleCount);
+
+  useEffect(() => {
+    if (focusMessageIndex === undefined) {
+      return;
+    }
+    document
+      .getElementById(`message-${conversation.conversationId}-${focusMessageIndex}`)
+      ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [conversation.conversationId, focusMessageIndex]);
+
+  return (
+    <div className="space-y-3">
+      {conversation.subagentTree && <SubagentTree tree={conversation.subagentTree} />}
+
+      {visibleMessages.map(({ msg, index, blocks }) => {
+        const role = getRoleLabel(msg, blocks);
+        return (
+          <div
+            key={msg.uuid || index}
+            id={`message-${conversation.conversationId}-${index}`}
+            className={`border-l-4 rounded-md p-3 space-y-2 ${role.className} ${
+              index === focusMessageIndex ? 'ring-2 ring-yellow-400' : ''
+            }`}
+          >
+            <div className="flex items-center justify-between text-xs text-muted-foreground">
+              <span className="font-medium text-foreground">
+                {role.label}
+                {msg.message?.model && <span className="font-normal text-muted-foreground"> · {msg.message.model}</span>}
+              </span>
+              <span>{formatTimestamp(msg.timestamp)}</span>
+            </div>
+            {blocks.map((block, blockIndex) => (
+              <ContentBlock key={block.id || blockIndex} block={block} />
+            ))}
+          </div>
+        );
+      })}
+
+      {renderedMessages.length > visibleCount && (
+        <button
+          onClick={() => setVisibleCount(count => count + MESSAGE_PAGE_SIZE)}
+          className="w-full px-3 py-2 rounded-md border hover:bg-secondary transition-colors text-sm"
+        >
+          Show more messages ({renderedMessages.length - visibleCount} remaining)
+        </button>
+      )}
+
+      {conversation.subagents.length > 0 && (
+        <div className="space-y-2 pt-2">
+          <p className="text-sm font-medium">Subagent Runs ({conversation.subagents.length})</p>
+          {conversation.subagents.map(subagent => (
+            <SubagentRun key={subagent.conversationId} subagent={subagent} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,631 @@
 const API_BASE_URL = 'http://localhost:3001/api';
-export type AnalyticsSource = 'all' | 'claude' | 'codex' | 'cursor';
+/** Name of a source registered on the server, as listed by fetchSources */
+export type SourceName = string;
+export type AnalyticsSource = 'all' | SourceName;
+
+export type SubagentMode = 'include' | 'exclude' | 'only';
+
+export type ThreadMode = 'all' | 'main';
+
+export interface AnalyticsFilters {
+  from?: string;
+  to?: string;
+  project?: string;
+  /** Machine label of the data root conversations were read from */
+  machine?: string;
+  model?: string;
+  subagent?: SubagentMode;
+  /** `main` drops records on abandoned branches of the message tree */
+  thread?: ThreadMode;
+  /** IANA timezone used for day and hour buckets; the server default when unset */
+  tz?: string;
+}
+
+function buildQueryString(params: Record<string, string | number | undefined>) {
+  const searchParams = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== '') {
+      searchParams.set(key, String(value));
+    }
+  });
+  const query = searchParams.toString();
+  return query ? `?${query}` : '';
+}
+
+export interface TokenUsageTotals {
+  requests: number;
+  inputTokens: number;
+  outputTokens: number;
+  cacheCreationTokens: number;
+  cacheReadTokens: number;
+  totalTokens: number;
+  estimatedCost: number;
+}
+
+export interface TokenUsage {
+  currency: string;
+  totals: TokenUsageTotals;
+  byModel: Record<string, TokenUsageTotals>;
+  byProject: Record<string, TokenUsageTotals>;
+  byDay: Array<TokenUsageTotals & { date: string }>;
+  byConversation: Array<TokenUsageTotals & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+  }>;
+  unpricedModels: string[];
+}
+
+export interface ToolCallCounts {
+  calls: number;
+  completed: number;
+  errors: number;
+  successes: number;
+  unknown: number;
+  errorRate: number;
+  successRate: number;
+}
+
+export interface ToolErrorAnalysis {
+  totals: ToolCallCounts;
+  byTool: Record<string, ToolCallCounts>;
+  byProject: Record<string, ToolCallCounts>;
+  byDay: Array<ToolCallCounts & { date: string }>;
+  trend: {
+    windowDays: number;
+    currentErrorRate: number | null;
+    previousErrorRate: number | null;
+    change: number | null;
+  } | null;
+  topErrors: Array<{
+    message: string;
+    count: number;
+    tools: Record<string, number>;
+    lastSeen: string | null;
+  }>;
+}
+
+export interface LatencyStats {
+  calls: number;
+  totalDurationMs: number;
+  avgMs: number;
+  p50: number;
+  p90: number;
+  p99: number;
+  maxMs: number;
+}
+
+export interface ToolLatencyAnalysis {
+  totals: LatencyStats;
+  byTool: Record<string, LatencyStats>;
+  byProject: Record<string, LatencyStats>;
+  byCommand: Record<string, LatencyStats>;
+  byDay: Array<LatencyStats & { date: string }>;
+  slowestCalls: Array<{
+    conversationId: string;
+    platform: string;
+    project: string;
+    tool: string;
+    command: string | null;
+    durationMs: number;
+    timestamp: string;
+    messageIndex: number;
+    isError: boolean;
+  }>;
+}
+
+export interface CommandCounts {
+  count: number;
+  completed: number;
+  failed: number;
+  failureRate: number;
+}
+
+export interface BashCommandAnalysis {
+  totals: CommandCounts & { uniquePrograms: number };
+  byCategory: Record<string, CommandCounts>;
+  byProgram: Record<string, CommandCounts & { subcommands: Record<string, number> }>;
+  topCommands: Array<CommandCounts & { command: string; category: string }>;
+  byProject: Record<string, CommandCounts & {
+    categories: Record<string, number>;
+    topCommands: Array<{ command: string; count: number }>;
+  }>;
+  exitCodes: Record<string, number>;
+  recentFailures: Array<{
+    conversationId: string;
+    platform: string;
+    project: string;
+    command: string;
+    category: string;
+    exitCode: number | null;
+    timestamp: string;
+    messageIndex: number;
+  }>;
+}
+
+export interface FileActivityStats {
+  project: string;
+  path: string;
+  reads: number;
+  edits: number;
+  writes: number;
+  searches: number;
+  failedEdits: number;
+  total: number;
+  sessionCount: number;
+  editSessionCount: number;
+}
+
+// A type alias rather than an interface so it can be passed to recharts' Treemap
+export type FileTreeNode = {
+  name: string;
+  path: string;
+  value: number;
+  reads?: number;
+  edits?: number;
+  writes?: number;
+  children?: FileTreeNode[];
+};
+
+export interface FileActivityAnalysis {
+  totals: {
+    files: number;
+    directories: number;
+    reads: number;
+    edits: number;
+    writes: number;
+    searches: number;
+  };
+  files: FileActivityStats[];
+  directories: FileActivityStats[];
+  hotFiles: FileActivityStats[];
+  readOnlyFiles: FileActivityStats[];
+  failedEditFiles: FileActivityStats[];
+  tree: FileTreeNode;
+}
+
+export interface CodeChurn {
+  linesAdded: number;
+  linesRemoved: number;
+  netLines: number;
+  fileEdits: number;
+}
+
+export interface CodeChurnAnalysis {
+  totals: CodeChurn & { filesChanged: number };
+  byProject: Record<string, CodeChurn>;
+  byLanguage: Record<string, CodeChurn>;
+  byDay: Array<CodeChurn & { date: string }>;
+  byConversation: Array<CodeChurn & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+  }>;
+}
+
+export interface ActiveTime {
+  wallClockMs: number;
+  activeMs: number;
+  waitOnUserMs: number;
+  waitOnModelMs: number;
+  idleMs: number;
+  segments: number;
+}
+
+export interface ActiveTimeAnalysis {
+  idleGapMs: number;
+  totals: ActiveTime;
+  byProject: Record<string, ActiveTime>;
+  byDay: Array<{ date: string; activeMs: number; waitOnUserMs: number; waitOnModelMs: number }>;
+  byConversation: Array<ActiveTime & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+    segmentList: Array<{ start: string; end: string; activeMs: number; messageCount: number }>;
+  }>;
+}
+
+export type ActivityHeatmapMetric = 'sessions' | 'prompts' | 'toolUses' | 'tokens';
+
+export type ActivityHeatmapCell = Record<ActivityHeatmapMetric, number> & {
+  weekday: number;
+  hour: number;
+};
+
+export interface ActivityHeatmap {
+  timeZone: string;
+  weekdays: string[];
+  cells: ActivityHeatmapCell[];
+  totals: Record<ActivityHeatmapMetric, number>;
+  max: Record<ActivityHeatmapMetric, number>;
+}
+
+export interface ModelStats {
+  conversations: number;
+  primaryConversations: number;
+  turns: number;
+  prompts: number;
+  toolCalls: number;
+  completedToolCalls: number;
+  toolErrors: number;
+  totalTokens: number;
+  outputTokens: number;
+  turnsPerConversation: number;
+  turnsPerPrompt: number;
+  toolCallsPerTurn: number;
+  toolErrorRate: number;
+  tokensPerTurn: number;
+}
+
+export interface ModelSwitch {
+  conversationId: string;
+  project: string;
+  platform: string;
+  source: string;
+  from: string;
+  to: string;
+  timestamp: string;
+  messageIndex: number;
+}
+
+export interface ModelAnalysis {
+  totals: {
+    models: number;
+    switches: number;
+    conversationsWithSwitches: number;
+  };
+  byModel: Record<string, ModelStats>;
+  byDay: Array<{ date: string; turns: Record<string, number>; tokens: Record<string, number> }>;
+  transitions: Array<{ from: string; to: string; count: number }>;
+  recentSwitches: ModelSwitch[];
+}
+
+export interface SubagentTreeNode {
+  conversationId: string;
+  agentId: string | null;
+  source: string;
+  subagentType: string | null;
+  description: string | null;
+  toolUseId: string | null;
+  spawnedBy: { conversationId: string; messageIndex: number } | null;
+  status: 'completed' | 'failed' | 'running' | null;
+  depth: number;
+  startedAt: string | null;
+  endedAt: string | null;
+  durationMs: number;
+  messageCount: number;
+  toolCalls: number;
+  totalTokens: number;
+  subtreeToolCalls: number;
+  subtreeTokens: number;
+  children: SubagentTreeNode[];
+}
+
+export interface SubagentTypeStats {
+  runs: number;
+  failedRuns: number;
+  totalDurationMs: number;
+  totalTokens: number;
+  toolCalls: number;
+  avgDurationMs: number;
+  avgTokens: number;
+  failureRate: number;
+}
+
+export interface SubagentAnalysis {
+  totals: {
+    sessions: number;
+    sessionsWithSubagents: number;
+    subagentRuns: number;
+    taskCalls: number;
+    linkedRuns: number;
+    unlinkedRuns: number;
+    failedRuns: number;
+    maxDepth: number;
+    maxFanOut: number;
+    avgFanOut: number;
+    subagentDurationMs: number;
+    avgDurationMs: number;
+    subagentTokens: number;
+    totalTokens: number;
+    subagentToolCalls: number;
+    totalToolCalls: number;
+    delegatedTokenShare: number;
+    delegatedToolCallShare: number;
+  };
+  byType: Record<string, SubagentTypeStats>;
+  byDepth: Array<{ depth: number; runs: number }>;
+  sessions: Array<{
+    conversationId: string;
+    project: string;
+    platform: string;
+    subagentRuns: number;
+    maxDepth: number;
+    maxFanOut: number;
+    totalTokens: number;
+    subagentTokens: number;
+    delegatedTokenShare: number;
+    delegatedToolCallShare: number;
+  }>;
+}
+
+export interface ThreadStats {
+  conversations: number;
+  branchedConversations: number;
+  branchPoints: number;
+  abandonedBranches: number;
+  retries: number;
+  rewinds: number;
+  abandonedMessages: number;
+  sidechainMessages: number;
+  mainPathMessages: number;
+  abandonedShare: number;
+}
+
+export interface ThreadBranch {
+  branchPointIndex: number | null;
+  messageIndex: number;
+  kind: 'retry' | 'rewind' | 'other';
+  messageCount: number;
+  timestamp: string | null;
+}
+
+export interface ThreadAnalysis {
+  totals: ThreadStats;
+  byProject: Record<string, ThreadStats>;
+  byConversation: Array<ThreadStats & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+    branches: ThreadBranch[];
+  }>;
+}
+
+export interface CompactionPhaseStats {
+  sessions: number;
+  turns: number;
+  prompts: number;
+  toolCalls: number;
+  completedToolCalls: number;
+  toolErrors: number;
+  turnsPerPrompt: number;
+  toolCallsPerTurn: number;
+  toolErrorRate: number;
+}
+
+export interface CompactionEvent {
+  messageIndex: number;
+  timestamp: string | null;
+  trigger: 'auto' | 'manual' | 'unknown';
+  preTokens: number | null;
+  turn: number;
+  segmentTurns: number;
+}
+
+export interface CompactionAnalysis {
+  totals: {
+    sessions: number;
+    compactedSessions: number;
+    compactions: number;
+    autoCompactions: number;
+    manualCompactions: number;
+    summaryRecords: number;
+    sessionsWithSummaries: number;
+    compactionRate: number;
+    avgCompactionsPerCompactedSession: number;
+    medianPreTokens: number;
+    medianTurnsBeforeCompaction: number;
+  };
+  depthBuckets: Array<{ label: string; compactions: number }>;
+  phases: {
+    beforeCompaction: CompactionPhaseStats;
+    afterCompaction: CompactionPhaseStats;
+    uncompacted: CompactionPhaseStats;
+  };
+  byProject: Record<string, {
+    sessions: number;
+    compactedSessions: number;
+    compactions: number;
+    compactionRate: number;
+  }>;
+  sessions: Array<{
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+    compactions: number;
+    autoCompactions: number;
+    turns: number;
+    firstCompactionTurn: number;
+    avgPreTokens: number;
+    events: CompactionEvent[];
+  }>;
+}
+
+export type FrictionKind = 'interruption' | 'rejection' | 'permissionDenial';
+
+export interface FrictionCounts {
+  interruption: number;
+  rejection: number;
+  permissionDenial: number;
+  total: number;
+}
+
+export interface FrictionEvent {
+  kind: FrictionKind;
+  tool: string | null;
+  messageIndex: number;
+  timestamp: string | null;
+}
+
+export interface FrictionAnalysis {
+  totals: FrictionCounts & {
+    sessions: number;
+    sessionsWithFriction: number;
+    prompts: number;
+    toolCalls: number;
+    interruptedTextResponses: number;
+    eventsPerHundredPrompts: number;
+    rejectionRate: number;
+  };
+  byTool: Record<string, FrictionCounts & { calls: number; frictionRate: number }>;
+  byProject: Record<string, FrictionCounts & {
+    sessions: number;
+    sessionsWithFriction: number;
+    prompts: number;
+    eventsPerHundredPrompts: number;
+  }>;
+  byDay: Array<FrictionCounts & { date: string }>;
+  sessions: Array<FrictionCounts & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+    prompts: number;
+    events: FrictionEvent[];
+  }>;
+}
+
+export type TodoStatus = 'pending' | 'in_progress' | 'completed';
+export type TodoOutcome = TodoStatus | 'dropped';
+
+export interface Todo {
+  id?: string;
+  content: string;
+  status: TodoStatus;
+  activeForm?: string;
+}
+
+export interface TodoCounts {
+  pending: number;
+  in_progress: number;
+  completed: number;
+  total: number;
+}
+
+export interface TodoSnapshot {
+  messageIndex: number | null;
+  timestamp: string | null;
+  todos: Todo[];
+  counts: TodoCounts;
+}
+
+export interface TodoItem {
+  content: string;
+  activeForm: string | null;
+  plan: number;
+  outcome: TodoOutcome;
+  firstSeenAt: string | null;
+  startedAt: string | null;
+  completedAt: string | null;
+  timeToCompleteMs: number | null;
+}
+
+export interface TodoPlan {
+  index: number;
+  startedAt: string | null;
+  endedAt: string | null;
+  writes: number;
+  items: number;
+  completed: number;
+}
+
+export interface TodoTotals {
+  plans: number;
+  items: number;
+  completed: number;
+  pending: number;
+  in_progress: number;
+  dropped: number;
+  abandoned: number;
+  completionRate: number;
+  avgItemsPerPlan: number;
+  avgTimeToCompleteMs: number | null;
+  medianTimeToCompleteMs: number | null;
+}
+
+export interface AgentTodos {
+  conversationId: string;
+  source: string;
+  agentId: string | null;
+  file: {
+    file: string;
+    machine: string;
+    modifiedAt: string;
+    todos: Todo[];
+  } | null;
+  todoWrites: number;
+  snapshots: TodoSnapshot[];
+  items: TodoItem[];
+  plans: TodoPlan[];
+  totals: TodoTotals;
+}
+
+export interface ConversationTodos {
+  conversationId: string;
+  agents: AgentTodos[];
+}
+
+export interface TodoAnalysis {
+  totals: TodoTotals & {
+    conversations: number;
+    conversationsWithTodos: number;
+    fullyCompleted: number;
+    todoWrites: number;
+    todoFiles: number;
+    unlinkedFiles: number;
+  };
+  byProject: Record<string, TodoTotals & { conversations: number }>;
+  byDay: Array<{ date: string; created: number; completed: number }>;
+  sessions: Array<TodoTotals & {
+    conversationId: string;
+    project: string;
+    platform: string;
+    source: string;
+    todoWrites: number;
+    openItems: Array<{ content: string; outcome: TodoOutcome }>;
+  }>;
+}
+
+export interface TaskLabel {
+  category: string;
+  confidence: number;
+  signals: string[];
+  classifiers: string[];
+}
+
+export interface TaskClassification {
+  categories: Array<{ id: string; label: string }>;
+  classifiers: string[];
+  totals: {
+    sessions: number;
+    classified: number;
+    multiLabel: number;
+    lowConfidence: number;
+    avgConfidence: number;
+  };
+  byCategory: Record<string, {
+    label: string;
+    sessions: number;
+    labelled: number;
+    share: number;
+    avgConfidence: number;
+  }>;
+  byProject: Record<string, { sessions: number; categories: Record<string, number> }>;
+  byDay: Array<{ date: string } & Record<string, number | string>>;
+  sessions: Array<{
+    conversationId: string;
+    project: string;
+    platform: string;
+    timestamp: string | null;
+    prompt: string;
+    labels: TaskLabel[];
+  }>;
+}
 
 export interface AnalyticsSummary {
   overview: {
@@ -8,6 +634,9 @@ export interface AnalyticsSummary {
     totalSubagentRuns: number;
     totalMessages: number;
     totalToolUses: number;
+    totalLinesAdded: number;
+    totalLinesRemoved: number;
+    totalActiveTime: number;
     avgMessagesPerConversation: number;
     totalProjects: number;
   };
@@ -16,9 +645,13 @@ export interface AnalyticsSummary {
     byProject: Record<string, Record<string, number>>;
   };
   taskPatterns: Record<string, number>;
+  taskClassification: TaskClassification;
   projectActivity: Record<string, {
     conversationCount: number;
     messageCount: number;
+    activeTimeMs: number;
+    waitOnUserMs: number;
+    waitOnModelMs: number;
     firstActivity?: string;
     lastActivity?: string;
   }>;
@@ -31,12 +664,19 @@ export interface AnalyticsSummary {
       chatMessages: number;
       totalEvents: number;
       toolUses: number;
+      linesAdded: number;
+      linesRemoved: number;
+      activeMs: number;
+      waitOnUserMs: number;
+      waitOnModelMs: number;
       cumulativeConversations: number;
       cumulativeSessions: number;
       cumulativeSubagentRuns: number;
       cumulativeChatMessages: number;
       cumulativeTotalEvents: number;
       cumulativeToolUses: number;
+      cumulativeLinesAdded: number;
+      cumulativeLinesRemoved: number;
     }>;
   };
   recommendations: Array<{
@@ -65,6 +705,19 @@ export interface AnalyticsSummary {
     };
   };
   toolSequences: Array<{ sequence: string; count: number }>;
+  usage: TokenUsage;
+  toolErrors: ToolErrorAnalysis;
+  toolLatency: ToolLatencyAnalysis;
+  bashCommands: BashCommandAnalysis;
+  fileActivity: FileActivityAnalysis;
+  codeChurn: CodeChurnAnalysis;
+  activeTime: ActiveTimeAnalysis;
+  activityHeatmap: ActivityHeatmap;
+  models: ModelAnalysis;
+  subagents: SubagentAnalysis;
+  threads: ThreadAnalysis;
+  compactions: CompactionAnalysis;
+  friction: FrictionAnalysis;
 }
 
 export interface SourceOverviewResponse {
@@ -75,7 +728,7 @@ export interface SourceOverviewResponse {
     firstDay: string | null;
     lastDay: string | null;
   };
-  sources: Record<Exclude<AnalyticsSource, 'all'>, {
+  sources: Record<SourceName, {
     overview: AnalyticsSummary['overview'] | null;
     recommendationCount: number;
     timelineDays: number;
@@ -84,8 +737,29 @@ export interface SourceOverviewResponse {
   }>;
 }
 
+export interface SourceInfo {
+  name: SourceName;
+  label: string;
+  description: string;
+  format: string;
+  roots: SourceRoot[];
+}
+
+export interface SourceRoot {
+  path: string;
+  machine: string;
+}
+
+export interface SourceStatus extends SourceInfo {
+  conversationCount: number;
+  archivedConversations: number;
+  /** Sessions skipped because the same session was read from another root */
+  duplicatesSkipped: number;
+}
+
 export interface SourceSchema {
   source: AnalyticsSource;
+  sourceInfo: SourceInfo | null;
   conversationCount: number;
   messageCount: number;
   conversationFields: Array<{ name: string; count: number }>;
@@ -100,46 +774,444 @@ export interface SourceSchema {
   uniqueMessageFields: string[];
 }
 
-export async function fetchAnalyticsSummary(source: AnalyticsSource = 'all'): Promise<AnalyticsSummary> {
-  const response = await fetch(`${API_BASE_URL}/analytics/summary?source=${encodeURIComponent(source)}`);
+export interface ConversationListItem {
+  conversationId: string;
+  parentConversationId: string | null;
+  platform: string;
+  source: 'main' | 'subagent';
+  project: string;
+  machine: string | null;
+  archived: boolean;
+  title: string | null;
+  messageCount: number;
+  subagentCount: number;
+  firstMessage?: string;
+  lastMessage?: string;
+}
+
+export interface TranscriptContentBlock {
+  type: string;
+  text?: string;
+  thinking?: string;
+  id?: string;
+  name?: string;
+  input?: unknown;
+  tool_use_id?: string;
+  content?: string | Array<{ type: string; text?: string }>;
+  is_error?: boolean;
+}
+
+export interface TranscriptMessage {
+  type: string;
+  uuid?: string;
+  timestamp?: string;
+  isMeta?: boolean;
+  isSidechain?: boolean;
+  isCompactSummary?: boolean;
+  subtype?: string;
+  content?: string;
+  compactMetadata?: { trigger?: string; preTokens?: number };
+  summary?: string;
+  message?: {
+    role?: string;
+    model?: string;
+    content?: string | TranscriptContentBlock[];
+  };
+}
+
+export interface ConversationDetail {
+  conversationId: string;
+  parentConversationId?: string;
+  platform: string;
+  source: 'main' | 'subagent';
+  project: string;
+  archived?: boolean;
+  messages: TranscriptMessage[];
+  subagents: ConversationListItem[];
+  subagentTree: SubagentTreeNode | null;
+}
+
+export async function fetchAnalyticsSummary(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<AnalyticsSummary> {
+  const response = await fetch(`${API_BASE_URL}/analytics/summary${buildQueryString({ source, ...filters })}`);
   if (!response.ok) {
     throw new Error('Failed to fetch analytics summary');
   }
   return response.json();
 }
 
-export async function fetchSourceOverviews(): Promise<SourceOverviewResponse> {
-  const response = await fetch(`${API_BASE_URL}/analytics/sources`);
+export async function fetchSources(): Promise<SourceStatus[]> {
+  const response = await fetch(`${API_BASE_URL}/sources`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch sources');
+  }
+  return response.json();
+}
+
+export async function fetchSourceOverviews(filters: AnalyticsFilters = {}): Promise<SourceOverviewResponse> {
+  const response = await fetch(`${API_BASE_URL}/analytics/sources${buildQueryString({ ...filters })}`);
   if (!response.ok) {
     throw new Error('Failed to fetch source overviews');
   }
   return response.json();
 }
 
-export async function fetchSourceSchema(source: Exclude<AnalyticsSource, 'all'>): Promise<SourceSchema> {
-  const response = await fetch(`${API_BASE_URL}/analytics/schema?source=${encodeURIComponent(source)}`);
+export async function fetchSourceSchema(
+  source: SourceName,
+  filters: AnalyticsFilters = {}
+): Promise<SourceSchema> {
+  const response = await fetch(`${API_BASE_URL}/analytics/schema${buildQueryString({ source, ...filters })}`);
   if (!response.ok) {
     throw new Error('Failed to fetch source schema');
   }
   return response.json();
 }
 
-export async function fetchConversations(source: AnalyticsSource = 'all') {
-  const response = await fetch(`${API_BASE_URL}/conversations?source=${encodeURIComponent(source)}`);
+export async function fetchTokenUsage(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<TokenUsage> {
+  const response = await fetch(`${API_BASE_URL}/analytics/usage${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch token usage');
+  }
+  return response.json();
+}
+
+export async function fetchToolErrors(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ToolErrorAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/tool-errors${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch tool errors');
+  }
+  return response.json();
+}
+
+export async function fetchToolLatency(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ToolLatencyAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/tool-latency${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch tool latency');
+  }
+  return response.json();
+}
+
+export async function fetchBashCommands(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<BashCommandAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/bash${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch shell command analytics');
+  }
+  return response.json();
+}
+
+export async function fetchFileActivity(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<FileActivityAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/files${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch file activity');
+  }
+  return response.json();
+}
+
+export async function fetchCodeChurn(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<CodeChurnAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/churn${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch code churn');
+  }
+  return response.json();
+}
+
+export async function fetchActiveTime(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {},
+  idleGapMinutes?: number
+): Promise<ActiveTimeAnalysis> {
+  const response = await fetch(
+    `${API_BASE_URL}/analytics/active-time${buildQueryString({ source, ...filters, idleGapMinutes })}`
+  );
+  if (!response.ok) {
+    throw new Error('Failed to fetch active time');
+  }
+  return response.json();
+}
+
+export async function fetchActivityHeatmap(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ActivityHeatmap> {
+  const response = await fetch(`${API_BASE_URL}/analytics/heatmap${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch activity heatmap');
+  }
+  return response.json();
+}
+
+export async function fetchModels(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ModelAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/models${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch model analytics');
+  }
+  return response.json();
+}
+
+export async function fetchSubagents(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<SubagentAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/subagents${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch subagent analytics');
+  }
+  return response.json();
+}
+
+export async function fetchThreads(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ThreadAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/threads${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch thread analytics');
+  }
+  return response.json();
+}
+
+export async function fetchCompactions(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<CompactionAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/compactions${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch compaction analytics');
+  }
+  return response.json();
+}
+
+export async function fetchFriction(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<FrictionAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/friction${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch friction analytics');
+  }
+  return response.json();
+}
+
+export async function fetchTodos(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<TodoAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/todos${buildQueryString({ source, ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch todo analytics');
+  }
+  return response.json();
+}
+
+export async function fetchConversations(
+  source: AnalyticsSource = 'all',
+  filters: AnalyticsFilters = {}
+): Promise<ConversationListItem[]> {
+  const response = await fetch(`${API_BASE_URL}/conversations${buildQueryString({ source, ...filters })}`);
   if (!response.ok) {
     throw new Error('Failed to fetch conversations');
   }
   return response.json();
 }
 
-export async function searchConversations(query: string, source: AnalyticsSource = 'all') {
-  const response = await fetch(`${API_BASE_URL}/search?q=${encodeURIComponent(query)}&source=${encodeURIComponent(source)}`);
+export async function fetchConversation(conversationId: string): Promise<ConversationDetail> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(conversationId)}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch conversation');
+  }
+  return response.json();
+}
+
+export async function fetchConversationTodos(conversationId: string): Promise<ConversationTodos> {
+  const response = await fetch(`${API_BASE_URL}/conversations/${encodeURIComponent(conversationId)}/todos`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch conversation todos');
+  }
+  return response.json();
+}
+
+export interface SearchFilters {
+  source?: AnalyticsSource;
+  project?: string;
+  role?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  pageSize?: number;
+}
+
+export interface SearchResult {
+  conversationId: string;
+  parentConversationId: string | null;
+  platform: string;
+  source: 'main' | 'subagent';
+  project: string;
+  title: string | null;
+  messageIndex: number;
+  role: string;
+  timestamp: string | null;
+  score: number;
+  snippet: string;
+  highlights: Array<[number, number]>;
+}
+
+export interface SearchResponse {
+  query: string;
+  total: number;
+  page: number;
+  pageSize: number;
+  results: SearchResult[];
+}
+
+export async function searchConversations(query: string, filters: SearchFilters = {}): Promise<SearchResponse> {
+  const response = await fetch(`${API_BASE_URL}/search${buildQueryString({ q: query, ...filters })}`);
   if (!response.ok) {
     throw new Error('Failed to search conversations');
   }
   return response.json();
 }
 
+export type HistoryKind = 'all' | 'command' | 'custom' | 'paste';
+
+export interface HistoryFilters {
+  q?: string;
+  kind?: HistoryKind;
+  project?: string;
+  from?: string;
+  to?: string;
+  page?: number;
+  pageSize?: number;
+}
+
+export interface HistoryPaste {
+  type: 'text' | 'image';
+  lines: number;
+  chars: number;
+}
+
+export interface HistoryEntry {
+  display: string;
+  timestamp: string | null;
+  /** Claude Code project directory name, as used by the project filter */
+  project: string;
+  projectPath: string | null;
+  machine: string;
+  command: string | null;
+  commandKind: 'builtIn' | 'custom' | null;
+  pastes: HistoryPaste[];
+}
+
+export interface HistoryResponse {
+  total: number;
+  page: number;
+  pageSize: number;
+  entries: HistoryEntry[];
+}
+
+export interface HistoryAnalysis {
+  totals: {
+    prompts: number;
+    commands: number;
+    builtInCommands: number;
+    customCommands: number;
+    promptsWithPastes: number;
+    pastes: number;
+    textPastes: number;
+    imagePastes: number;
+    pastedLines: number;
+    pastedChars: number;
+    projects: number;
+    activeDays: number;
+    commandShare: number;
+    pasteShare: number;
+    avgPastedLines: number;
+    reusedPrompts: number;
+    reuseRate: number;
+    nearDuplicateClusters: number;
+  };
+  commands: Array<{
+    command: string;
+    kind: 'builtIn' | 'custom';
+    count: number;
+    projects: number;
+    lastUsed: string | null;
+  }>;
+  reusedPrompts: Array<{
+    prompt: string;
+    count: number;
+    projects: number;
+    lastUsed: string | null;
+  }>;
+  nearDuplicates: Array<{
+    example: string;
+    variants: number;
+    uses: number;
+    lastUsed: string | null;
+    samples: string[];
+  }>;
+  pastes: {
+    sizeBuckets: Array<{ label: string; pastes: number }>;
+  };
+  byProject: Record<string, {
+    path: string | null;
+    prompts: number;
+    commands: number;
+    pastes: number;
+    firstUsed: string | null;
+    lastUsed: string | null;
+  }>;
+  timelineProjects: string[];
+  byDay: Array<{
+    date: string;
+    prompts: number;
+    commands: number;
+    pastes: number;
+    /** Prompts per timeline project, with the rest under `other` */
+    projects: Record<string, number>;
+  }>;
+}
+
+export async function fetchHistory(filters: HistoryFilters = {}): Promise<HistoryResponse> {
+  const response = await fetch(`${API_BASE_URL}/history${buildQueryString({ ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch prompt history');
+  }
+  return response.json();
+}
+
+export async function fetchHistoryAnalytics(
+  filters: Pick<HistoryFilters, 'project' | 'from' | 'to'> = {}
+): Promise<HistoryAnalysis> {
+  const response = await fetch(`${API_BASE_URL}/analytics/history${buildQueryString({ ...filters })}`);
+  if (!response.ok) {
+    throw new Error('Failed to fetch prompt history analytics');
+  }
+  return response.json();
+}
+
 export async function reloadData() {
   const response = await fetch(`${API_BASE_URL}/reload`, { method: 'POST' });
   if (!response.ok) {
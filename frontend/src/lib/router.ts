@@ -0,0 +1,159 @@
+import { useEffect, useState } from 'react';
+import type { AnalyticsFilters, AnalyticsSource, HistoryKind, SourceName, SubagentMode } from './api';
+
+export interface SearchParams {
+  q: string;
+  source: AnalyticsSource;
+  project: string;
+  role: string;
+  from: string;
+  to: string;
+  page: number;
+}
+
+export interface HistoryParams {
+  q: string;
+  kind: HistoryKind;
+  project: string;
+  from: string;
+  to: string;
+  page: number;
+}
+
+export type View =
+  | { name: 'summary'; filters: AnalyticsFilters }
+  | { name: 'source'; source: SourceName; filters: AnalyticsFilters }
+  | { name: 'conversations'; source: AnalyticsSource; conversationId: string | null; messageIndex: number | null }
+  | ({ name: 'search' } & SearchParams)
+  | ({ name: 'history' } & HistoryParams);
+
+// Sources are registered on the server, which rejects unknown names
+const SOURCE_NAME_PATTERN = /^[a-z0-9_-]+$/;
+const SUBAGENT_MODES: SubagentMode[] = ['include', 'exclude', 'only'];
+const HISTORY_KINDS: HistoryKind[] = ['all', 'command', 'custom', 'paste'];
+
+function parseSource(value: string | null): AnalyticsSource {
+  return value && SOURCE_NAME_PATTERN.test(value) ? value : 'all';
+}
+
+function parseInteger(value: string | null) {
+  const parsed = value ? Number.parseInt(value, 10) : NaN;
+  return Number.isNaN(parsed) ? null : parsed;
+}
+
+function parseFilters(params: URLSearchParams): AnalyticsFilters {
+  const filters: AnalyticsFilters = {};
+  (['from', 'to', 'project', 'machine', 'model', 'tz'] as const).forEach(key => {
+    const value = params.get(key);
+    if (value) {
+      filters[key] = value;
+    }
+  });
+  const subagent = params.get('subagent');
+  if (subagent && (SUBAGENT_MODES as string[]).includes(subagent) && subagent !== 'include') {
+    filters.subagent = subagent as SubagentMode;
+  }
+  if (params.get('thread') === 'main') {
+    filters.thread = 'main';
+  }
+  return filters;
+}
+
+export function parseHash(hash: string): View {
+  const [pathPart, queryPart = ''] = hash.replace(/^#/, '').split('?');
+  const segments = pathPart.split('/').filter(Boolean);
+  const params = new URLSearchParams(queryPart);
+
+  if (segments[0] === 'source' && SOURCE_NAME_PATTERN.test(segments[1] || '') && segments[1] !== 'all') {
+    return { name: 'source', source: segments[1], filters: parseFilters(params) };
+  }
+
+  if (segments[0] === 'conversations') {
+    return {
+      name: 'conversations',
+      source: parseSource(params.get('source')),
+      conversationId: segments[1] ? decodeURIComponent(segments[1]) : null,
+      messageIndex: parseInteger(params.get('message'))
+    };
+  }
+
+  if (segments[0] === 'search') {
+    return {
+      name: 'search',
+      q: params.get('q') || '',
+      source: parseSource(params.get('source')),
+      project: params.get('project') || '',
+      role: params.get('role') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      page: Math.max(1, parseInteger(params.get('page')) || 1)
+    };
+  }
+
+  if (segments[0] === 'history') {
+    const kind = params.get('kind');
+    return {
+      name: 'history',
+      q: params.get('q') || '',
+      kind: kind && (HISTORY_KINDS as string[]).includes(kind) ? kind as HistoryKind : 'all',
+      project: params.get('project') || '',
+      from: params.get('from') || '',
+      to: params.get('to') || '',
+      page: Math.max(1, parseInteger(params.get('page')) || 1)
+    };
+  }
+
+  return { name: 'summary', filters: parseFilters(params) };
+}
+
+function withQuery(path: string, values: Record<string, string | number | null | undefined>) {
+  const params = new URLSearchParams();
+  Object.entries(values).forEach(([key, value]) => {
+    if (value !== null && value !== undefined && value !== '' && value !== 'all') {
+      params.set(key, String(value));
+    }
+  });
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+}
+
+export function buildHash(view: View) {
+  switch (view.name) {
+    case 'source':
+      return withQuery(`#/source/${view.source}`, { ...view.filters });
+    case 'conversations':
+      return withQuery(
+        `#/conversations${view.conversationId ? `/${encodeURIComponent(view.conversationId)}` : ''}`,
+        { source: view.source, message: view.messageIndex }
+      );
+    case 'search': {
+      const { q, source, project, role, from, to, page } = view;
+      return withQuery('#/search', { q, source, project, role, from, to, page: page > 1 ? page : null });
+    }
+    case 'history': {
+      const { q, kind, project, from, to, page } = view;
+      return withQuery('#/history', { q, kind, project, from, to, page: page > 1 ? page : null });
+    }
+    default:
+      return withQuery('#/', { ...view.filters });
+  }
+}
+
+export function navigate(view: View) {
+  window.location.hash = buildHash(view);
+}
+
+/**
+ * Track the view encoded in the URL hash
+ */
+export function useHashView() {
+  const [view, setView] = useState<View>(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setView(parseHash(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  return view;
+}
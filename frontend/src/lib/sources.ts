@@ -0,0 +1,38 @@
+import { useEffect, useState } from 'react';
+import { fetchSources, type SourceName, type SourceStatus } from './api';
+
+let sourcesRequest: Promise<SourceStatus[]> | null = null;
+
+/**
+ * Sources registered on the server, fetched once per page load. Empty until
+ * the request completes.
+ */
+export function useSources() {
+  const [sources, setSources] = useState<SourceStatus[]>([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    if (!sourcesRequest) {
+      sourcesRequest = fetchSources().catch(error => {
+        sourcesRequest = null;
+        throw error;
+      });
+    }
+    sourcesRequest
+      .then(result => {
+        if (!cancelled) {
+          setSources(result);
+        }
+      })
+      .catch(error => console.error('Failed to load sources:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return sources;
+}
+
+export function getSourceLabel(sources: SourceStatus[], source: SourceName) {
+  return sources.find(item => item.name === source)?.label || source.charAt(0).toUpperCase() + source.slice(1);
+}